@@ -1,291 +1,278 @@
 /**
- * Build site from Markdown in content/ + existing data/posts.json.
- * Merges content/*.md into the post list, regenerates index, page/, archive, sitemap, feed.
- * Does not touch category/ or sidebar (keeps existing WP-import structure).
- * Usage: node scripts/build-from-markdown.js
- * Env: SITE_URL (default https://thejoseplatero.github.io/futarigurashi)
+ * Build the site from Markdown in content/ into dist/ (drafts/, revisions/ and trash/ are never read).
+ * Writes data/posts.json, post pages, index, page/, top, category/, tag/, tags, archive (+ archive/<year>,
+ * archive/<year>/<month>), search, stats, sitemap, robots.txt and the feeds (feed.xml, rss.xml, feed.json, feed-full.xml,
+ * category/<slug>.xml) and profile.html (with canonical/og:url for SITE_URL), and copies the static assets (styles.css,
+ * images/, uploads/, resized/).
+ * Everything is written to dist.tmp/ and swapped in for dist/ when the build has finished (scripts/lib/output.js);
+ * a build that fails leaves dist/ as it was.
+ * Page layouts live in scripts/lib/render.js (shared with the writer preview; import-wp.js writes content/ and runs this build).
+ * Category hierarchy comes from data/categories.json; categories not listed there become top-level.
+ * Drafts (draft: true) and scheduled posts (publish_at in the future) are left out; the writer server rebuilds when one comes due.
+ * Incremental: .build-manifest.json records a hash of each output's inputs, and only outputs whose inputs
+ * changed are re-rendered; the rest are carried over from dist/. A change to the build scripts, categories.json, top-posts.json, site.config.json, SITE_URL or TOC_MIN_LENGTH
+ * rebuilds everything.
+ * Usage: node scripts/build-from-markdown.js [--full] [--check | --strict] [--image-limit=N]
+ *   --check runs the link checker (scripts/check-links.js) on the result; --strict also fails the build on any problem,
+ *   in which case dist/ is not replaced.
+ *   --image-limit=N encodes at most N resized image variants; images past that get no srcset until a later build
+ *   (the writer server uses it so a cold resized/ cache can't run past its build timeout; see scripts/build-images.js).
+ * Site name, URL, posts per page etc. come from site.config.json (scripts/lib/site-config.js).
+ * Env: SITE_URL and TOC_MIN_LENGTH override url and tocMinLength in site.config.json
  */
 
 const fs = require('fs');
 const path = require('path');
-let marked;
-try {
-  marked = require('marked').marked;
-} catch (e) {
-  marked = null;
-}
+const crypto = require('crypto');
+const {
+  PER_PAGE,
+  TOC_MIN_LENGTH,
+  SITE,
+  SITE_NAME,
+  SITE_DESCRIPTION,
+  SITE_URL,
+  staticPageHtml,
+  escapeHtml,
+  formatDateRel,
+  formatDateYMD,
+  metaDescription,
+  markdownToHtml,
+  buildCategoryTree,
+  buildTagIndex,
+  buildDateArchive,
+  onThisMonth,
+  renderPostPage,
+  renderListPage,
+  renderTopPage,
+  renderCategoryPage,
+  renderTagPage,
+  renderTagsPage,
+  renderArchivePage,
+  renderArchiveYearPage,
+  renderArchiveMonthPage,
+  renderSearchPage,
+  renderStatsPage
+} = require('./lib/render');
+const { parseFrontmatter } = require('./lib/frontmatter');
+const { validatePost, postDate, postUpdated, publishAt, isScheduled } = require('./lib/post-schema');
+const { plainText, buildSearchIndex } = require('./lib/search-index');
+const { buildPostNavigation, buildRelatedPosts } = require('./lib/related');
+const { createImagePipeline } = require('./lib/images');
+const { countChars, buildSiteStats } = require('./lib/stats');
+const { checkSite, formatReport } = require('./lib/link-check');
+const { FEED_LIMIT, FULL_FEED_LIMIT, absoluteUrls, atomFeed, rssFeed, jsonFeed } = require('./lib/feeds');
+const { distDir, stagingDir, createOutput } = require('./lib/output');
 
 const ROOT = path.join(__dirname, '..');
 const CONTENT_DIR = path.join(ROOT, 'content');
-const POSTS_DIR = path.join(ROOT, 'posts');
-const DATA_DIR = path.join(ROOT, 'data');
-const PAGE_DIR = path.join(ROOT, 'page');
+const CATEGORIES_JSON = path.join(ROOT, 'data', 'categories.json');
+const TOP_POSTS_JSON = path.join(ROOT, 'data', 'top-posts.json');
+const PROFILE_HTML = path.join(ROOT, 'profile.html');
+// Output paths are in the staging folder; it becomes dist/ at the end of the build
+const OUT_DIR = stagingDir(ROOT);
+const POSTS_DIR = path.join(OUT_DIR, 'posts');
+const DATA_DIR = path.join(OUT_DIR, 'data');
+const PAGE_DIR = path.join(OUT_DIR, 'page');
+const CATEGORY_DIR = path.join(OUT_DIR, 'category');
+const TAG_DIR = path.join(OUT_DIR, 'tag');
+const ARCHIVE_DIR = path.join(OUT_DIR, 'archive');
 const POSTS_JSON = path.join(DATA_DIR, 'posts.json');
-const PER_PAGE = 10;
-const SITE_URL = (process.env.SITE_URL || 'https://thejoseplatero.github.io/futarigurashi').replace(/\/$/, '');
-const SITE_NAME = 'FUTARIGURASHI';
-const OG_IMAGE_URL = SITE_URL + '/images/og-default.png';
-
-function escapeHtml(s) {
-  return String(s)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-}
+const SEARCH_INDEX_JSON = path.join(DATA_DIR, 'search-index.json');
+const SEARCH_TEXT_JSON = path.join(DATA_DIR, 'search-text.json');
+const MANIFEST_PATH = path.join(ROOT, '.build-manifest.json');
+const MANIFEST_VERSION = 1;
+const FULL_BUILD = process.argv.includes('--full');
+const STRICT_LINKS = process.argv.includes('--strict');
+const CHECK_LINKS = STRICT_LINKS || process.argv.includes('--check');
+const IMAGE_LIMIT_ARG = process.argv.find((a) => a.startsWith('--image-limit='));
+const IMAGE_LIMIT = IMAGE_LIMIT_ARG ? parseInt(IMAGE_LIMIT_ARG.split('=')[1], 10) || 0 : 0;
 
-function slugify(str) {
-  return str
-    .trim()
-    .replace(/\s+/g, '-')
-    .replace(/[^\w\u3040-\u309f\u30a0-\u30ff\u4e00-\u9faf-]/g, '')
-    .replace(/-+/g, '-')
-    .slice(0, 80) || 'post';
+function hash(str) {
+  return crypto.createHash('sha1').update(str).digest('hex');
 }
 
-function formatDateRel(dateStr) {
-  if (!dateStr) return '';
-  const d = new Date(dateStr);
-  if (isNaN(d.getTime())) return '';
-  const now = new Date();
-  const months = Math.floor((now - d) / (30 * 24 * 60 * 60 * 1000));
-  if (months < 1) return 'recently';
-  if (months < 12) return months + ' months ago';
-  const years = Math.floor(months / 12);
-  return years + ' year' + (years > 1 ? 's' : '') + ' ago';
+function readFileOr(file, fallback) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : fallback;
 }
 
-function formatDateYMD(dateStr) {
-  if (!dateStr) return '';
-  const d = new Date(dateStr);
-  if (isNaN(d.getTime())) return dateStr;
-  return d.toISOString().slice(0, 10);
+/** Hash of everything that affects every page: this script, scripts/lib/*, the marked version. */
+function templateHash() {
+  const libDir = path.join(__dirname, 'lib');
+  const files = [__filename].concat(fs.readdirSync(libDir).filter((f) => f.endsWith('.js')).sort().map((f) => path.join(libDir, f)));
+  let markedVersion = '';
+  try {
+    markedVersion = require('marked/package.json').version;
+  } catch (e) {
+    // marked not installed: markdownToHtml falls back to plain text
+  }
+  return hash(files.map((f) => fs.readFileSync(f, 'utf8')).join('\0') + '\0' + markedVersion);
 }
 
-function metaDescription(text, maxLen) {
-  const stripped = String(text || '').replace(/\s+/g, ' ').trim();
-  if (stripped.length <= maxLen) return stripped;
-  return stripped.slice(0, maxLen).trim().replace(/\s+\S*$/, '') + '…';
+function configHash() {
+  return hash([readFileOr(CATEGORIES_JSON, ''), readFileOr(TOP_POSTS_JSON, ''), JSON.stringify(SITE)].join('\0'));
 }
 
-function buildPostPage(slug, title, dateStr, categories, contentHtml, excerpt) {
-  const isoDate = formatDateYMD(dateStr);
-  const dateRel = formatDateRel(dateStr);
-  const meta = categories.length ? escapeHtml(categories.join(', ')) + ' · <time datetime="' + isoDate + '">' + dateRel + '</time>' : '<time datetime="' + isoDate + '">' + dateRel + '</time>';
-  const escapedTitle = escapeHtml(title);
-  const desc = metaDescription(excerpt || title, 155);
-  const canonicalUrl = SITE_URL + '/posts/' + slug + '.html';
-  const jsonLd = JSON.stringify({
-    '@context': 'https://schema.org',
-    '@type': 'Article',
-    headline: title,
-    datePublished: isoDate,
-    dateModified: isoDate,
-    author: { '@type': 'Person', name: SITE_NAME },
-    publisher: { '@type': 'Organization', name: SITE_NAME },
-    mainEntityOfPage: { '@type': 'WebPage', '@id': canonicalUrl }
-  }).replace(/</g, '\\u003c');
-  return `<!DOCTYPE html>
-<html lang="ja">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-  <meta name="description" content="${escapeHtml(desc)}">
-  <link rel="canonical" href="${canonicalUrl}">
-  <meta property="og:title" content="${escapeHtml(title)}">
-  <meta property="og:description" content="${escapeHtml(desc)}">
-  <meta property="og:url" content="${canonicalUrl}">
-  <meta property="og:type" content="article">
-  <meta property="og:site_name" content="${SITE_NAME}">
-  <meta name="twitter:card" content="summary">
-  <meta name="twitter:title" content="${escapeHtml(title)}">
-  <meta name="twitter:description" content="${escapeHtml(desc)}">
-  <meta property="og:image" content="${OG_IMAGE_URL}">
-  <meta name="twitter:image" content="${OG_IMAGE_URL}">
-  <title>${escapedTitle} — ${SITE_NAME}</title>
-  <link rel="stylesheet" href="../styles.css">
-  <link rel="preconnect" href="https://fonts.googleapis.com">
-  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-  <link href="https://fonts.googleapis.com/css2?family=Noto+Sans+JP:wght@400;500;600;700&family=Libre+Baskerville:ital@0;1&display=swap" rel="stylesheet">
-  <script type="application/ld+json">${jsonLd}</script>
-</head>
-<body>
-  <div class="site-wrap">
-    <header class="site-header">
-      <h1 class="site-title"><a href="../index.html">${SITE_NAME}</a></h1>
-      <nav class="header-nav">
-        <a href="../archive.html" class="nav-link">記事一覧</a>
-        <a href="../profile.html" class="nav-link">プロフィール</a>
-      </nav>
-    </header>
-
-    <main class="main">
-      <article class="entry">
-        <header class="page-header">
-          <a href="../index.html" class="back-link">← 最新記事へ</a>
-          <p class="entry-meta">${meta}</p>
-          <h2 class="entry-title">${escapedTitle}</h2>
-        </header>
-        <div class="entry-content">
-${contentHtml}
-        </div>
-      </article>
-    </main>
-
-    <footer class="site-footer">
-      <p class="footer-flag" aria-hidden="true">🇨🇦</p>
-      <p class="copyright">${SITE_NAME}</p>
-    </footer>
-  </div>
-</body>
-</html>
-`;
+/** Previous build's output hashes, or {} when a full build is needed. */
+function readManifest(template, config) {
+  if (FULL_BUILD || !fs.existsSync(MANIFEST_PATH) || !fs.existsSync(distDir(ROOT))) return {};
+  try {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    if (manifest.version !== MANIFEST_VERSION || manifest.template !== template || manifest.config !== config) return {};
+    return manifest.outputs || {};
+  } catch (e) {
+    console.warn('Could not read build manifest, doing a full build:', e.message);
+    return {};
+  }
 }
 
-function parseFrontmatter(raw) {
-  const match = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
-  if (!match) return { meta: {}, body: raw };
-  const front = match[1];
-  const body = match[2].trimEnd();
-  const meta = {};
-  let key = null;
-  let list = null;
-  for (const line of front.split(/\r?\n/)) {
-    if (/^\s+-\s+/.test(line) && list !== null) {
-      list.push(line.replace(/^\s+-\s+/, '').replace(/^["']|["']$/g, ''));
-      continue;
-    }
-    list = null;
-    const kv = line.match(/^([a-z]+):\s*(.*)$/i);
-    if (kv) {
-      key = kv[1].toLowerCase();
-      const v = kv[2].trim().replace(/^["']|["']$/g, '');
-      if (key === 'categories') {
-        meta.categories = v ? [v] : [];
-        list = meta.categories;
-      } else {
-        meta[key] = v;
-      }
-      continue;
+/**
+ * Writes outputs, skipping any whose inputs hash matches the previous build (and whose file still exists).
+ * `inputs` is whatever the page is rendered from; `render` is only called when the page has to be written.
+ */
+function createEmitter(previous, output) {
+  const outputs = {};
+  const stats = { written: 0, unchanged: 0 };
+  function emit(file, inputs, render) {
+    const rel = path.relative(OUT_DIR, file).split(path.sep).join('/');
+    const key = hash(typeof inputs === 'string' ? inputs : JSON.stringify(inputs));
+    outputs[rel] = key;
+    if (previous[rel] === key && fs.existsSync(file)) {
+      stats.unchanged++;
+      return false;
     }
+    output.write(file, render());
+    stats.written++;
+    return true;
   }
-  if (meta.categories && Array.isArray(meta.categories)) {
-    meta.categories = meta.categories.filter(Boolean);
-  } else if (meta.categories && typeof meta.categories === 'string') {
-    meta.categories = meta.categories.split(',').map((c) => c.trim()).filter(Boolean);
-  } else if (!Array.isArray(meta.categories)) {
-    meta.categories = [];
-  }
-  return { meta, body };
-}
-
-function getPageNumbers(current, total) {
-  if (total <= 1) return [1];
-  const windowSize = 2;
-  const left = Math.max(2, current - windowSize);
-  const right = Math.min(total - 1, current + windowSize);
-  const out = [1];
-  if (left > 2) out.push('…');
-  for (let i = left; i <= right; i++) out.push(i);
-  if (right < total - 1) out.push('…');
-  if (total > 1) out.push(total);
-  return out;
+  return { emit, outputs, stats };
 }
 
-function buildPreviews(posts, baseUrl, featuredIndex) {
-  const url = (p) => baseUrl + 'posts/' + p.slug + '.html';
-  return posts.map((p, i) => {
-    const meta = [p.categories.join(', '), p.dateRel].filter(Boolean).join(' · ');
-    const excerpt = p.excerpt ? `<p class="post-excerpt">${escapeHtml(p.excerpt)}</p>` : '';
-    const excerptClass = featuredIndex === i ? ' post-preview--featured' : '';
-    const readMore = `<p class="read-more"><a href="${url(p)}" class="read-more-link">Read more</a></p>`;
-    return `        <article class="post-preview${excerptClass}">
-          <span class="post-meta">${escapeHtml(meta)}</span>
-          <h3 class="post-title"><a href="${url(p)}">${escapeHtml(p.title)}</a></h3>
-          ${excerpt}
-          ${readMore}
-        </article>`;
-  }).join('\n');
-}
-
-function pageUrl(n, baseUrl) {
-  return n === 1 ? baseUrl + 'index.html' : baseUrl + 'page/' + n + '.html';
+function readDeclaredCategories() {
+  if (!fs.existsSync(CATEGORIES_JSON)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(CATEGORIES_JSON, 'utf8'));
+  } catch (e) {
+    console.warn('Could not read categories.json:', e.message);
+    return [];
+  }
 }
 
-function buildPagination(pageNum, totalPages, baseUrl) {
-  const prevLink = pageNum === 1 ? null : pageUrl(pageNum - 1, baseUrl);
-  const nextLink = pageNum < totalPages ? pageUrl(pageNum + 1, baseUrl) : null;
-  const pageNumbers = getPageNumbers(pageNum, totalPages);
-  let nav = '<nav class="pagination" aria-label="Pagination">';
-  if (prevLink) nav += `<a href="${prevLink}" class="pagination-link pagination-prev">« Newer</a>`;
-  nav += '<span class="pagination-pages">';
-  pageNumbers.forEach((n) => {
-    if (n === '…') {
-      nav += '<span class="pagination-ellipsis" aria-hidden="true">…</span>';
-    } else if (n === pageNum) {
-      nav += `<span class="pagination-current" aria-current="page">${n}</span>`;
-    } else {
-      nav += `<a href="${pageUrl(n, baseUrl)}" class="pagination-num">${n}</a>`;
+/** Parse and validate every content/*.md; exits with a file:line report if any fail. */
+function readContent(declaredCategories) {
+  if (!fs.existsSync(CONTENT_DIR)) return [];
+  const categoryNames = declaredCategories.length ? declaredCategories.map((c) => c.name) : null;
+  const entries = [];
+  const problems = [];
+  for (const file of fs.readdirSync(CONTENT_DIR).filter((f) => f.endsWith('.md'))) {
+    const raw = fs.readFileSync(path.join(CONTENT_DIR, file), 'utf8');
+    let parsed;
+    try {
+      parsed = parseFrontmatter(raw);
+    } catch (e) {
+      problems.push({ file, line: e.line || 1, message: e.message.replace(/^line \d+: /, '') });
+      continue;
     }
-  });
-  nav += '</span>';
-  if (nextLink) nav += `<a href="${nextLink}" class="pagination-link pagination-next">Older »</a>`;
-  nav += '<label class="pagination-goto">Go to page <select class="pagination-select" onchange="if(this.value)window.location.href=this.value">';
-  nav += '<option value="">—</option>';
-  for (let i = 1; i <= totalPages; i++) {
-    nav += `<option value="${pageUrl(i, baseUrl)}"${i === pageNum ? ' selected' : ''}>${i}</option>`;
+    const errors = validatePost(parsed.meta, { categories: categoryNames, lines: parsed.lines });
+    errors.sort((a, b) => a.line - b.line).forEach((err) => problems.push({ file, line: err.line, message: err.message }));
+    if (errors.length === 0) entries.push({ slug: file.slice(0, -3), raw, meta: parsed.meta, body: parsed.body });
+  }
+  if (problems.length) {
+    const files = new Set(problems.map((p) => p.file));
+    console.error('Invalid frontmatter in ' + files.size + ' file' + (files.size > 1 ? 's' : '') + ':');
+    problems.forEach((p) => console.error('  content/' + p.file + ':' + p.line + '  ' + p.message));
+    process.exit(1);
   }
-  nav += '</select></label>';
-  nav += '</nav>';
-  return nav;
+  return entries;
 }
 
-function markdownToHtml(text) {
-  // marked passes through raw HTML (e.g. migrated posts with HTML body).
-  if (marked) return marked.parse(String(text || ''), { async: false });
-  return String(text || '').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n\n/g, '</p><p>').replace(/\n/g, '<br>\n');
+/** Delete archive/<year>.html and archive/<year>/<month>.html files not in `valid` (paths relative to archive/), and emptied year folders. */
+function removeOrphanArchivePages(valid) {
+  if (!fs.existsSync(ARCHIVE_DIR)) return;
+  for (const entry of fs.readdirSync(ARCHIVE_DIR, { withFileTypes: true })) {
+    if (entry.isFile() && entry.name.endsWith('.html') && !valid.has(entry.name)) {
+      fs.unlinkSync(path.join(ARCHIVE_DIR, entry.name));
+      console.log('Removed orphan archive page:', entry.name);
+    } else if (entry.isDirectory() && /^\d{4}$/.test(entry.name)) {
+      const dir = path.join(ARCHIVE_DIR, entry.name);
+      for (const file of fs.readdirSync(dir)) {
+        if (file.endsWith('.html') && !valid.has(entry.name + '/' + file)) {
+          fs.unlinkSync(path.join(dir, file));
+          console.log('Removed orphan archive page:', entry.name + '/' + file);
+        }
+      }
+      if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+    }
+  }
 }
 
 function main() {
-  if (!marked) {
-    try {
-      marked = require('marked').marked;
-    } catch (e) {
-      console.warn('marked not available, using plain text for body');
-    }
-  }
+  const template = templateHash();
+  const config = configHash();
+  const previous = readManifest(template, config);
+  console.log(Object.keys(previous).length ? 'Incremental build (use --full to rebuild everything)' : 'Full build');
+
+  const declaredCategories = readDeclaredCategories();
+  const entries = readContent(declaredCategories);
+  const output = createOutput(ROOT, { fresh: Object.keys(previous).length === 0 });
+  const { emit, outputs, stats } = createEmitter(previous, output);
   const bySlug = new Map();
-  if (fs.existsSync(CONTENT_DIR)) {
-    const files = fs.readdirSync(CONTENT_DIR).filter((f) => f.endsWith('.md'));
-    for (const file of files) {
-      const slug = file.slice(0, -3);
-      const raw = fs.readFileSync(path.join(CONTENT_DIR, file), 'utf8');
-      const { meta, body } = parseFrontmatter(raw);
-      if (meta.draft === true || meta.draft === 'true') continue;
-      const title = meta.title || slug;
-      const dateStr = meta.date || new Date().toISOString().slice(0, 10);
-      const categories = Array.isArray(meta.categories) ? meta.categories : (meta.categories ? [meta.categories] : []);
-      const excerpt = meta.excerpt || '';
-      const contentHtml = markdownToHtml(body);
-      const html = buildPostPage(slug, title, dateStr, categories, contentHtml, excerpt);
-      fs.mkdirSync(POSTS_DIR, { recursive: true });
-      fs.writeFileSync(path.join(POSTS_DIR, slug + '.html'), html, 'utf8');
-      bySlug.set(slug, {
-        slug,
-        title,
-        date: formatDateYMD(dateStr),
-        dateRel: formatDateRel(dateStr),
-        categories: categories || [],
-        excerpt
-      });
+  const sources = new Map();
+  const times = new Map();
+  const now = new Date();
+  const scheduled = [];
+  for (const { slug, raw, meta, body } of entries) {
+    if (meta.draft === true) continue;
+    if (isScheduled(meta, now)) {
+      scheduled.push({ slug, at: publishAt(meta) });
+      continue;
     }
-    console.log('Processed', files.length, 'Markdown files from content/');
+    const dateStr = formatDateYMD(postDate(meta));
+    const html = markdownToHtml(body);
+    bySlug.set(slug, {
+      slug,
+      title: meta.title,
+      date: dateStr,
+      dateRel: formatDateRel(dateStr),
+      categories: meta.categories,
+      tags: meta.tags,
+      excerpt: meta.excerpt || '',
+      chars: countChars(html)
+    });
+    sources.set(slug, { raw, body, html, toc: meta.toc });
+    times.set(slug, { published: postDate(meta).toISOString(), updated: postUpdated(meta).toISOString() });
   }
 
   const postsData = [...bySlug.values()].sort((a, b) => new Date(b.date) - new Date(a.date));
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(POSTS_JSON, JSON.stringify(postsData, null, 2), 'utf8');
-  console.log('Wrote', POSTS_JSON, '(' + postsData.length, 'posts)');
+  const postsJson = JSON.stringify(postsData, null, 2);
+  emit(POSTS_JSON, postsJson, () => postsJson);
+  console.log('Wrote data/posts.json (' + postsData.length, 'posts)');
+
+  // Post pages end with previous/next links and related posts, so they also depend on their neighbours
+  const navigation = buildPostNavigation(postsData);
+  const related = buildRelatedPosts(postsData, new Map([...sources].map(([slug, src]) => [slug, src.body])));
+  const link = (p) => (p ? [p.slug, p.title, p.date] : null);
+  // Local images get width/height, lazy loading and srcset; resized variants are cached in resized/
+  const images = createImagePipeline(ROOT, { maxEncodes: IMAGE_LIMIT });
+  const postHtml = (slug) => images.rewrite(sources.get(slug).html, 'posts');
+  let rendered = 0;
+  for (const post of postsData) {
+    const { raw, body, toc } = sources.get(post.slug);
+    const nav = navigation.get(post.slug);
+    const relatedPosts = related.get(post.slug);
+    const navInputs = [link(nav.prev), link(nav.next), nav.category && [nav.category.name, link(nav.category.prev), link(nav.category.next)], relatedPosts.map(link)];
+    // The page shows the relative date, so it is re-rendered when "N months ago" rolls over
+    const imageInputs = images.prepare(body, 'posts');
+    const written = emit(path.join(POSTS_DIR, post.slug + '.html'), [raw, post.dateRel, navInputs, imageInputs], () => {
+      const contentHtml = postHtml(post.slug);
+      return renderPostPage({ ...post, contentHtml, toc }, { siteUrl: SITE_URL, nav, related: relatedPosts, tocMinLength: TOC_MIN_LENGTH });
+    });
+    if (written) rendered++;
+  }
+  if (entries.length) console.log('Processed', entries.length, 'Markdown files from content/ (' + rendered + ' post pages rendered)');
+  if (scheduled.length) {
+    const next = scheduled.sort((a, b) => a.at - b.at)[0];
+    console.log('Skipped', scheduled.length, 'scheduled post' + (scheduled.length > 1 ? 's' : '') + ' (next: ' + next.slug + ' at ' + next.at.toISOString() + ')');
+  }
 
   if (fs.existsSync(POSTS_DIR)) {
     const existing = fs.readdirSync(POSTS_DIR).filter((f) => f.endsWith('.html'));
@@ -299,84 +286,169 @@ function main() {
   }
 
   const totalPages = Math.ceil(postsData.length / PER_PAGE);
-  const indexPath = path.join(ROOT, 'index.html');
-  let indexHtml = fs.readFileSync(indexPath, 'utf8');
-  const page1Posts = postsData.slice(0, PER_PAGE);
-  const section1 = `<section class="latest">
-        <h2 class="section-title">最新記事</h2>
-${buildPreviews(page1Posts, '', 0)}
-        ${buildPagination(1, totalPages, '')}
-      </section>`;
-  indexHtml = indexHtml.replace(/<section class="latest">[\s\S]*?<\/section>/, section1);
-  indexHtml = indexHtml.replace(/https:\/\/yoursite\.com/g, SITE_URL).replace(/https:\/\/futarigurashi\.example\.com/g, SITE_URL);
-  if (totalPages >= 2 && !indexHtml.includes('rel="next"')) {
-    indexHtml = indexHtml.replace('</head>', '  <link rel="next" href="' + SITE_URL + '/page/2.html">\n</head>');
-  }
-  if (!indexHtml.includes('og:image')) {
-    indexHtml = indexHtml.replace('</head>', '  <meta property="og:image" content="' + OG_IMAGE_URL + '">\n  <meta name="twitter:image" content="' + OG_IMAGE_URL + '">\n</head>');
-  }
-  fs.writeFileSync(indexPath, indexHtml, 'utf8');
-  console.log('Updated index.html');
+  const categoryTree = buildCategoryTree(declaredCategories, postsData);
+  const tagIndex = buildTagIndex(postsData);
+  // Everything the sidebar shows; list pages depend on it as well as on their own posts
+  const sidebar = hash(JSON.stringify([
+    categoryTree.all.map((c) => [c.name, c.slug, c.posts.length, c.children.map((ch) => ch.name)]),
+    tagIndex.map((t) => [t.name, t.slug, t.posts.length])
+  ]));
+  const dateArchive = buildDateArchive(postsData);
+  // 「過去の今月」 on index.html and archive.html changes with the calendar month as well as with the posts
+  const thisMonth = onThisMonth(dateArchive, now);
+  const thisMonthInputs = thisMonth.map((e) => [e.yearsAgo, e.year, e.month, e.posts.length, e.posts.slice(0, 3).map((p) => [p.slug, p.title])]);
 
   fs.mkdirSync(PAGE_DIR, { recursive: true });
-  let baseTemplate = fs.readFileSync(indexPath, 'utf8');
-  for (let pageNum = 2; pageNum <= totalPages; pageNum++) {
+  for (let pageNum = 1; pageNum <= Math.max(1, totalPages); pageNum++) {
     const start = (pageNum - 1) * PER_PAGE;
-    const pagePosts = postsData.slice(start, start + PER_PAGE);
-    const section = `<section class="latest">
-        <h2 class="section-title">最新記事</h2>
-${buildPreviews(pagePosts, '../', 0)}
-        ${buildPagination(pageNum, totalPages, '../')}
-      </section>`;
-    let pageHtml = baseTemplate.replace(/<section class="latest">[\s\S]*?<\/section>/, section);
-    const pageUrlFull = SITE_URL + '/page/' + pageNum + '.html';
-    pageHtml = pageHtml.replace(/<link rel="canonical" href="[^"]*">/, `<link rel="canonical" href="${pageUrlFull}">`);
-    pageHtml = pageHtml.replace(/<meta property="og:url" content="[^"]*">/, `<meta property="og:url" content="${pageUrlFull}">`);
-    pageHtml = pageHtml.replace(/<title>[^<]*<\/title>/, `<title>Page ${pageNum} — ${SITE_NAME}</title>`);
-    pageHtml = pageHtml.replace(/href="index.html"/g, 'href="../index.html"');
-    pageHtml = pageHtml.replace(/href="posts\//g, 'href="../posts/');
-    pageHtml = pageHtml.replace(/href="styles.css"/g, 'href="../styles.css"');
-    pageHtml = pageHtml.replace(/href="feed.xml"/g, 'href="../feed.xml"');
-    pageHtml = pageHtml.replace(/href="profile.html"/g, 'href="../profile.html"');
-    pageHtml = pageHtml.replace(/href="category\//g, 'href="../category/');
-    pageHtml = pageHtml.replace(/href="archive.html"/g, 'href="../archive.html"');
-    pageHtml = pageHtml.replace(/href="top.html"/g, 'href="../top.html"');
-    pageHtml = pageHtml.replace(/href="page\//g, 'href="../page/');
-    fs.writeFileSync(path.join(PAGE_DIR, pageNum + '.html'), pageHtml, 'utf8');
+    const posts = postsData.slice(start, start + PER_PAGE);
+    const file = pageNum === 1 ? path.join(OUT_DIR, 'index.html') : path.join(PAGE_DIR, pageNum + '.html');
+    const inputs = { posts, pageNum, totalPages, sidebar, thisMonth: pageNum === 1 ? thisMonthInputs : null };
+    emit(file, inputs, () => renderListPage({
+      siteUrl: SITE_URL,
+      posts,
+      pageNum,
+      totalPages,
+      tree: categoryTree,
+      tags: tagIndex,
+      onThisMonth: thisMonth
+    }));
   }
-  if (totalPages > 1) console.log('Wrote page/2.html through page/' + totalPages + '.html');
-
-  const archivePath = path.join(ROOT, 'archive.html');
-  const archiveTemplate = fs.readFileSync(archivePath, 'utf8');
-  const archiveBlocks = [];
-  archiveBlocks.push(`<p class="archive-pages-intro">全${postsData.length}件の記事一覧。新しい順。下のページ別リストから各記事へ直接リンクできます。</p>`);
-  for (let n = 1; n <= totalPages; n++) {
-    const start = (n - 1) * PER_PAGE;
-    const pagePosts = postsData.slice(start, start + PER_PAGE);
-    const pageHref = n === 1 ? 'index.html' : `page/${n}.html`;
-    archiveBlocks.push(`<div class="archive-page-block">`);
-    archiveBlocks.push(`<h3 class="archive-page-heading"><a href="${pageHref}">Page ${n}</a></h3>`);
-    archiveBlocks.push('<ul class="archive-post-list">');
-    pagePosts.forEach((p) => {
-      archiveBlocks.push(`<li><a href="posts/${p.slug}.html">${escapeHtml(p.title)}</a></li>`);
-    });
-    archiveBlocks.push('</ul></div>');
+  console.log('Wrote index.html' + (totalPages > 1 ? ' and page/2.html through page/' + totalPages + '.html' : ''));
+  for (const file of fs.readdirSync(PAGE_DIR)) {
+    const n = parseInt(file, 10);
+    if (file.endsWith('.html') && (!(n >= 2) || n > totalPages)) {
+      fs.unlinkSync(path.join(PAGE_DIR, file));
+      console.log('Removed orphan page:', file);
+    }
+  }
+
+  let topPosts = [];
+  if (fs.existsSync(TOP_POSTS_JSON)) {
+    try {
+      topPosts = JSON.parse(fs.readFileSync(TOP_POSTS_JSON, 'utf8')).map((slug) => bySlug.get(slug)).filter(Boolean);
+    } catch (e) {
+      console.warn('Could not read top-posts.json:', e.message);
+    }
+  }
+  if (topPosts.length > 0) {
+    emit(path.join(OUT_DIR, 'top.html'), { posts: topPosts, sidebar }, () => renderTopPage({ siteUrl: SITE_URL, posts: topPosts, tree: categoryTree, tags: tagIndex }));
+    console.log('Wrote top.html (' + topPosts.length + ' posts)');
+  }
+
+  // Category pages: one per category/subcategory (posts of itself + descendants), PER_PAGE per page
+  fs.mkdirSync(CATEGORY_DIR, { recursive: true });
+  const validCategoryFiles = new Set();
+  for (const cat of categoryTree.all) {
+    for (let n = 1; n <= cat.totalPages; n++) validCategoryFiles.add((n === 1 ? cat.slug : cat.slug + '-' + n) + '.html');
+  }
+  for (const cat of categoryTree.all) validCategoryFiles.add(cat.slug + '.xml');
+  for (const file of fs.readdirSync(CATEGORY_DIR)) {
+    if ((file.endsWith('.html') || file.endsWith('.xml')) && !validCategoryFiles.has(file)) {
+      fs.unlinkSync(path.join(CATEGORY_DIR, file));
+      console.log('Removed orphan category page:', file);
+    }
   }
-  const newArchive = archiveTemplate.replace(
-    /<div class="archive-list">[\s\S]*?<\/div>/,
-    `<div class="archive-list">\n        ${archiveBlocks.join('\n        ')}\n        </div>`
-  ).replace(/FUTARIGURASHI の全\d+記事一覧[\s\S]*?。/g, `FUTARIGURASHI の全${postsData.length}記事一覧。新しい順。各記事のタイトルから直接読めます。`).replace(/https:\/\/yoursite\.com/g, SITE_URL).replace(/https:\/\/futarigurashi\.example\.com/g, SITE_URL);
-  fs.writeFileSync(archivePath, newArchive, 'utf8');
-  console.log('Updated archive.html');
+  for (const cat of categoryTree.all) {
+    for (let pageNum = 1; pageNum <= cat.totalPages; pageNum++) {
+      const start = (pageNum - 1) * PER_PAGE;
+      const inputs = { name: cat.name, slug: cat.slug, posts: cat.posts.slice(start, start + PER_PAGE), pageNum, totalPages: cat.totalPages, sidebar };
+      const file = path.join(CATEGORY_DIR, (pageNum === 1 ? cat.slug : cat.slug + '-' + pageNum) + '.html');
+      emit(file, inputs, () => renderCategoryPage({ siteUrl: SITE_URL, category: cat, pageNum, tree: categoryTree, tags: tagIndex }));
+    }
+  }
+  console.log('Wrote category/ pages (' + categoryTree.all.length + ' categories, ' + PER_PAGE + ' per page)');
+
+  // Tag pages: tag/<slug>.html (+ -2, -3, …) per tag, and tags.html with the full cloud
+  fs.mkdirSync(TAG_DIR, { recursive: true });
+  const validTagFiles = new Set();
+  for (const tag of tagIndex) {
+    for (let n = 1; n <= tag.totalPages; n++) validTagFiles.add((n === 1 ? tag.slug : tag.slug + '-' + n) + '.html');
+  }
+  for (const file of fs.readdirSync(TAG_DIR)) {
+    if (file.endsWith('.html') && !validTagFiles.has(file)) {
+      fs.unlinkSync(path.join(TAG_DIR, file));
+      console.log('Removed orphan tag page:', file);
+    }
+  }
+  for (const tag of tagIndex) {
+    for (let pageNum = 1; pageNum <= tag.totalPages; pageNum++) {
+      const start = (pageNum - 1) * PER_PAGE;
+      const inputs = { name: tag.name, slug: tag.slug, posts: tag.posts.slice(start, start + PER_PAGE), pageNum, totalPages: tag.totalPages, sidebar };
+      const file = path.join(TAG_DIR, (pageNum === 1 ? tag.slug : tag.slug + '-' + pageNum) + '.html');
+      emit(file, inputs, () => renderTagPage({ siteUrl: SITE_URL, tag, pageNum, tree: categoryTree, tags: tagIndex }));
+    }
+  }
+  emit(path.join(OUT_DIR, 'tags.html'), { sidebar }, () => renderTagsPage({ siteUrl: SITE_URL, tags: tagIndex, tree: categoryTree }));
+  console.log('Wrote tag/ pages and tags.html (' + tagIndex.length + ' tags)');
+
+  // Date archives: archive.html lists years and months, archive/<year>.html and archive/<year>/<month>.html list their posts
+  const archiveMonths = [].concat(...dateArchive.map((y) => y.months));
+  const validArchiveFiles = new Set();
+  dateArchive.forEach((y) => {
+    validArchiveFiles.add(y.year + '.html');
+    y.months.forEach((m) => validArchiveFiles.add(y.year + '/' + m.month + '.html'));
+  });
+  removeOrphanArchivePages(validArchiveFiles);
+  const archiveInputs = { years: dateArchive.map((y) => [y.year, y.months.map((m) => [m.month, m.posts.length])]), thisMonth: thisMonthInputs };
+  emit(path.join(OUT_DIR, 'archive.html'), archiveInputs, () => renderArchivePage({ siteUrl: SITE_URL, archive: dateArchive, onThisMonth: thisMonth, total: postsData.length }));
+  dateArchive.forEach((y, i) => {
+    const newer = dateArchive[i - 1] || null;
+    const older = dateArchive[i + 1] || null;
+    const inputs = {
+      year: y.year,
+      months: y.months.map((m) => [m.month, m.posts.map((p) => [p.slug, p.title, p.date])]),
+      newer: newer && newer.year,
+      older: older && older.year,
+      sidebar
+    };
+    emit(path.join(ARCHIVE_DIR, y.year + '.html'), inputs, () => renderArchiveYearPage({ siteUrl: SITE_URL, year: y, newer, older, tree: categoryTree, tags: tagIndex }));
+  });
+  archiveMonths.forEach((m, i) => {
+    const newer = archiveMonths[i - 1] || null;
+    const older = archiveMonths[i + 1] || null;
+    const inputs = { posts: m.posts, newer: newer && [newer.year, newer.month], older: older && [older.year, older.month], sidebar };
+    emit(path.join(ARCHIVE_DIR, m.year, m.month + '.html'), inputs, () => renderArchiveMonthPage({ siteUrl: SITE_URL, month: m, newer, older, tree: categoryTree, tags: tagIndex }));
+  });
+  console.log('Wrote archive.html and archive/ pages (' + dateArchive.length + ' years, ' + archiveMonths.length + ' months)');
+
+  // Search: bigram index + body text (for exact matching and snippets), both newest first
+  const searchInputs = postsData.map((p) => [p.slug, hash(sources.get(p.slug).raw)]);
+  let search = null;
+  const buildSearch = () => search || (search = buildSearchIndex(postsData.map((p) => ({
+    ...p,
+    text: plainText(sources.get(p.slug).html)
+  }))));
+  emit(SEARCH_INDEX_JSON, searchInputs, () => JSON.stringify(buildSearch().index));
+  emit(SEARCH_TEXT_JSON, searchInputs, () => JSON.stringify(buildSearch().text));
+  emit(path.join(OUT_DIR, 'search.html'), { sidebar }, () => renderSearchPage({ siteUrl: SITE_URL, tree: categoryTree, tags: tagIndex }));
+  console.log('Wrote search.html and search index');
+
+  const siteStats = buildSiteStats(postsData);
+  emit(path.join(OUT_DIR, 'stats.html'), { siteStats, sidebar }, () => renderStatsPage({ siteUrl: SITE_URL, stats: siteStats, tree: categoryTree, tags: tagIndex }));
+  console.log('Wrote stats.html (' + siteStats.posts + ' posts, ' + siteStats.chars + ' characters)');
 
   const today = new Date().toISOString().slice(0, 10);
+  // top.html and profile.html are only there when there are top posts / a profile page
   const sitemapUrls = [
     { loc: '', priority: '1.0' },
-    { loc: '/top.html', priority: '0.9' },
-    { loc: '/profile.html', priority: '0.8' },
-    { loc: '/archive.html', priority: '0.8' }
-  ];
+    topPosts.length > 0 && { loc: '/top.html', priority: '0.9' },
+    fs.existsSync(PROFILE_HTML) && { loc: '/profile.html', priority: '0.8' },
+    { loc: '/archive.html', priority: '0.8' },
+    { loc: '/tags.html', priority: '0.6' },
+    { loc: '/stats.html', priority: '0.3' }
+  ].filter(Boolean);
   for (let n = 2; n <= totalPages; n++) sitemapUrls.push({ loc: '/page/' + n + '.html', priority: '0.7' });
+  for (const cat of categoryTree.all) {
+    for (let n = 1; n <= cat.totalPages; n++) sitemapUrls.push({ loc: '/category/' + (n === 1 ? cat.slug : cat.slug + '-' + n) + '.html', priority: '0.7' });
+  }
+  for (const tag of tagIndex) {
+    for (let n = 1; n <= tag.totalPages; n++) sitemapUrls.push({ loc: '/tag/' + (n === 1 ? tag.slug : tag.slug + '-' + n) + '.html', priority: '0.5' });
+  }
+  dateArchive.forEach((y) => {
+    sitemapUrls.push({ loc: '/archive/' + y.year + '.html', priority: '0.5' });
+    y.months.forEach((m) => sitemapUrls.push({ loc: '/archive/' + y.year + '/' + m.month + '.html', priority: '0.4' }));
+  });
   postsData.forEach((p) => sitemapUrls.push({ loc: '/posts/' + p.slug + '.html', priority: '0.6', lastmod: p.date }));
   const sitemapXml = '<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
     sitemapUrls.map((u) => {
@@ -384,19 +456,69 @@ ${buildPreviews(pagePosts, '../', 0)}
       const lastmod = u.lastmod || today;
       return '  <url><loc>' + escapeHtml(url) + '</loc><lastmod>' + lastmod + '</lastmod>' + (u.priority ? '<priority>' + u.priority + '</priority>' : '') + '</url>';
     }).join('\n') + '\n</urlset>';
-  fs.writeFileSync(path.join(ROOT, 'sitemap.xml'), sitemapXml, 'utf8');
+  emit(path.join(OUT_DIR, 'sitemap.xml'), sitemapXml, () => sitemapXml);
   console.log('Wrote sitemap.xml');
 
-  const feedEntries = postsData.slice(0, 50).map((p) => {
-    const postUrl = SITE_URL + '/posts/' + p.slug + '.html';
-    const summary = metaDescription(p.excerpt, 200);
-    return '    <entry><title>' + escapeHtml(p.title) + '</title><link href="' + escapeHtml(postUrl) + '"/><id>urn:post:' + escapeHtml(p.slug) + '</id><updated>' + p.date + 'T00:00:00Z</updated><summary>' + escapeHtml(summary) + '</summary></entry>';
-  }).join('\n');
-  const feedXml = '<?xml version="1.0" encoding="UTF-8"?>\n<feed xmlns="http://www.w3.org/2005/Atom">\n  <title>' + escapeHtml(SITE_NAME) + '</title>\n  <link href="' + escapeHtml(SITE_URL) + '/"/>\n  <link href="' + escapeHtml(SITE_URL) + '/feed.xml" rel="self" type="application/atom+xml"/>\n  <updated>' + today + 'T00:00:00Z</updated>\n  <id>' + escapeHtml(SITE_URL) + '/</id>\n' + feedEntries + '\n</feed>';
-  fs.writeFileSync(path.join(ROOT, 'feed.xml'), feedXml, 'utf8');
-  console.log('Wrote feed.xml');
+  // Feeds: Atom, RSS 2.0 and JSON Feed summaries, a full-content Atom feed, and an Atom feed per category
+  const feedItem = (p, full) => {
+    const url = SITE_URL + '/posts/' + p.slug + '.html';
+    const item = { slug: p.slug, title: p.title, url, ...times.get(p.slug), categories: p.categories, summary: metaDescription(plainText(p.excerpt), 200) };
+    if (full) item.contentHtml = absoluteUrls(postHtml(p.slug), url);
+    return item;
+  };
+  const siteFeed = (file, title) => ({ title, description: SITE_DESCRIPTION, homeUrl: SITE_URL + '/', selfUrl: SITE_URL + '/' + file });
+  const feedItems = postsData.slice(0, FEED_LIMIT).map((p) => feedItem(p));
+  const feeds = [
+    ['feed.xml', atomFeed(siteFeed('feed.xml', SITE_NAME), feedItems)],
+    ['rss.xml', rssFeed(siteFeed('rss.xml', SITE_NAME), feedItems)],
+    ['feed.json', jsonFeed(siteFeed('feed.json', SITE_NAME), feedItems)],
+    ['feed-full.xml', atomFeed(siteFeed('feed-full.xml', SITE_NAME + '（全文）'), postsData.slice(0, FULL_FEED_LIMIT).map((p) => feedItem(p, true)))]
+  ];
+  for (const cat of categoryTree.all) {
+    const feed = { title: SITE_NAME + ' — ' + cat.name, description: cat.name + ' カテゴリーの記事', homeUrl: SITE_URL + '/category/' + cat.slug + '.html', selfUrl: SITE_URL + '/category/' + cat.slug + '.xml' };
+    feeds.push(['category/' + cat.slug + '.xml', atomFeed(feed, cat.posts.slice(0, FEED_LIMIT).map((p) => feedItem(p)))]);
+  }
+  feeds.forEach(([file, body]) => emit(path.join(OUT_DIR, file), body, () => body));
+  console.log('Wrote feed.xml, rss.xml, feed.json, feed-full.xml and ' + categoryTree.all.length + ' category feeds');
+
+  const robotsTxt = 'User-agent: *\nAllow: /\n\nSitemap: ' + SITE_URL + '/sitemap.xml\n';
+  emit(path.join(OUT_DIR, 'robots.txt'), robotsTxt, () => robotsTxt);
 
-  console.log('Done.');
+  // The hand-written profile page, with canonical/og:url for SITE_URL
+  if (fs.existsSync(PROFILE_HTML)) {
+    const profile = fs.readFileSync(PROFILE_HTML, 'utf8');
+    emit(path.join(OUT_DIR, 'profile.html'), profile, () => staticPageHtml(profile, 'profile.html', SITE_URL));
+  }
+
+  // Anything the last build wrote that this one didn't (a removed page or feed) goes
+  const dropped = Object.keys(previous).filter((rel) => !(rel in outputs));
+  dropped.forEach((rel) => fs.rmSync(path.join(OUT_DIR, rel), { force: true }));
+  if (dropped.length) console.log('Removed', dropped.length, 'outdated file' + (dropped.length > 1 ? 's' : ''));
+
+  const imageStats = images.finish();
+  console.log('Images: ' + imageStats.images + ' local, ' + imageStats.variants + ' resized variants (' + imageStats.encoded + ' encoded, ' + imageStats.removed + ' removed)');
+  if (imageStats.deferred) console.log('Images: ' + imageStats.deferred + ' deferred (over --image-limit); run npm run build:images to make their variants');
+  output.copyStatic();
+
+  if (CHECK_LINKS) {
+    const result = checkSite(OUT_DIR);
+    console.log('\n' + formatReport(result) + '\n');
+    if (STRICT_LINKS && result.problems.length) {
+      output.discard();
+      console.error('Build failed: the link check found problems (--strict). dist/ was left as it was.');
+      process.exit(1);
+    }
+  }
+
+  output.commit();
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify({ version: MANIFEST_VERSION, template, config, outputs }, null, 2), 'utf8');
+  console.log('Done. ' + stats.written + ' files written, ' + stats.unchanged + ' unchanged; dist/ updated.');
 }
 
-main();
+try {
+  main();
+} catch (e) {
+  // dist/ is untouched; drop the half-written staging folder
+  fs.rmSync(OUT_DIR, { recursive: true, force: true });
+  throw e;
+}
@@ -0,0 +1,37 @@
+/**
+ * Make the resized image variants (resized/) for every post the build publishes, with no limit, without
+ * building the site. Run it once after cloning or on a new server (resized/ isn't committed), so builds that
+ * follow only encode new images; the writer server also runs it in the background whenever a build had to defer
+ * images (--image-limit). Progress is saved after each image, so it can be stopped and run again.
+ *
+ * Usage: node scripts/build-images.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./lib/frontmatter');
+const { isScheduled } = require('./lib/post-schema');
+const { createImagePipeline } = require('./lib/images');
+
+const ROOT = path.join(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'content');
+
+const images = createImagePipeline(ROOT);
+const now = new Date();
+let posts = 0;
+if (fs.existsSync(CONTENT_DIR)) {
+  for (const file of fs.readdirSync(CONTENT_DIR).filter((f) => f.endsWith('.md'))) {
+    let parsed;
+    try {
+      parsed = parseFrontmatter(fs.readFileSync(path.join(CONTENT_DIR, file), 'utf8'));
+    } catch (e) {
+      // the build reports invalid frontmatter
+      continue;
+    }
+    if (parsed.meta.draft === true || isScheduled(parsed.meta, now)) continue;
+    images.prepare(parsed.body, 'posts');
+    posts++;
+  }
+}
+const stats = images.finish();
+console.log('Images for ' + posts + ' posts: ' + stats.images + ' local, ' + stats.variants + ' resized variants (' + stats.encoded + ' encoded, ' + stats.removed + ' removed)');
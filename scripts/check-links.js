@@ -0,0 +1,23 @@
+/**
+ * Check the generated site in dist/ for broken internal links, missing #anchors, missing images/video and links
+ * still pointing at the old WordPress domain (see scripts/lib/link-check.js). Run after a build.
+ *
+ * Usage: node scripts/check-links.js [--strict] [--all]
+ *   --strict  exit with status 1 if anything is reported (for CI)
+ *   --all     list every page referencing a broken target, not just the first three
+ */
+
+const path = require('path');
+const { checkSite, formatReport } = require('./lib/link-check');
+const { distDir } = require('./lib/output');
+
+const ROOT = path.join(__dirname, '..');
+const STRICT = process.argv.includes('--strict');
+const ALL = process.argv.includes('--all');
+
+const result = checkSite(distDir(ROOT));
+console.log(formatReport(result, ALL ? Infinity : 3));
+if (STRICT && result.problems.length) {
+  console.error('\nLink check failed (--strict).');
+  process.exit(1);
+}
@@ -0,0 +1,22 @@
+/**
+ * Publish the last build (dist/) to the pages branch and push it. Run the build first.
+ *
+ * Usage: node scripts/deploy.js [--no-push] [message]
+ *   --no-push  only commit to the local branch
+ * Env: PAGES_BRANCH (default gh-pages)
+ */
+
+const path = require('path');
+const { PAGES_BRANCH, deployDist } = require('./lib/deploy');
+
+const ROOT = path.join(__dirname, '..');
+const args = process.argv.slice(2);
+const push = !args.includes('--no-push');
+const message = args.filter((a) => a !== '--no-push').join(' ') || 'Publish site';
+
+const result = deployDist(ROOT, message, { push });
+if (!result.ok) {
+  console.error('Deploy failed:', result.error);
+  process.exit(1);
+}
+console.log((result.committed ? 'Committed ' + result.commit.slice(0, 7) + ' to ' + PAGES_BRANCH : PAGES_BRANCH + ' already matches dist/') + (push ? '; pushed.' : '.'));
@@ -0,0 +1,215 @@
+/**
+ * Local dev server: builds the site, serves dist/ and rebuilds when a source changes.
+ * Watches content/, scripts/ (layouts and build code), data/, site.config.json, styles.css, profile.html, images/ and uploads/.
+ * Each change runs an incremental build (scripts/build-from-markdown.js, in a child process so edited layouts
+ * are picked up) and open tabs reload; a change to styles.css alone swaps the stylesheet without a reload.
+ * When a build fails, dist/ keeps the last good site and open tabs show the error in an overlay until the next
+ * build succeeds.
+ *
+ * Usage: node scripts/dev-server.js   (npm run dev)
+ * Env: PORT (default 3000), BIND (default 127.0.0.1)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { distDir } = require('./lib/output');
+const { contentType } = require('./lib/http');
+
+const ROOT = path.join(__dirname, '..');
+const DIST_DIR = distDir(ROOT);
+const PORT = parseInt(process.env.PORT || '3000', 10);
+const BIND = process.env.BIND || '127.0.0.1';
+
+const WATCHED = ['content', 'scripts', 'data', 'site.config.json', 'styles.css', 'profile.html', 'images', 'uploads'];
+const DEBOUNCE_MS = 150;
+const KEEPALIVE_MS = 30 * 1000;
+const EVENTS_PATH = '/__dev/events';
+
+/** Added before </body> of every HTML page served. */
+const CLIENT_SCRIPT = `<script>
+(function () {
+  var overlay = null;
+  function hideError() {
+    if (overlay) overlay.remove();
+    overlay = null;
+  }
+  function showError(text) {
+    hideError();
+    overlay = document.createElement('div');
+    overlay.setAttribute('style', 'position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:2rem;background:rgba(20,20,20,.92);color:#f3f3f3;font:14px/1.6 ui-monospace,Menlo,monospace');
+    var title = document.createElement('p');
+    title.setAttribute('style', 'margin:0 0 1rem;color:#ff8a80;font-weight:bold');
+    title.textContent = 'ビルドに失敗しました（表示中のページは前回のビルドです）';
+    var pre = document.createElement('pre');
+    pre.setAttribute('style', 'margin:0;white-space:pre-wrap');
+    pre.textContent = text;
+    var close = document.createElement('button');
+    close.textContent = '閉じる';
+    close.setAttribute('style', 'position:absolute;top:1rem;right:1rem');
+    close.onclick = hideError;
+    overlay.append(title, pre, close);
+    document.body.appendChild(overlay);
+  }
+  var events = new EventSource('${EVENTS_PATH}');
+  events.addEventListener('reload', function () { location.reload(); });
+  events.addEventListener('css', function () {
+    hideError();
+    document.querySelectorAll('link[rel="stylesheet"]').forEach(function (link) {
+      var url = new URL(link.href);
+      if (url.origin !== location.origin) return;
+      url.searchParams.set('t', Date.now());
+      link.href = url.href;
+    });
+  });
+  events.addEventListener('build-error', function (e) { showError(JSON.parse(e.data).message); });
+})();
+</script>
+`;
+
+const clients = new Set();
+let lastError = null;
+
+function send(res, event, data) {
+  res.write('event: ' + event + '\ndata: ' + JSON.stringify(data || {}) + '\n\n');
+}
+
+function broadcast(event, data) {
+  clients.forEach((res) => send(res, event, data));
+}
+
+/** Build runs one at a time; changes made during a build queue one more. */
+let building = false;
+let pending = null;
+
+function build(changed) {
+  if (building) {
+    pending = (pending || []).concat(changed);
+    return;
+  }
+  building = true;
+  const started = Date.now();
+  const child = spawn(process.execPath, [path.join(__dirname, 'build-from-markdown.js')], { cwd: ROOT });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', (chunk) => { stdout += chunk; });
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+  child.on('close', (code) => {
+    building = false;
+    const seconds = ((Date.now() - started) / 1000).toFixed(1);
+    if (code === 0) {
+      lastError = null;
+      const done = stdout.split('\n').filter((line) => line.startsWith('Done.')).pop();
+      console.log('Built in ' + seconds + 's' + (done ? ': ' + done.replace(/^Done\. /, '') : ''));
+      const cssOnly = changed.length > 0 && changed.every((file) => file === 'styles.css');
+      broadcast(cssOnly ? 'css' : 'reload');
+    } else {
+      lastError = (stderr || stdout).trim() || 'Build exited with status ' + code;
+      console.error('Build failed after ' + seconds + 's:\n' + lastError);
+      broadcast('build-error', { message: lastError });
+    }
+    if (pending) {
+      const next = pending;
+      pending = null;
+      build(next);
+    }
+  });
+}
+
+function ignored(file) {
+  const name = path.basename(file);
+  // editor swap/backup files and macOS metadata
+  return name.startsWith('.') || name.endsWith('~') || name.endsWith('.swp') || name === 'Thumbs.db';
+}
+
+function watch() {
+  let timer = null;
+  let changed = [];
+  const onChange = (rel) => {
+    if (ignored(rel)) return;
+    changed.push(rel.split(path.sep).join('/'));
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const batch = [...new Set(changed)];
+      changed = [];
+      console.log('Changed: ' + batch.slice(0, 3).join(', ') + (batch.length > 3 ? ' and ' + (batch.length - 3) + ' more' : ''));
+      build(batch);
+    }, DEBOUNCE_MS);
+  };
+  for (const name of WATCHED) {
+    const target = path.join(ROOT, name);
+    if (!fs.existsSync(target)) continue;
+    const isDir = fs.statSync(target).isDirectory();
+    fs.watch(target, { recursive: isDir }, (type, file) => {
+      onChange(isDir ? path.join(name, String(file || '')) : name);
+    });
+  }
+}
+
+function serveEvents(req, res) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.write(': connected\n\n');
+  if (lastError) send(res, 'build-error', { message: lastError });
+  clients.add(res);
+  const keepalive = setInterval(() => res.write(': ping\n\n'), KEEPALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    clients.delete(res);
+  });
+}
+
+function serveFile(req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (e) {
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+  let file = path.join(DIST_DIR, pathname);
+  if (file !== DIST_DIR && !file.startsWith(DIST_DIR + path.sep)) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<!DOCTYPE html><meta charset="utf-8"><title>Not found</title><p>Not found: ' + pathname.replace(/[<>&]/g, '') + '</p>' + CLIENT_SCRIPT);
+      return;
+    }
+    const ext = path.extname(file).toLowerCase();
+    const headers = { 'Content-Type': contentType(file), 'Cache-Control': 'no-store' };
+    if (ext === '.html') {
+      const html = data.toString('utf8');
+      const at = html.lastIndexOf('</body>');
+      data = Buffer.from(at === -1 ? html + CLIENT_SCRIPT : html.slice(0, at) + CLIENT_SCRIPT + html.slice(at), 'utf8');
+    }
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  if (req.url === EVENTS_PATH) {
+    serveEvents(req, res);
+    return;
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405);
+    res.end('Method not allowed');
+    return;
+  }
+  serveFile(req, res);
+});
+
+console.log('Building…');
+build([]);
+watch();
+server.listen(PORT, BIND, () => {
+  console.log('Dev server running at http://' + (BIND === '0.0.0.0' ? 'localhost' : BIND) + ':' + PORT + '/');
+  console.log('Watching ' + WATCHED.join(', ') + '. Stop with Ctrl+C.');
+});
@@ -0,0 +1,149 @@
+/**
+ * Writer accounts and sessions (writer-server.js, scripts/writer-users.js).
+ * Users live in a JSON file outside git (users.json by default): [{ username, role, password, created }], where
+ * password is "scrypt$<salt>$<hash>". Roles: author (write and save drafts) and editor (also publish, schedule,
+ * revert and delete). Sessions are random tokens kept in memory, so restarting the server logs everyone out.
+ * Each session also has a CSRF token that the writer sends back in an X-CSRF-Token header on every change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLES = ['author', 'editor'];
+const SESSION_COOKIE = 'writer_session';
+const SESSION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return 'scrypt$' + salt + '$' + crypto.scryptSync(String(password), salt, KEY_LENGTH).toString('hex');
+}
+
+/** Whether password matches a stored "scrypt$<salt>$<hash>"; a hash that isn't KEY_LENGTH bytes of hex never matches. */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  // Buffer.from drops bad hex, and an empty buffer would equal any password's empty hash
+  if (scheme !== 'scrypt' || !salt || !new RegExp('^[0-9a-f]{' + KEY_LENGTH * 2 + '}$', 'i').test(hash || '')) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/** Usernames are what people type to log in: letters, digits, . _ - */
+function validUsername(name) {
+  return /^[a-z0-9._-]{1,32}$/i.test(String(name || ''));
+}
+
+/** Users from file, [] when it doesn't exist. */
+function readUsers(file) {
+  if (!fs.existsSync(file)) return [];
+  const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(list)) throw new Error(file + ' must contain a list of users');
+  return list;
+}
+
+function writeUsers(file, users) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(users, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+}
+
+/** The user with that name and password, or null. Runs a hash either way so timing doesn't reveal usernames. */
+function authenticate(users, username, password) {
+  const user = users.find((u) => u.username === username);
+  const ok = verifyPassword(password, user ? user.password : 'scrypt$00$' + '00'.repeat(KEY_LENGTH));
+  return ok && user ? user : null;
+}
+
+/** Constant-time comparison of two token strings. */
+function tokensMatch(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/** True for a connection from this machine (127.0.0.0/8 or ::1, also as IPv4-mapped IPv6). */
+function isLoopback(address) {
+  const ip = String(address || '').replace(/^::ffff:/i, '');
+  return ip === '::1' || /^127\.\d+\.\d+\.\d+$/.test(ip);
+}
+
+function can(role, action) {
+  if (action === 'write') return ROLES.includes(role);
+  if (action === 'publish') return role === 'editor';
+  return false;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach((part) => {
+    const i = part.indexOf('=');
+    if (i === -1) return;
+    const name = part.slice(0, i).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (e) {
+      // ignore malformed values
+    }
+  });
+  return cookies;
+}
+
+/** Set-Cookie value for a session token; an empty token clears the cookie. */
+function sessionCookie(token, secure) {
+  const attrs = [SESSION_COOKIE + '=' + (token || ''), 'Path=/', 'HttpOnly', 'SameSite=Strict', 'Max-Age=' + (token ? Math.floor(SESSION_TTL_MS / 1000) : 0)];
+  if (secure) attrs.push('Secure');
+  return attrs.join('; ');
+}
+
+/**
+ * In-memory sessions: create(username) and get(token) return { token, username, csrf, expires } (get returns
+ * null for unknown or expired tokens and extends the rest); destroy(token).
+ */
+function createSessions() {
+  const sessions = new Map();
+  return {
+    create(username) {
+      const session = { token: randomToken(), username, csrf: randomToken(), expires: Date.now() + SESSION_TTL_MS };
+      sessions.set(session.token, session);
+      return session;
+    },
+    get(token) {
+      const session = token ? sessions.get(token) : null;
+      if (!session) return null;
+      if (session.expires < Date.now()) {
+        sessions.delete(token);
+        return null;
+      }
+      session.expires = Date.now() + SESSION_TTL_MS;
+      return session;
+    },
+    destroy(token) {
+      sessions.delete(token);
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  validUsername,
+  readUsers,
+  writeUsers,
+  authenticate,
+  tokensMatch,
+  randomToken,
+  isLoopback,
+  can,
+  parseCookies,
+  sessionCookie,
+  createSessions
+};
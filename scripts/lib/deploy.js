@@ -0,0 +1,66 @@
+/**
+ * Publish dist/ to the pages branch (PAGES_BRANCH, default gh-pages) without checking it out: the files are
+ * added to a throwaway index, committed on top of the branch's last commit and pushed. The sources stay on main.
+ * Used by the writer server after a build and by scripts/deploy.js.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { distDir } = require('./output');
+
+const PAGES_BRANCH = process.env.PAGES_BRANCH || 'gh-pages';
+const PUSH_TIMEOUT_MS = 120000;
+
+function git(root, args, options) {
+  const r = spawnSync('git', args, { cwd: root, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, ...options });
+  return { ok: r.status === 0, stdout: (r.stdout || '').trim(), stderr: (r.stderr || '').trim() };
+}
+
+/**
+ * Commit dist/ to the pages branch if it changed since the last deploy, then push the branch.
+ * Returns { ok, committed, commit, error }.
+ */
+function deployDist(root, message, options) {
+  const opts = options || {};
+  const branch = opts.branch || PAGES_BRANCH;
+  const ref = 'refs/heads/' + branch;
+  const dist = distDir(root);
+  if (!fs.existsSync(dist)) return { ok: false, committed: false, error: 'dist/ does not exist; run the build first' };
+
+  const indexFile = path.join(os.tmpdir(), 'futarigurashi-deploy-' + process.pid + '.index');
+  const env = { ...process.env, GIT_INDEX_FILE: indexFile };
+  let tree;
+  try {
+    const add = git(root, ['--work-tree=' + dist, 'add', '-A', '.'], { env });
+    if (!add.ok) return { ok: false, committed: false, error: add.stderr || 'git add failed' };
+    const write = git(root, ['write-tree'], { env });
+    if (!write.ok) return { ok: false, committed: false, error: write.stderr || 'git write-tree failed' };
+    tree = write.stdout;
+  } finally {
+    fs.rmSync(indexFile, { force: true });
+  }
+
+  const parent = git(root, ['rev-parse', '--verify', '--quiet', ref]);
+  let commit = parent.ok ? parent.stdout : null;
+  const committed = !parent.ok || git(root, ['rev-parse', ref + '^{tree}']).stdout !== tree;
+  if (committed) {
+    const args = ['commit-tree', tree, '-m', message || 'Publish site'];
+    if (parent.ok) args.push('-p', parent.stdout);
+    const created = git(root, args);
+    if (!created.ok) return { ok: false, committed: false, error: created.stderr || 'git commit-tree failed' };
+    commit = created.stdout;
+    const update = git(root, ['update-ref', ref, commit]);
+    if (!update.ok) return { ok: false, committed: false, error: update.stderr || 'git update-ref failed' };
+  }
+
+  if (opts.push === false) return { ok: true, committed, commit };
+  const push = git(root, ['push', 'origin', branch], { timeout: PUSH_TIMEOUT_MS });
+  return { ok: push.ok, committed, commit, error: push.ok ? '' : (push.stderr || 'git push failed') };
+}
+
+module.exports = {
+  PAGES_BRANCH,
+  deployDist
+};
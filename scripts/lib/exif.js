@@ -0,0 +1,195 @@
+/**
+ * Just enough EXIF for uploads (scripts/lib/media.js): the orientation, capture date and whether there is GPS
+ * data in a JPEG, plus removing metadata from JPEG, PNG and WebP files without re-encoding them.
+ */
+
+const ORIENTATION = 0x0112;
+const EXIF_IFD = 0x8769;
+const GPS_IFD = 0x8825;
+const DATE_TIME_ORIGINAL = 0x9003;
+const OFFSET_TIME_ORIGINAL = 0x9011;
+
+/** JPEG APPn segments that are kept when stripping: JFIF (APP0), ICC profile (APP2) and Adobe colour info (APP14). */
+const KEEP_JPEG_APP = new Set([0xe0, 0xe2, 0xee]);
+const STRIP_PNG_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+const STRIP_WEBP_CHUNKS = new Set(['EXIF', 'XMP ']);
+
+/** JPEG segments before the image data: [{ marker, start, end }] (end is exclusive), and where the scan starts. */
+function jpegSegments(buf) {
+  const segments = [];
+  let i = 2;
+  while (i + 4 <= buf.length && buf[i] === 0xff) {
+    const marker = buf[i + 1];
+    if (marker === 0xff) {
+      i++;
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) return { segments, scan: i };
+    const end = i + 2 + buf.readUInt16BE(i + 2);
+    segments.push({ marker, start: i, end });
+    i = end;
+  }
+  return { segments, scan: i };
+}
+
+/**
+ * { orientation, captured, hasGps, segment, orientationAt } from a JPEG's EXIF, or null when it has none.
+ * captured is the DateTimeOriginal as "YYYY-MM-DDTHH:MM:SS" (plus the offset when recorded), or null;
+ * segment is the whole APP1 segment and orientationAt the position of the orientation value inside it.
+ */
+function readExif(buf) {
+  if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+  const app1 = jpegSegments(buf).segments.find((s) => s.marker === 0xe1 && buf.toString('latin1', s.start + 4, s.start + 10) === 'Exif\0\0');
+  if (!app1) return null;
+  const tiff = app1.start + 10;
+  const little = buf.toString('latin1', tiff, tiff + 2) === 'II';
+  const u16 = (at) => (little ? buf.readUInt16LE(at) : buf.readUInt16BE(at));
+  const u32 = (at) => (little ? buf.readUInt32LE(at) : buf.readUInt32BE(at));
+  const ascii = (entry) => {
+    const count = u32(entry + 4);
+    const at = count <= 4 ? entry + 8 : tiff + u32(entry + 8);
+    return buf.toString('latin1', at, Math.min(at + count, app1.end)).replace(/\0.*$/, '').trim();
+  };
+  /** Tag → position of its 12-byte entry, for the IFD at offset. */
+  const readIfd = (offset) => {
+    const entries = new Map();
+    const at = tiff + offset;
+    if (!offset || at + 2 > app1.end) return entries;
+    const count = u16(at);
+    for (let n = 0; n < count && at + 2 + (n + 1) * 12 <= app1.end; n++) entries.set(u16(at + 2 + n * 12), at + 2 + n * 12);
+    return entries;
+  };
+  const result = { orientation: 1, captured: null, hasGps: false, segment: buf.subarray(app1.start, app1.end), orientationAt: -1 };
+  try {
+    const ifd0 = readIfd(u32(tiff + 4));
+    if (ifd0.has(ORIENTATION)) {
+      result.orientation = u16(ifd0.get(ORIENTATION) + 8);
+      result.orientationAt = ifd0.get(ORIENTATION) + 8 - app1.start;
+    }
+    result.hasGps = ifd0.has(GPS_IFD);
+    if (ifd0.has(EXIF_IFD)) {
+      const exif = readIfd(u32(ifd0.get(EXIF_IFD) + 8));
+      const m = exif.has(DATE_TIME_ORIGINAL) && /^(\d{4}):(\d\d):(\d\d) (\d\d:\d\d:\d\d)/.exec(ascii(exif.get(DATE_TIME_ORIGINAL)));
+      if (m && m[1] !== '0000') {
+        const offset = exif.has(OFFSET_TIME_ORIGINAL) ? ascii(exif.get(OFFSET_TIME_ORIGINAL)) : '';
+        result.captured = m[1] + '-' + m[2] + '-' + m[3] + 'T' + m[4] + (/^[+-]\d\d:\d\d$/.test(offset) ? offset : '');
+      }
+    }
+  } catch (e) {
+    // truncated or odd EXIF: keep what was read
+  }
+  return result;
+}
+
+/** An EXIF APP1 segment with nothing but the orientation tag (big-endian TIFF, one IFD0 entry). */
+function orientationSegment(orientation) {
+  const segment = Buffer.alloc(36);
+  segment.writeUInt16BE(0xffe1, 0);
+  segment.writeUInt16BE(segment.length - 2, 2);
+  segment.write('Exif\0\0MM', 4, 'latin1');
+  segment.writeUInt16BE(42, 12);
+  segment.writeUInt32BE(8, 14);
+  segment.writeUInt16BE(1, 18);
+  segment.writeUInt16BE(ORIENTATION, 20);
+  segment.writeUInt16BE(3, 22); // SHORT
+  segment.writeUInt32BE(1, 24);
+  segment.writeUInt16BE(orientation, 28);
+  return segment;
+}
+
+/**
+ * A JPEG without EXIF, XMP, IPTC and comments; the image data is copied as is. An orientation of 2–8 is written
+ * back in an EXIF segment of its own, so a photo that couldn't be turned upright still shows the right way up.
+ */
+function stripJpegMetadata(buf, orientation) {
+  const { segments, scan } = jpegSegments(buf);
+  const keep = segments
+    .filter((s) => !(s.marker >= 0xe0 && s.marker <= 0xef && !KEEP_JPEG_APP.has(s.marker)) && s.marker !== 0xfe)
+    .map((s) => buf.subarray(s.start, s.end));
+  if (orientation >= 2 && orientation <= 8) keep.splice(keep.length && keep[0][1] === 0xe0 ? 1 : 0, 0, orientationSegment(orientation));
+  return Buffer.concat([buf.subarray(0, 2), ...keep, buf.subarray(scan)]);
+}
+
+/** A PNG without eXIf, text and tIME chunks. */
+function stripPngMetadata(buf) {
+  const parts = [buf.subarray(0, 8)];
+  let i = 8;
+  while (i + 12 <= buf.length) {
+    const end = i + 12 + buf.readUInt32BE(i);
+    if (!STRIP_PNG_CHUNKS.has(buf.toString('latin1', i + 4, i + 8))) parts.push(buf.subarray(i, end));
+    i = end;
+  }
+  return Buffer.concat(parts);
+}
+
+/** A WebP without EXIF and XMP chunks (and their flags in VP8X cleared). */
+function stripWebpMetadata(buf) {
+  const parts = [];
+  let i = 12;
+  while (i + 8 <= buf.length) {
+    const size = buf.readUInt32LE(i + 4);
+    const end = Math.min(buf.length, i + 8 + size + (size % 2));
+    const id = buf.toString('latin1', i, i + 4);
+    if (!STRIP_WEBP_CHUNKS.has(id)) {
+      const chunk = Buffer.from(buf.subarray(i, end));
+      if (id === 'VP8X') chunk[8] &= ~0x0c;
+      parts.push(chunk);
+    }
+    i = end;
+  }
+  const body = Buffer.concat(parts);
+  const header = Buffer.from(buf.subarray(0, 12));
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * The file without metadata, by type ('jpeg', 'png', 'webp'); other types are returned unchanged. For a JPEG,
+ * pass the EXIF orientation to keep it (see stripJpegMetadata).
+ */
+function stripMetadata(buf, type, orientation) {
+  if (type === 'jpeg') return stripJpegMetadata(buf, orientation);
+  if (type === 'png') return stripPngMetadata(buf);
+  if (type === 'webp') return stripWebpMetadata(buf);
+  return buf;
+}
+
+/**
+ * Turn decoded RGBA pixels upright for an EXIF orientation (2–8 mirror and/or rotate).
+ * Returns { data, width, height }.
+ */
+function orientRgba(data, width, height, orientation) {
+  if (!(orientation >= 2 && orientation <= 8)) return { data, width, height };
+  const swap = orientation >= 5;
+  const outW = swap ? height : width;
+  const outH = swap ? width : height;
+  const out = Buffer.alloc(data.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let dx;
+      let dy;
+      switch (orientation) {
+        case 2: dx = width - 1 - x; dy = y; break;
+        case 3: dx = width - 1 - x; dy = height - 1 - y; break;
+        case 4: dx = x; dy = height - 1 - y; break;
+        case 5: dx = y; dy = x; break;
+        case 6: dx = height - 1 - y; dy = x; break;
+        case 7: dx = height - 1 - y; dy = width - 1 - x; break;
+        default: dx = y; dy = width - 1 - x;
+      }
+      const from = (y * width + x) * 4;
+      const to = (dy * outW + dx) * 4;
+      out[to] = data[from];
+      out[to + 1] = data[from + 1];
+      out[to + 2] = data[from + 2];
+      out[to + 3] = data[from + 3];
+    }
+  }
+  return { data: out, width: outW, height: outH };
+}
+
+module.exports = {
+  readExif,
+  stripMetadata,
+  orientRgba
+};
@@ -0,0 +1,120 @@
+/**
+ * Feed documents written by build-from-markdown.js:
+ *   feed.xml       Atom, summaries            rss.xml             RSS 2.0, summaries
+ *   feed.json      JSON Feed 1.1, summaries   feed-full.xml       Atom, full post HTML with absolute URLs
+ *   category/<slug>.xml  Atom, summaries of one category (and its subcategories)
+ * The site-wide ones are listed in SITE_FEEDS (render.js) so every page head advertises them.
+ *
+ * feed:  { title, description, homeUrl, selfUrl }
+ * items: [{ slug, title, url, published, updated, categories, summary, contentHtml? }], newest first;
+ *        published/updated are ISO timestamps. Items with contentHtml get full content, the rest summaries only.
+ */
+
+const { SITE_NAME } = require('./render');
+
+const FEED_LIMIT = 50;
+/** The full-content feed carries whole posts, so it is kept shorter. */
+const FULL_FEED_LIMIT = 20;
+
+/** Characters XML 1.0 does not allow, which old WordPress content sometimes has. */
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+
+function xmlEscape(s) {
+  return String(s == null ? '' : s)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Relative src/href/srcset URLs in post HTML resolved against the post's own URL, so feed readers can load them. */
+function absoluteUrls(html, pageUrl) {
+  const resolve = (url) => {
+    try {
+      return new URL(url, pageUrl).href;
+    } catch (e) {
+      return url;
+    }
+  };
+  return String(html || '')
+    .replace(/\b(src|href)=(["'])([^"']*)\2/gi, (m, attr, q, url) => attr + '=' + q + resolve(url.trim()) + q)
+    .replace(/\bsrcset=(["'])([^"']*)\1/gi, (m, q, set) => 'srcset=' + q + set.split(',').map((part) => {
+      const [url, ...descriptor] = part.trim().split(/\s+/);
+      return [resolve(url)].concat(descriptor).join(' ');
+    }).join(', ') + q);
+}
+
+/** Latest `updated` of the items (the feed's own updated time), or the epoch for an empty feed. */
+function feedUpdated(items) {
+  return items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0).toISOString());
+}
+
+function atomFeed(feed, items) {
+  const entries = items.map((item) => {
+    const categories = (item.categories || []).map((c) => '<category term="' + xmlEscape(c) + '"/>').join('');
+    const body = item.contentHtml != null
+      ? '<summary>' + xmlEscape(item.summary) + '</summary><content type="html">' + xmlEscape(item.contentHtml) + '</content>'
+      : '<summary>' + xmlEscape(item.summary) + '</summary>';
+    return '    <entry><title>' + xmlEscape(item.title) + '</title><link href="' + xmlEscape(item.url) + '"/><id>urn:post:' + xmlEscape(item.slug) + '</id>' +
+      '<published>' + item.published + '</published><updated>' + item.updated + '</updated>' + categories + body + '</entry>';
+  });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="ja">\n' +
+    '  <title>' + xmlEscape(feed.title) + '</title>\n' +
+    (feed.description ? '  <subtitle>' + xmlEscape(feed.description) + '</subtitle>\n' : '') +
+    '  <link href="' + xmlEscape(feed.homeUrl) + '"/>\n' +
+    '  <link href="' + xmlEscape(feed.selfUrl) + '" rel="self" type="application/atom+xml"/>\n' +
+    '  <updated>' + feedUpdated(items) + '</updated>\n' +
+    '  <id>' + xmlEscape(feed.homeUrl) + '</id>\n' +
+    '  <author><name>' + xmlEscape(SITE_NAME) + '</name></author>\n' +
+    entries.join('\n') + (entries.length ? '\n' : '') + '</feed>\n';
+}
+
+function rssFeed(feed, items) {
+  const rfc822 = (iso) => new Date(iso).toUTCString();
+  const entries = items.map((item) => {
+    const categories = (item.categories || []).map((c) => '<category>' + xmlEscape(c) + '</category>').join('');
+    const content = item.contentHtml != null ? '<content:encoded>' + xmlEscape(item.contentHtml) + '</content:encoded>' : '';
+    return '    <item><title>' + xmlEscape(item.title) + '</title><link>' + xmlEscape(item.url) + '</link><guid isPermaLink="true">' + xmlEscape(item.url) + '</guid>' +
+      '<pubDate>' + rfc822(item.published) + '</pubDate>' + categories + '<description>' + xmlEscape(item.summary) + '</description>' + content + '</item>';
+  });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">\n  <channel>\n' +
+    '    <title>' + xmlEscape(feed.title) + '</title>\n' +
+    '    <link>' + xmlEscape(feed.homeUrl) + '</link>\n' +
+    '    <description>' + xmlEscape(feed.description || feed.title) + '</description>\n' +
+    '    <language>ja</language>\n' +
+    '    <lastBuildDate>' + rfc822(feedUpdated(items)) + '</lastBuildDate>\n' +
+    '    <atom:link href="' + xmlEscape(feed.selfUrl) + '" rel="self" type="application/rss+xml"/>\n' +
+    entries.join('\n') + (entries.length ? '\n' : '') + '  </channel>\n</rss>\n';
+}
+
+function jsonFeed(feed, items) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    description: feed.description || undefined,
+    language: 'ja',
+    authors: [{ name: SITE_NAME }],
+    items: items.map((item) => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      ...(item.contentHtml != null ? { content_html: item.contentHtml } : { content_text: item.summary }),
+      date_published: item.published,
+      date_modified: item.updated,
+      ...(item.categories && item.categories.length ? { tags: item.categories } : {})
+    }))
+  }, null, 2) + '\n';
+}
+
+module.exports = {
+  FEED_LIMIT,
+  FULL_FEED_LIMIT,
+  absoluteUrls,
+  atomFeed,
+  rssFeed,
+  jsonFeed
+};
@@ -0,0 +1,491 @@
+/**
+ * Frontmatter for content/, drafts/ and revisions/ Markdown files.
+ * Parses the YAML subset posts actually use: nested maps and lists (block or [flow]/{flow}),
+ * plain / "double" / 'single' quoted scalars (multi-line folded), | and > block scalars,
+ * and typed values (true/false, null, numbers, dates and timestamps as Date).
+ * Parse errors throw an Error with `line` set to the 1-based line number in the file.
+ * A `__proto__` key is an error rather than a value, so parsed frontmatter is always a plain object.
+ */
+
+const FRONTMATTER_RE = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n([\s\S]*))?$/;
+const LIST_FIELDS = ['categories', 'tags'];
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIMESTAMP_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[Tt]|[ \t]+)(\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?(?:[ \t]*(Z|[-+]\d{1,2}(?::?\d{2})?))?$/;
+
+function yamlError(message, line) {
+  const err = new Error('line ' + line + ': ' + message);
+  err.line = line;
+  return err;
+}
+
+/** Keys that would change the object's prototype instead of adding a field. */
+function checkKey(key, line) {
+  if (key === '__proto__') throw yamlError('"__proto__" is not allowed as a key', line);
+  return key;
+}
+
+/** Resolve an unquoted scalar to its typed value. */
+function parseScalar(text) {
+  const s = text.trim();
+  if (s === '' || s === '~' || /^null$/i.test(s)) return null;
+  if (/^true$/i.test(s)) return true;
+  if (/^false$/i.test(s)) return false;
+  if (/^[-+]?(0|[1-9]\d*)$/.test(s)) return Number(s);
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) return Number(s);
+  let m = s.match(DATE_RE);
+  if (m) {
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    // 2025-02-30 stays a string instead of rolling over to March
+    if (d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3]) return d;
+  }
+  m = s.match(TIMESTAMP_RE);
+  if (m && +m[2] >= 1 && +m[2] <= 12 && +m[3] >= 1 && +m[3] <= new Date(Date.UTC(+m[1], +m[2], 0)).getUTCDate() && +m[4] < 24 && +m[5] < 60 && (m[6] || 0) < 60) {
+    let zone = m[8] || 'Z';
+    if (zone !== 'Z') {
+      const z = zone.match(/^([-+])(\d{1,2}):?(\d{2})?$/);
+      zone = z[1] + z[2].padStart(2, '0') + ':' + (z[3] || '00');
+    }
+    const iso = m[1] + '-' + m[2] + '-' + m[3] + 'T' + m[4].padStart(2, '0') + ':' + m[5] + ':' + (m[6] || '00') + (m[7] || '') + zone;
+    const d = new Date(iso);
+    if (!isNaN(d.getTime())) return d;
+  }
+  return s;
+}
+
+/** Strip a trailing " # comment" from a plain scalar. */
+function stripComment(text) {
+  const m = text.match(/(^|[ \t])#/);
+  return m ? text.slice(0, m.index) : text;
+}
+
+function unescapeDouble(s, line) {
+  const map = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ', b: '\b', f: '\f', e: '\x1b', N: '\x85', _: '\xa0' };
+  return s.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[\s\S])/g, (all, c) => {
+    if (c.length > 1) return String.fromCodePoint(parseInt(c.slice(1), 16));
+    if (c in map) return map[c];
+    throw yamlError('unknown escape \\' + c + ' in double-quoted string', line);
+  });
+}
+
+/** Fold the physical lines of a quoted scalar: single newline -> space, blank lines -> newlines. */
+function foldQuoted(raw) {
+  const parts = raw.split('\n');
+  if (parts.length === 1) return raw;
+  let out = parts[0].replace(/[ \t]+$/, '');
+  let pendingBreaks = 0;
+  for (let i = 1; i < parts.length; i++) {
+    const isLast = i === parts.length - 1;
+    const seg = isLast ? parts[i].replace(/^[ \t]+/, '') : parts[i].trim();
+    if (seg === '' && !isLast) {
+      pendingBreaks++;
+      continue;
+    }
+    out += pendingBreaks ? '\n'.repeat(pendingBreaks) : ' ';
+    pendingBreaks = 0;
+    out += seg;
+  }
+  return out;
+}
+
+/**
+ * Read a quoted scalar starting at text[0] (a quote). `more()` returns the next physical line or null.
+ * Returns { value, rest } where rest is whatever follows the closing quote.
+ */
+function readQuoted(text, more, line) {
+  const quote = text[0];
+  let buf = text.slice(1);
+  for (;;) {
+    let i = 0;
+    while (i < buf.length) {
+      if (quote === '"' && buf[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (buf[i] === quote) {
+        if (quote === "'" && buf[i + 1] === "'") {
+          i += 2;
+          continue;
+        }
+        break;
+      }
+      i++;
+    }
+    if (i < buf.length) {
+      const raw = buf.slice(0, i);
+      const rest = buf.slice(i + 1);
+      let value;
+      if (quote === '"') {
+        // Escaped line breaks join lines without a space
+        value = unescapeDouble(foldQuoted(raw.replace(/\\\n[ \t]*/g, '\\\u0000')).replace(/\\\u0000/g, ''), line);
+      } else {
+        value = foldQuoted(raw).replace(/''/g, "'");
+      }
+      return { value, rest };
+    }
+    const next = more();
+    if (next === null) throw yamlError('unterminated ' + (quote === '"' ? 'double' : 'single') + '-quoted string', line);
+    buf += '\n' + next;
+  }
+}
+
+/** Parse a [flow] or {flow} collection; `more()` supplies continuation lines. */
+function readFlow(text, more, line) {
+  let src = text;
+  let pos = 0;
+  const ws = () => {
+    for (;;) {
+      while (pos < src.length && /\s/.test(src[pos])) pos++;
+      if (src[pos] === '#' && (pos === 0 || /\s/.test(src[pos - 1]))) {
+        while (pos < src.length && src[pos] !== '\n') pos++;
+        continue;
+      }
+      if (pos < src.length) return;
+      const next = more();
+      if (next === null) throw yamlError('unterminated flow collection', line);
+      src += '\n' + next;
+    }
+  };
+  const scalar = (stops) => {
+    if (src[pos] === '"' || src[pos] === "'") {
+      const r = readQuoted(src.slice(pos), () => null, line);
+      const consumed = src.length - pos - r.rest.length;
+      pos += consumed;
+      return r.value;
+    }
+    const start = pos;
+    while (pos < src.length && !stops.includes(src[pos]) && !(src[pos] === ':' && /[\s,\]}]/.test(src[pos + 1] || ' '))) pos++;
+    return parseScalar(src.slice(start, pos));
+  };
+  const value = () => {
+    ws();
+    if (src[pos] === '[') {
+      pos++;
+      const arr = [];
+      ws();
+      while (src[pos] !== ']') {
+        arr.push(value());
+        ws();
+        if (src[pos] === ',') {
+          pos++;
+          ws();
+        } else if (src[pos] !== ']') throw yamlError('expected , or ] in flow sequence', line);
+      }
+      pos++;
+      return arr;
+    }
+    if (src[pos] === '{') {
+      pos++;
+      const obj = {};
+      ws();
+      while (src[pos] !== '}') {
+        const key = scalar(',:}');
+        ws();
+        let v = null;
+        if (src[pos] === ':') {
+          pos++;
+          v = value();
+          ws();
+        }
+        obj[checkKey(String(key), line)] = v;
+        if (src[pos] === ',') {
+          pos++;
+          ws();
+        } else if (src[pos] !== '}') throw yamlError('expected , or } in flow mapping', line);
+      }
+      pos++;
+      return obj;
+    }
+    return scalar(',]}');
+  };
+  const result = value();
+  const rest = src.slice(pos);
+  if (stripComment(rest).trim() !== '') throw yamlError('unexpected text after flow collection', line);
+  return result;
+}
+
+/**
+ * Parse YAML frontmatter text into a plain object. `firstLine` is the file line number of text's first line;
+ * if `keyLines` is given, it receives the line number of each top-level key.
+ */
+function parseYaml(text, firstLine, keyLines) {
+  const base = firstLine || 1;
+  const lines = String(text).split(/\r?\n/).map((raw, i) => {
+    const content = raw.replace(/^ +/, '');
+    return { raw, num: base + i, indent: raw.length - content.length, content, blank: /^(#.*)?$/.test(content.trim()) };
+  });
+  let idx = 0;
+
+  const peek = () => {
+    while (idx < lines.length && lines[idx].blank) idx++;
+    if (idx >= lines.length) return null;
+    if (/^ *\t/.test(lines[idx].raw)) throw yamlError('tabs are not allowed for indentation', lines[idx].num);
+    return lines[idx];
+  };
+  const isSeqItem = (l) => l.content === '-' || l.content.startsWith('- ');
+  const KEY_RE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#"'\-?:,[\]{}][^#]*?|-[^\s][^#]*?)[ \t]*:(?:[ \t]+|$)(.*)$/;
+
+  /**
+   * Continuation source for multi-line scalars: raw lines indented deeper than `minIndent`, plus empty lines.
+   * Inside quotes a "#" line is content; for plain scalars it ends the value.
+   */
+  const continuation = (minIndent, quoted) => () => {
+    if (idx >= lines.length) return null;
+    const l = lines[idx];
+    if (l.raw.trim() !== '' && l.indent <= minIndent) return null;
+    if (!quoted && l.content.startsWith('#')) return null;
+    idx++;
+    return l.raw;
+  };
+
+  function parseBlockScalar(header, parentIndent, line) {
+    const m = header.match(/^([|>])([-+]?)(\d?)([-+]?)\s*(#.*)?$/);
+    if (!m) throw yamlError('invalid block scalar header "' + header + '"', line);
+    const folded = m[1] === '>';
+    const chomp = m[2] || m[4];
+    let indent = m[3] ? parentIndent + Number(m[3]) : null;
+    const body = [];
+    while (idx < lines.length) {
+      const l = lines[idx];
+      const isEmpty = l.raw.trim() === '';
+      if (!isEmpty) {
+        if (indent === null) indent = l.indent;
+        if (l.indent < indent || l.indent <= parentIndent) break;
+      }
+      body.push(isEmpty ? '' : l.raw.slice(indent));
+      idx++;
+    }
+    let trailing = 0;
+    while (body.length && body[body.length - 1] === '') {
+      body.pop();
+      trailing++;
+    }
+    let out;
+    if (folded) {
+      out = '';
+      body.forEach((seg, i) => {
+        if (i === 0) out = seg;
+        else if (seg === '' || /^\s/.test(seg) || /^\s/.test(body[i - 1]) || body[i - 1] === '') out += '\n' + seg;
+        else out += ' ' + seg;
+      });
+    } else {
+      out = body.join('\n');
+    }
+    if (chomp === '-' || body.length === 0) return out;
+    return out + (chomp === '+' ? '\n'.repeat(trailing + 1) : '\n');
+  }
+
+  /** Value written inline after "key:" or "- ". */
+  function parseInline(text, ownerIndent, line) {
+    const t = text.trim();
+    if (t.startsWith('"') || t.startsWith("'")) {
+      const r = readQuoted(t, continuation(ownerIndent, true), line);
+      if (stripComment(r.rest).trim() !== '') throw yamlError('unexpected text after quoted string', line);
+      return r.value;
+    }
+    if (t.startsWith('[') || t.startsWith('{')) return readFlow(t, continuation(ownerIndent), line);
+    if (t.startsWith('|') || t.startsWith('>')) return parseBlockScalar(t, ownerIndent, line);
+    if (/^[&*!%@`]/.test(t)) throw yamlError('anchors, aliases, tags and directives are not supported', line);
+    // Plain scalar, possibly continued on more-indented lines
+    let value = stripComment(t).trim();
+    if (value === t.trim()) {
+      const more = continuation(ownerIndent);
+      let next;
+      let breaks = 0;
+      while ((next = more()) !== null) {
+        const seg = next.trim();
+        if (seg === '') {
+          breaks++;
+          continue;
+        }
+        if (seg.startsWith('#')) break;
+        if (KEY_RE.test(seg)) throw yamlError('unexpected indentation (quote values that contain ": ")', lines[idx - 1].num);
+        value += breaks ? '\n'.repeat(breaks) : ' ';
+        breaks = 0;
+        const stripped = stripComment(seg).trim();
+        value += stripped;
+        if (stripped !== seg) break;
+      }
+      if (value.includes('\n') || value !== t.trim()) return value;
+    }
+    return parseScalar(value);
+  }
+
+  /** Value on the lines after "key:" / "- " (nested block), or null when nothing is nested. */
+  function parseNested(ownerIndent, allowSameIndentSeq) {
+    const next = peek();
+    if (!next) return null;
+    if (next.indent > ownerIndent) return parseNode(next.indent);
+    if (allowSameIndentSeq && next.indent === ownerIndent && isSeqItem(next)) return parseSeq(ownerIndent);
+    return null;
+  }
+
+  function parseMap(indent, lineOf) {
+    const obj = {};
+    let l;
+    while ((l = peek()) && l.indent === indent && !isSeqItem(l)) {
+      const m = l.content.match(KEY_RE);
+      if (!m) throw yamlError('expected "key: value"', l.num);
+      let key = m[1];
+      if (key.startsWith('"')) key = unescapeDouble(key.slice(1, -1), l.num);
+      else if (key.startsWith("'")) key = key.slice(1, -1).replace(/''/g, "'");
+      checkKey(key, l.num);
+      if (Object.prototype.hasOwnProperty.call(obj, key)) throw yamlError('duplicate key "' + key + '"', l.num);
+      if (lineOf) lineOf[key] = l.num;
+      idx++;
+      const rest = m[2];
+      obj[key] = stripComment(rest).trim() === '' ? parseNested(indent, true) : parseInline(rest, indent, l.num);
+    }
+    return obj;
+  }
+
+  function parseSeq(indent) {
+    const arr = [];
+    let l;
+    while ((l = peek()) && l.indent === indent && isSeqItem(l)) {
+      const after = l.content.slice(1);
+      const itemText = after.replace(/^ +/, '');
+      if (stripComment(itemText).trim() === '') {
+        idx++;
+        arr.push(parseNested(indent, false));
+        continue;
+      }
+      const itemIndent = indent + 1 + (after.length - itemText.length);
+      if (isSeqItem({ content: itemText }) || KEY_RE.test(itemText) && !/^["'[{]/.test(itemText)) {
+        // "- key: value" / "- - x": re-read the rest of the line as a nested block at its own column
+        l.indent = itemIndent;
+        l.content = itemText;
+        arr.push(parseNode(itemIndent));
+        continue;
+      }
+      idx++;
+      arr.push(parseInline(itemText, indent, l.num));
+    }
+    return arr;
+  }
+
+  function parseNode(indent) {
+    const l = peek();
+    return isSeqItem(l) ? parseSeq(indent) : parseMap(indent);
+  }
+
+  const first = peek();
+  if (!first) return {};
+  if (first.indent !== 0) throw yamlError('frontmatter must start at column 0', first.num);
+  if (isSeqItem(first)) throw yamlError('frontmatter must be a mapping of key: value', first.num);
+  const result = parseMap(0, keyLines);
+  const leftover = peek();
+  if (leftover) throw yamlError('unexpected indentation', leftover.num);
+  return result;
+}
+
+/**
+ * Split a Markdown file into { meta, body, lines }. Keys are kept as written (publish_at, og_image, …);
+ * `lines` maps each top-level key to its line in the file (for error reports).
+ * `categories` and `tags` are always normalised to arrays (comma-separated strings are split). When the file has
+ * no such key, the empty array is added as a non-enumerable property, so stringifyFrontmatter (and { ...meta })
+ * leave it out again and a file read and written back stays byte for byte the same.
+ */
+function parseFrontmatter(raw) {
+  const match = String(raw).match(FRONTMATTER_RE);
+  if (!match) return { meta: { categories: [], tags: [] }, body: raw, lines: {} };
+  const lines = {};
+  const meta = parseYaml(match[1] || '', 2, lines);
+  const body = (match[2] || '').trimEnd();
+  for (const key of LIST_FIELDS) {
+    if (Array.isArray(meta[key])) {
+      meta[key] = meta[key].filter((c) => c != null && c !== '');
+    } else if (meta[key] != null && meta[key] !== '') {
+      meta[key] = String(meta[key]).split(',').map((c) => c.trim()).filter(Boolean);
+    } else if (key in meta) {
+      meta[key] = [];
+    } else {
+      Object.defineProperty(meta, key, { value: [], writable: true, configurable: true, enumerable: false });
+    }
+  }
+  return { meta, body, lines };
+}
+
+function isPlainSafe(s) {
+  return s !== '' &&
+    s === s.trim() &&
+    !/[\n\r\t]/.test(s) &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(s) &&
+    !/: |:$| #/.test(s) &&
+    typeof parseScalar(s) === 'string';
+}
+
+function quote(s) {
+  return '"' + s.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t') + '"';
+}
+
+function formatDate(d) {
+  const iso = d.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.replace('.000Z', 'Z');
+}
+
+/** Scalars: map values are always double-quoted strings (as the writer has always written titles); list items stay plain when safe. */
+function scalarToYaml(v, inList) {
+  if (v === null || v === undefined) return 'null';
+  if (v instanceof Date) return formatDate(v);
+  if (typeof v === 'boolean' || typeof v === 'number') return String(v);
+  const s = String(v);
+  return inList && isPlainSafe(s) ? s : quote(s);
+}
+
+function isCollection(v) {
+  return v !== null && typeof v === 'object' && !(v instanceof Date);
+}
+
+function toYamlLines(value, indent) {
+  const pad = ' '.repeat(indent);
+  const out = [];
+  if (Array.isArray(value)) {
+    value.forEach((item) => {
+      if (isCollection(item) && Object.keys(item).length) {
+        const nested = toYamlLines(item, indent + 2);
+        out.push(pad + '- ' + nested[0].slice(indent + 2));
+        out.push(...nested.slice(1));
+      } else {
+        out.push(pad + '- ' + (isCollection(item) ? (Array.isArray(item) ? '[]' : '{}') : scalarToYaml(item, true)));
+      }
+    });
+    return out;
+  }
+  for (const key of Object.keys(value)) {
+    const v = value[key];
+    if (v === undefined) continue;
+    const k = isPlainSafe(key) ? key : quote(key);
+    if (isCollection(v) && Object.keys(v).length) {
+      out.push(pad + k + ':');
+      out.push(...toYamlLines(v, indent + 2));
+    } else if (isCollection(v)) {
+      out.push(pad + k + ': ' + (Array.isArray(v) ? '[]' : '{}'));
+    } else {
+      out.push(pad + k + ': ' + scalarToYaml(v, false));
+    }
+  }
+  return out;
+}
+
+/** Serialise an object as YAML that parseYaml reads back to the same values. */
+function stringifyYaml(obj) {
+  const lines = toYamlLines(obj || {}, 0);
+  return lines.length ? lines.join('\n') + '\n' : '';
+}
+
+/** Build a Markdown file from meta + body. categories/tags that parseFrontmatter added are written once they have entries. */
+function stringifyFrontmatter(meta, body) {
+  const out = { ...meta };
+  for (const key of LIST_FIELDS) {
+    if (meta && !(key in out) && Array.isArray(meta[key]) && meta[key].length) out[key] = meta[key];
+  }
+  return '---\n' + stringifyYaml(out) + '---\n\n' + String(body || '').trim() + '\n';
+}
+
+module.exports = {
+  parseYaml,
+  parseScalar,
+  parseFrontmatter,
+  stringifyYaml,
+  stringifyFrontmatter
+};
@@ -0,0 +1,213 @@
+/**
+ * HTTP helpers for writer-server.js and scripts/dev-server.js: a MIME table, static files with
+ * ETag/Last-Modified/Range support, a path resolver that can't leave its root, and size-limited request bodies
+ * (text, or raw for uploads).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.pdf': 'application/pdf',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.heic': 'image/heic',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.ogv': 'video/ogg',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.zip': 'application/zip'
+};
+
+function contentType(file) {
+  return MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Absolute path for a URL pathname under root, or null when it would leave root, contains a NUL or `..`
+ * segment, or isDenied(segments) says no. Directories resolve to their index.html.
+ */
+function resolveStaticPath(root, pathname, isDenied) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (e) {
+    return null;
+  }
+  if (decoded.includes('\0')) return null;
+  const segments = decoded.split(/[\\/]+/).filter(Boolean);
+  if (segments.some((s) => s === '..') || (isDenied && isDenied(segments))) return null;
+  const base = path.resolve(root);
+  let file = path.resolve(base, ...segments);
+  if (file !== base && !file.startsWith(base + path.sep)) return null;
+  try {
+    if (fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+  } catch (e) {
+    // missing: the caller's 404
+  }
+  return file;
+}
+
+function etagFor(stat) {
+  return 'W/"' + stat.size.toString(16) + '-' + Math.floor(stat.mtimeMs).toString(16) + '"';
+}
+
+/** Whether the client's cached copy (If-None-Match / If-Modified-Since) is still good. */
+function isFresh(req, etag, mtime) {
+  const noneMatch = req.headers['if-none-match'];
+  if (noneMatch) return noneMatch.split(',').some((tag) => tag.trim() === etag || tag.trim() === '*');
+  const since = Date.parse(req.headers['if-modified-since'] || '');
+  return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+/**
+ * The byte range asked for as { start, end }, null for the whole file (no Range, several ranges, or an If-Range
+ * that no longer matches), or false when it can't be satisfied.
+ */
+function parseRange(req, size, etag, mtime) {
+  const header = req.headers.range;
+  if (!header) return null;
+  const ifRange = req.headers['if-range'];
+  if (ifRange && ifRange !== etag && Date.parse(ifRange) !== Math.floor(mtime.getTime() / 1000) * 1000) return null;
+  const m = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!m) return null;
+  if (m[1] === '' && m[2] === '') return false;
+  let start;
+  let end;
+  if (m[1] === '') {
+    start = Math.max(0, size - parseInt(m[2], 10));
+    end = size - 1;
+  } else {
+    start = parseInt(m[1], 10);
+    end = m[2] === '' ? size - 1 : Math.min(parseInt(m[2], 10), size - 1);
+  }
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+/**
+ * Send a file with Content-Type, ETag, Last-Modified and Accept-Ranges; answers 304 to fresh conditional
+ * requests, 206/416 to Range requests and leaves the body out for HEAD. options.headers are added to 200/206.
+ * Calls notFound() when the file doesn't exist.
+ */
+function sendFile(req, res, file, options, notFound) {
+  const opts = options || {};
+  fs.stat(file, (err, stat) => {
+    if (err || !stat.isFile()) {
+      notFound();
+      return;
+    }
+    const etag = etagFor(stat);
+    const headers = {
+      ETag: etag,
+      'Last-Modified': stat.mtime.toUTCString(),
+      'Accept-Ranges': 'bytes',
+      'X-Content-Type-Options': 'nosniff',
+      ...opts.headers
+    };
+    if (isFresh(req, etag, stat.mtime)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+    const range = parseRange(req, stat.size, etag, stat.mtime);
+    if (range === false) {
+      res.writeHead(416, { 'Content-Range': 'bytes */' + stat.size });
+      res.end();
+      return;
+    }
+    headers['Content-Type'] = contentType(file);
+    let status = 200;
+    let start = 0;
+    let end = stat.size - 1;
+    if (range) {
+      status = 206;
+      ({ start, end } = range);
+      headers['Content-Range'] = 'bytes ' + start + '-' + end + '/' + stat.size;
+    }
+    headers['Content-Length'] = stat.size === 0 ? 0 : end - start + 1;
+    res.writeHead(status, headers);
+    if (req.method === 'HEAD' || stat.size === 0) {
+      res.end();
+      return;
+    }
+    const stream = fs.createReadStream(file, { start, end });
+    stream.on('error', () => res.destroy());
+    stream.pipe(res);
+  });
+}
+
+/**
+ * Collect a request body of at most `limit` bytes and call done(body as a Buffer). A larger body gets a 413
+ * (checked against Content-Length first, then while reading) and done is never called.
+ */
+function readRawBody(req, res, limit, done) {
+  const declared = parseInt(req.headers['content-length'], 10);
+  const tooLarge = () => {
+    res.writeHead(413, { 'Content-Type': 'application/json', Connection: 'close' });
+    res.end(JSON.stringify({ error: 'Request body too large', limit }));
+    req.resume();
+  };
+  if (declared > limit) {
+    tooLarge();
+    return;
+  }
+  const chunks = [];
+  let size = 0;
+  let aborted = false;
+  req.on('data', (chunk) => {
+    if (aborted) return;
+    size += chunk.length;
+    if (size > limit) {
+      aborted = true;
+      chunks.length = 0;
+      tooLarge();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (!aborted) done(Buffer.concat(chunks));
+  });
+}
+
+/** readRawBody, with the body as UTF-8 text. */
+function readBody(req, res, limit, done) {
+  readRawBody(req, res, limit, (buf) => done(buf.toString('utf8')));
+}
+
+module.exports = {
+  MIME_TYPES,
+  contentType,
+  resolveStaticPath,
+  sendFile,
+  readRawBody,
+  readBody
+};
@@ -0,0 +1,9 @@
+/**
+ * Worker thread for processImageInWorker (scripts/lib/media.js): runs processImage on workerData
+ * { data, options } and posts the result back.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { processImage } = require('./media');
+
+parentPort.postMessage(processImage(Buffer.from(workerData.data), workerData.options));
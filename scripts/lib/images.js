@@ -0,0 +1,315 @@
+/**
+ * Responsive images for post bodies, in pure Node (jpeg-js decodes and encodes; resizing is done here).
+ * For every <img> that points at a local file (uploads/, images/):
+ *   - width/height are filled in from the file's header when missing
+ *   - loading="lazy" and decoding="async" are added
+ *   - JPEGs wider than a VARIANT_WIDTHS step get downscaled copies in resized/, offered through srcset/sizes
+ * Variants are cached: resized/manifest.json records each source's content hash (and size/mtime, so unchanged
+ * files aren't re-read), and a variant is only re-encoded when its source changed or the file is missing. Remote images only get the loading attributes.
+ * The manifest is saved after every image that was encoded, so an interrupted build keeps its progress; with
+ * options.maxEncodes, images past that many encoded variants are left without srcset until a later run
+ * (scripts/build-images.js makes them all without a limit).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+let jpeg;
+try {
+  jpeg = require('jpeg-js');
+} catch (e) {
+  jpeg = null;
+}
+
+const VARIANT_WIDTHS = [320, 640, 960, 1280];
+const JPEG_QUALITY = 78;
+/** Widest the post column gets (CSS px); `sizes` never asks for more. */
+const CONTENT_WIDTH = 760;
+const MANIFEST_VERSION = 1;
+const LOCAL_IMAGE_DIRS = ['uploads/', 'images/'];
+
+/** { width, height, type } from a JPEG, PNG, GIF or WebP header, or null. */
+function imageSize(buf) {
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return { type: 'png', width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (buf.length >= 10 && buf.toString('ascii', 0, 3) === 'GIF') {
+    return { type: 'gif', width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+  if (buf.length >= 30 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buf.toString('ascii', 12, 16);
+    if (chunk === 'VP8X') return { type: 'webp', width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+    if (chunk === 'VP8 ') return { type: 'webp', width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const bits = buf.readUInt32LE(21);
+      return { type: 'webp', width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+    }
+    return null;
+  }
+  if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    let i = 2;
+    while (i + 9 < buf.length) {
+      if (buf[i] !== 0xff) {
+        i++;
+        continue;
+      }
+      const marker = buf[i + 1];
+      if (marker === 0xff) {
+        i++;
+        continue;
+      }
+      // SOF0–SOF15 carry the frame size; C4 (DHT), C8 (JPG) and CC (DAC) share the range but don't
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { type: 'jpeg', height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7) };
+      }
+      if (marker === 0xd9 || marker === 0xda) break;
+      i += 2 + buf.readUInt16BE(i + 2);
+    }
+  }
+  return null;
+}
+
+/** Area-average downscale of RGBA pixels (each target pixel is the mean of the source pixels it covers). */
+function resizeRgba(src, width, height, targetWidth, targetHeight) {
+  const resampleAxis = (input, inW, inH, outW, horizontal) => {
+    // Resample along one axis; the other axis keeps its size
+    const lines = horizontal ? inH : inW;
+    const inLen = horizontal ? inW : inH;
+    const out = new Float32Array((horizontal ? outW * inH : inW * outW) * 4);
+    const scale = inLen / outW;
+    for (let line = 0; line < lines; line++) {
+      for (let o = 0; o < outW; o++) {
+        const start = o * scale;
+        const end = start + scale;
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let a = 0;
+        for (let s = Math.floor(start); s < Math.ceil(end) && s < inLen; s++) {
+          const weight = Math.min(end, s + 1) - Math.max(start, s);
+          const idx = (horizontal ? line * inW + s : s * inW + line) * 4;
+          r += input[idx] * weight;
+          g += input[idx + 1] * weight;
+          b += input[idx + 2] * weight;
+          a += input[idx + 3] * weight;
+        }
+        const outIdx = (horizontal ? line * outW + o : o * inW + line) * 4;
+        out[outIdx] = r / scale;
+        out[outIdx + 1] = g / scale;
+        out[outIdx + 2] = b / scale;
+        out[outIdx + 3] = a / scale;
+      }
+    }
+    return out;
+  };
+  const wide = resampleAxis(src, width, height, targetWidth, true);
+  const done = resampleAxis(wide, targetWidth, height, targetHeight, false);
+  const bytes = Buffer.alloc(targetWidth * targetHeight * 4);
+  for (let i = 0; i < done.length; i++) bytes[i] = Math.max(0, Math.min(255, Math.round(done[i])));
+  return bytes;
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp('\\s' + name + '\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\'|([^\\s>]+))', 'i'));
+  return m ? (m[1] != null ? m[1] : m[2] != null ? m[2] : m[3]) : null;
+}
+
+function setAttrs(tag, attrs) {
+  const end = tag.endsWith('/>') ? tag.length - 2 : tag.length - 1;
+  const head = tag.slice(0, end).replace(/\s+$/, '');
+  return head + Object.entries(attrs).map(([k, v]) => ' ' + k + '="' + v + '"').join('') + (tag.endsWith('/>') ? ' />' : '>');
+}
+
+/**
+ * Image pipeline for one build. root is the site root; pages are rendered into posts/ (pageDir), so
+ * `../uploads/a.jpg` in a post is `uploads/a.jpg` under root. Variants go to root/resized/.
+ * prepare(source, pageDir) reads sizes and makes missing variants for the images html uses, and returns what
+ * the output depends on (for the build's incremental emit; source may still be Markdown); rewrite(html, pageDir) then updates the tags.
+ * finish() drops variants no image used this run and saves the manifest.
+ */
+/** Write a file under a temporary name and rename it, so an interrupted run never leaves half a file. */
+function writeFileAtomic(file, data) {
+  const tmp = file + '.' + process.pid + '.tmp';
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+/** options: { maxEncodes } — variants one run may encode (default: no limit). */
+function createImagePipeline(root, options) {
+  const maxEncodes = (options && options.maxEncodes) || Infinity;
+  const outDir = path.join(root, 'resized');
+  const manifestPath = path.join(outDir, 'manifest.json');
+  let manifest = { version: MANIFEST_VERSION, images: {} };
+  try {
+    const saved = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (saved.version === MANIFEST_VERSION) manifest = saved;
+  } catch (e) {
+    // no cache yet
+  }
+  const used = new Set();
+  const stats = { images: 0, variants: 0, encoded: 0, deferred: 0 };
+  const info = new Map();
+
+  /** Site-relative path (uploads/a.jpg) of a local image src, or null for remote/unknown ones. */
+  function localPath(src, pageDir) {
+    if (!src || /^[a-z][a-z0-9+.-]*:|^\/\//i.test(src)) return null;
+    let clean;
+    try {
+      clean = decodeURI(src.split(/[?#]/)[0]);
+    } catch (e) {
+      return null;
+    }
+    const rel = path.posix.normalize(src.startsWith('/') ? clean.slice(1) : path.posix.join(pageDir, clean));
+    return LOCAL_IMAGE_DIRS.some((dir) => rel.startsWith(dir)) ? rel : null;
+  }
+
+  function variantPath(rel, width) {
+    return 'resized/' + rel.replace(/\.[^./]+$/, '') + '-' + width + 'w.jpg';
+  }
+
+  /** Cached { width, height, type, variants: [width] } for a local image, making variants as needed. */
+  function load(rel) {
+    if (info.has(rel)) return info.get(rel);
+    const file = path.join(root, rel);
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (e) {
+      info.set(rel, null);
+      return null;
+    }
+    const signature = stat.size + ':' + Math.floor(stat.mtimeMs);
+    let entry = manifest.images[rel];
+    if (!entry || entry.signature !== signature) {
+      // Touched (e.g. by a git checkout) or new: the hash decides whether the variants are still good
+      const buf = fs.readFileSync(file);
+      const hash = crypto.createHash('sha1').update(buf).digest('hex');
+      if (entry && entry.hash === hash) {
+        entry.signature = signature;
+      } else {
+        const size = imageSize(buf);
+        entry = size ? { signature, hash, width: size.width, height: size.height, type: size.type, variants: [], stale: true } : null;
+      }
+    }
+    let encoded = false;
+    let deferred = false;
+    if (entry && entry.type === 'jpeg' && jpeg) {
+      const widths = VARIANT_WIDTHS.filter((w) => w < entry.width);
+      const missing = entry.stale || widths.some((w) => !fs.existsSync(path.join(root, variantPath(rel, w))));
+      if (missing && widths.length && stats.encoded >= maxEncodes) {
+        // over this run's budget: no srcset for now, stale makes the next run encode it
+        entry.variants = [];
+        deferred = true;
+        stats.deferred++;
+      } else if (missing && widths.length) {
+        makeVariants(rel, entry, widths);
+        encoded = true;
+      } else {
+        entry.variants = widths;
+      }
+    }
+    if (entry) {
+      if (deferred) entry.stale = true;
+      else delete entry.stale;
+      manifest.images[rel] = entry;
+      if (encoded) save();
+      used.add(rel);
+      stats.images++;
+      stats.variants += entry.variants.length;
+    }
+    info.set(rel, entry);
+    return entry;
+  }
+
+  function makeVariants(rel, entry, widths) {
+    let decoded;
+    try {
+      decoded = jpeg.decode(fs.readFileSync(path.join(root, rel)), { useTArray: true, maxMemoryUsageInMB: 1024 });
+    } catch (e) {
+      console.warn('Could not decode ' + rel + ' for resizing:', e.message);
+      entry.variants = [];
+      return;
+    }
+    entry.variants = widths.filter((w) => {
+      const height = Math.max(1, Math.round(decoded.height * w / decoded.width));
+      const data = resizeRgba(decoded.data, decoded.width, decoded.height, w, height);
+      const out = path.join(root, variantPath(rel, w));
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      writeFileAtomic(out, jpeg.encode({ data, width: w, height }, JPEG_QUALITY).data);
+      stats.encoded++;
+      return true;
+    });
+  }
+
+  /** Local images referenced by Markdown or HTML: <img src> tags and ![alt](src). */
+  function prepare(source, pageDir) {
+    const text = String(source || '');
+    const srcs = (text.match(/<img\b[^>]*>/gi) || []).map((tag) => attr(tag, 'src'))
+      .concat([...text.matchAll(/!\[[^\]]*\]\(\s*<?([^)\s>]+)/g)].map((m) => m[1]));
+    return srcs.map((src) => localPath(src, pageDir)).filter(Boolean).map((rel) => {
+      const entry = load(rel);
+      return entry ? [rel, entry.hash, entry.variants] : [rel, null];
+    });
+  }
+
+  function rewrite(html, pageDir) {
+    const up = pageDir.split('/').filter(Boolean).map(() => '..').join('/');
+    // srcset is split on commas and spaces, so those must be escaped in its URLs
+    const fromPage = (rel) => encodeURI((up ? up + '/' : '') + rel).replace(/,/g, '%2C');
+    return String(html || '').replace(/<img\b[^>]*>/gi, (tag) => {
+      const add = {};
+      if (!attr(tag, 'loading')) add.loading = 'lazy';
+      if (!attr(tag, 'decoding')) add.decoding = 'async';
+      const rel = localPath(attr(tag, 'src'), pageDir);
+      const entry = rel ? load(rel) : null;
+      if (entry) {
+        const hasWidth = attr(tag, 'width');
+        const hasHeight = attr(tag, 'height');
+        if (!hasWidth && !hasHeight) {
+          add.width = entry.width;
+          add.height = entry.height;
+        }
+        if (entry.variants.length && !attr(tag, 'srcset')) {
+          const shown = Math.min(parseInt(hasWidth, 10) || entry.width, CONTENT_WIDTH);
+          add.srcset = entry.variants.map((w) => fromPage(variantPath(rel, w)) + ' ' + w + 'w')
+            .concat(fromPage(rel) + ' ' + entry.width + 'w').join(', ');
+          add.sizes = '(max-width: ' + shown + 'px) 100vw, ' + shown + 'px';
+        }
+      }
+      return Object.keys(add).length ? setAttrs(tag, add) : tag;
+    });
+  }
+
+  /** Write the manifest as it is now (entries are only added; finish() also drops unused ones). */
+  function save() {
+    fs.mkdirSync(outDir, { recursive: true });
+    writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+  }
+
+  function finish() {
+    let removed = 0;
+    for (const rel of Object.keys(manifest.images)) {
+      if (used.has(rel)) continue;
+      (manifest.images[rel].variants || []).forEach((w) => {
+        const file = path.join(root, variantPath(rel, w));
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+          removed++;
+        }
+      });
+      delete manifest.images[rel];
+    }
+    save();
+    return { ...stats, removed };
+  }
+
+  return { prepare, rewrite, save, finish };
+}
+
+module.exports = {
+  VARIANT_WIDTHS,
+  imageSize,
+  resizeRgba,
+  createImagePipeline
+};
@@ -0,0 +1,197 @@
+/**
+ * Link checker for the generated site. Crawls from the entry pages through every internal link and reports:
+ *   page    — links to .html pages that don't exist (e.g. posts/<slug>.html after a rename)
+ *   anchor  — #fragments with no matching id on the target page
+ *   image   — <img> src/srcset files that don't exist (e.g. missing from uploads/)
+ *   media   — <video>/<audio>/<source> files and posters that don't exist
+ *   asset   — other missing local files (styles, feeds, scripts)
+ *   wp      — links and media still pointing at the old WordPress domain (futarigurashi.com)
+ * Other external URLs are not fetched; the check runs offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Pages the crawl starts from; everything else must be reachable from these. */
+const ENTRY_PAGES = ['index.html', 'archive.html', 'tags.html', 'search.html', 'top.html', 'profile.html'];
+const OLD_WP_URL = /^https?:\/\/(?:www\.)?futarigurashi\.com(?:[/?#]|$)/i;
+const KINDS = {
+  page: 'Missing pages',
+  anchor: 'Missing anchors',
+  image: 'Missing images',
+  media: 'Missing video/audio',
+  asset: 'Missing files',
+  wp: 'Old WordPress URLs (futarigurashi.com)'
+};
+const TAG_REGEX = /<(a|link|img|source|video|audio|iframe|script)\b[^>]*>/gi;
+const IMAGE_EXT = /\.(jpe?g|png|gif|webp|svg|avif)$/i;
+const MEDIA_EXT = /\.(mp4|m4v|mov|webm|ogv|mp3|m4a|ogg|wav)$/i;
+
+/** Group for a broken link (<a href>) by what it points at. */
+function linkKind(target) {
+  if (IMAGE_EXT.test(target)) return 'image';
+  if (MEDIA_EXT.test(target)) return 'media';
+  return /\.[a-z0-9]+$/i.test(target) && !/\.html?$/i.test(target) ? 'asset' : 'page';
+}
+
+function safeDecode(url) {
+  try {
+    return decodeURI(url);
+  } catch (e) {
+    return url;
+  }
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp('\\s' + name + '\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\')', 'i'));
+  return m ? (m[1] != null ? m[1] : m[2]) : null;
+}
+
+function decodeHtml(s) {
+  return s.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
+/** [{ url, kind }] for every URL a page references; kind says which group a broken one belongs to. */
+function pageReferences(html) {
+  const refs = [];
+  const body = html.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, (m) => m.slice(0, m.indexOf('>') + 1));
+  let m;
+  TAG_REGEX.lastIndex = 0;
+  while ((m = TAG_REGEX.exec(body))) {
+    const tag = m[0];
+    const name = m[1].toLowerCase();
+    const add = (value, kind) => {
+      if (value != null && value.trim()) refs.push({ url: decodeHtml(value.trim()), kind });
+    };
+    if (name === 'a') {
+      add(attr(tag, 'href'), 'page');
+    } else if (name === 'link') {
+      const rel = (attr(tag, 'rel') || '').toLowerCase();
+      // canonical points at the live site and preconnect at font hosts; stylesheets, feeds and icons are local files
+      if (rel !== 'preconnect' && rel !== 'canonical') add(attr(tag, 'href'), 'asset');
+    } else if (name === 'img') {
+      add(attr(tag, 'src'), 'image');
+      (attr(tag, 'srcset') || '').split(',').forEach((part) => add(part.trim().split(/\s+/)[0], 'image'));
+    } else if (name === 'script' || name === 'iframe') {
+      add(attr(tag, 'src'), 'asset');
+    } else {
+      add(attr(tag, 'src'), 'media');
+      add(attr(tag, 'poster'), 'media');
+    }
+  }
+  // [video mp4="…"] shortcodes left in migrated posts
+  for (const sc of html.matchAll(/\[video\b[^\]]*?\b(?:mp4|src)=["']([^"']+)["']/gi)) refs.push({ url: decodeHtml(sc[1]), kind: 'media' });
+  return refs;
+}
+
+/** ids (and <a name>) defined on a page. */
+function pageAnchors(html) {
+  const ids = new Set();
+  for (const m of html.matchAll(/\s(?:id|name)\s*=\s*["']([^"']+)["']/gi)) ids.add(decodeHtml(m[1]));
+  return ids;
+}
+
+/**
+ * Crawl the site under root. Returns { pages, links, problems: [{ kind, target, page }] } where page and
+ * target are paths relative to root (target keeps its #fragment for anchors, or the full URL for wp).
+ */
+function checkSite(root, options) {
+  const opts = options || {};
+  const entries = (opts.entries || ENTRY_PAGES).filter((p) => fs.existsSync(path.join(root, p)));
+  const queue = entries.slice();
+  const seen = new Set(queue);
+  const htmlCache = new Map();
+  const anchorCache = new Map();
+  const existsCache = new Map();
+  const problems = [];
+  let links = 0;
+
+  const readPage = (rel) => {
+    if (!htmlCache.has(rel)) htmlCache.set(rel, fs.readFileSync(path.join(root, rel), 'utf8'));
+    return htmlCache.get(rel);
+  };
+  const anchorsOf = (rel) => {
+    if (!anchorCache.has(rel)) anchorCache.set(rel, pageAnchors(readPage(rel)));
+    return anchorCache.get(rel);
+  };
+  const exists = (rel) => {
+    if (!existsCache.has(rel)) {
+      const file = path.join(root, rel);
+      existsCache.set(rel, fs.existsSync(file) && fs.statSync(file).isFile());
+    }
+    return existsCache.get(rel);
+  };
+
+  while (queue.length) {
+    const page = queue.shift();
+    const html = readPage(page);
+    const pageDir = path.posix.dirname(page);
+    for (const { url, kind } of pageReferences(html)) {
+      links++;
+      if (OLD_WP_URL.test(url)) {
+        problems.push({ kind: 'wp', target: safeDecode(url), page });
+        continue;
+      }
+      if (/^[a-z][a-z0-9+.-]*:|^\/\//i.test(url)) continue;
+      const hashAt = url.indexOf('#');
+      const fragment = hashAt >= 0 ? url.slice(hashAt + 1) : '';
+      const pathPart = (hashAt >= 0 ? url.slice(0, hashAt) : url).split('?')[0];
+      let target;
+      if (pathPart === '') {
+        target = page;
+      } else {
+        const decoded = safeDecode(pathPart);
+        target = path.posix.normalize(decoded.startsWith('/') ? decoded.slice(1) : path.posix.join(pageDir, decoded));
+        if (target === '.' || target.endsWith('/')) target = path.posix.join(target, 'index.html');
+      }
+      if (target.startsWith('..')) continue;
+      if (!exists(target)) {
+        problems.push({ kind: kind === 'page' ? linkKind(target) : kind, target, page });
+        continue;
+      }
+      if (!/\.html?$/i.test(target)) continue;
+      if (fragment && fragment !== 'top') {
+        let id;
+        try {
+          id = decodeURIComponent(fragment);
+        } catch (e) {
+          id = fragment;
+        }
+        if (!anchorsOf(target).has(id)) problems.push({ kind: 'anchor', target: target + '#' + id, page });
+      }
+      if (kind === 'page' && !seen.has(target)) {
+        seen.add(target);
+        queue.push(target);
+      }
+    }
+  }
+  return { pages: seen.size, links, problems };
+}
+
+/** Report grouped by kind, then by target with the pages that reference it (first `perTarget` of them). */
+function formatReport(result, perTarget) {
+  const limit = perTarget || 3;
+  const lines = ['Link check: ' + result.pages + ' pages, ' + result.links + ' links, ' + result.problems.length + ' problem' + (result.problems.length === 1 ? '' : 's')];
+  for (const [kind, label] of Object.entries(KINDS)) {
+    const byTarget = new Map();
+    result.problems.filter((p) => p.kind === kind).forEach((p) => {
+      if (!byTarget.has(p.target)) byTarget.set(p.target, new Set());
+      byTarget.get(p.target).add(p.page);
+    });
+    if (byTarget.size === 0) continue;
+    lines.push('');
+    lines.push(label + ' (' + byTarget.size + '):');
+    [...byTarget.keys()].sort().forEach((target) => {
+      const pages = [...byTarget.get(target)].sort();
+      const shown = pages.slice(0, limit).join(', ') + (pages.length > limit ? ' (+' + (pages.length - limit) + ' more)' : '');
+      lines.push('  ' + target + '  ← ' + shown);
+    });
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  ENTRY_PAGES,
+  checkSite,
+  formatReport
+};
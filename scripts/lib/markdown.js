@@ -0,0 +1,257 @@
+/**
+ * Markdown for posts: marked plus the blog's own block syntax. Used by the build and the writer
+ * preview through markdownToHtml() (render.js), so both show the same thing. Documented for writers in _template.md.
+ *
+ *   ![alt](src "キャプション")              image with a caption → <figure> with <figcaption>
+ *   ![alt](src)                            image followed by an *italic* line (the old 「写真：…」 habit) → the same
+ *   *写真：…*
+ *
+ *   :::gallery cols=2                      images, one per line ("- " optional) → grid of figures; cols is 2–4
+ *   ![alt](a.jpg "caption")
+ *   :::
+ *
+ *   :::note タイトル                        callout box (also :::tip and :::warning); the title is optional and
+ *   Markdown as usual                      the inside is ordinary Markdown. Nest by giving the outer fence more colons.
+ *   :::
+ *
+ *   ::video[キャプション]{src=uploads/clip.mp4 poster=uploads/clip.jpg}
+ *   [video mp4="uploads/clip.mp4" poster="…"][/video]      WordPress shortcode, same output
+ *
+ *   :::vertical                            vertical writing (縦書き) block
+ *   …
+ *   :::
+ *
+ * Inline, in the notation Japanese novel sites use:
+ *   聖保羅《サンパウロ》 / |サンパウロ州《しゅう》   ruby: the kanji run before 《》, or everything after | (or ｜)
+ *   |《                                    a literal 《
+ *   《《大事》》                             emphasis dots (傍点)
+ *   ^^12^^                                 tate-chu-yoko: up to 4 characters set upright in vertical text
+ */
+
+let Marked;
+try {
+  Marked = require('marked').Marked;
+} catch (e) {
+  Marked = null;
+}
+
+/** ![alt](src) or ![alt](src "title"); groups: alt, src, title (double or single quoted). */
+const IMAGE_SOURCE = '!\\[([^\\]\\n]*)\\]\\(\\s*<?([^)\\s>]+)>?(?:\\s+(?:"([^"\\n]*)"|\'([^\'\\n]*)\'))?\\s*\\)';
+const IMAGE = new RegExp('^' + IMAGE_SOURCE + '$');
+/** An image alone on its line, then optionally an *italic* caption line (directly below or after one blank line). */
+const FIGURE = new RegExp('^ {0,3}' + IMAGE_SOURCE + '[ \\t]*(?:\\n(?:[ \\t]*\\n)?[ \\t]*([*_])([^\\n]*?[^*_\\s\\n])\\5[ \\t]*)?(?:\\n+|$)');
+/** :::name options … ::: — the closing fence has as many colons as the opening one. */
+const CONTAINER = /^ {0,3}(:{3,})[ \t]*(gallery|note|tip|warning|vertical)(?=[ \t\n]|$)([^\n]*)\n((?:[\s\S]*?\n)??) {0,3}\1[ \t]*(?:\n+|$)/;
+const VIDEO_DIRECTIVE = /^ {0,3}::video\[([^\]\n]*)\]\{([^}\n]*)\}[ \t]*(?:\n+|$)/;
+const VIDEO_SHORTCODE = /^ {0,3}\[video\b([^\]\n]*)\](?:[ \t]*\[\/video\])?[ \t]*(?:\n+|$)/;
+const GALLERY_COLUMNS = [2, 3, 4];
+const CALLOUT_TITLES = { note: 'メモ', tip: 'ヒント', warning: '注意' };
+const VIDEO_TYPES = { mp4: 'video/mp4', m4v: 'video/mp4', mov: 'video/quicktime', webm: 'video/webm', ogv: 'video/ogg' };
+
+function escapeAttr(s) {
+  return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/** key=value pairs, values bare or quoted: `src=a.mp4 poster="b c.jpg"` → { src, poster }. */
+function parseAttributes(text) {
+  const attrs = {};
+  for (const m of String(text || '').matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|(\S+))/g)) {
+    attrs[m[1].toLowerCase()] = m[2] != null ? m[2] : m[3] != null ? m[3] : m[4];
+  }
+  return attrs;
+}
+
+/** Token for one image: its Markdown without the title (that becomes the caption), lexed inline later. */
+function imageToken(lexer, match) {
+  const [, alt, src, title1, title2] = match;
+  const caption = title1 != null ? title1 : title2;
+  const image = { src, tokens: [] };
+  lexer.inline('![' + alt + '](<' + src + '>)', image.tokens);
+  if (caption && caption.trim()) {
+    image.caption = [];
+    lexer.inline(caption.trim(), image.caption);
+  }
+  return image;
+}
+
+function renderFigure(parser, image, className, link) {
+  const img = parser.parseInline(image.tokens);
+  const body = link ? '<a href="' + escapeAttr(image.src) + '">' + img + '</a>' : img;
+  const caption = image.caption ? '<figcaption>' + parser.parseInline(image.caption) + '</figcaption>' : '';
+  return '<figure' + (className ? ' class="' + className + '"' : '') + '>' + body + caption + '</figure>';
+}
+
+const figure = {
+  name: 'figure',
+  level: 'block',
+  tokenizer(src) {
+    const m = FIGURE.exec(src);
+    if (!m) return undefined;
+    const image = imageToken(this.lexer, m);
+    if (m[6] != null) {
+      image.caption = [];
+      this.lexer.inline(m[6].trim(), image.caption);
+    }
+    // A plain image with no caption stays an ordinary paragraph
+    if (!image.caption) return undefined;
+    return { type: 'figure', raw: m[0], image };
+  },
+  renderer(token) {
+    return renderFigure(this.parser, token.image) + '\n';
+  }
+};
+
+const container = {
+  name: 'container',
+  level: 'block',
+  start(src) {
+    const m = src.match(/^ {0,3}:{3,}[ \t]*(?:gallery|note|tip|warning|vertical)(?=[ \t\n]|$)/m);
+    return m ? m.index : undefined;
+  },
+  tokenizer(src) {
+    const m = CONTAINER.exec(src);
+    if (!m) return undefined;
+    const [raw, , kind, rest, inner] = m;
+    if (kind === 'gallery') {
+      const images = inner.split('\n')
+        .map((line) => IMAGE.exec(line.trim().replace(/^[-*+][ \t]+/, '')))
+        .filter(Boolean)
+        .map((match) => imageToken(this.lexer, match));
+      const requested = Number(parseAttributes(rest).cols);
+      const cols = GALLERY_COLUMNS.includes(requested) ? requested : (images.length === 2 || images.length === 4 ? 2 : 3);
+      return { type: 'container', raw, kind, images, cols };
+    }
+    const token = { type: 'container', raw, kind, title: [], tokens: [] };
+    if (kind !== 'vertical') this.lexer.inline(rest.trim() || CALLOUT_TITLES[kind], token.title);
+    this.lexer.blockTokens(inner, token.tokens);
+    return token;
+  },
+  renderer(token) {
+    if (token.kind === 'gallery') {
+      const items = token.images.map((image) => renderFigure(this.parser, image, 'gallery-item', true));
+      return '<div class="gallery gallery-cols-' + token.cols + '">\n' + items.join('\n') + '\n</div>\n';
+    }
+    if (token.kind === 'vertical') return '<div class="vertical">\n' + this.parser.parse(token.tokens) + '</div>\n';
+    return '<div class="callout callout-' + token.kind + '" role="note">\n<p class="callout-title">' + this.parser.parseInline(token.title) + '</p>\n' +
+      this.parser.parse(token.tokens) + '</div>\n';
+  }
+};
+
+const video = {
+  name: 'video',
+  level: 'block',
+  start(src) {
+    const m = src.match(/^ {0,3}(?:::video\[|\[video\b)/m);
+    return m ? m.index : undefined;
+  },
+  tokenizer(src) {
+    let m = VIDEO_DIRECTIVE.exec(src);
+    let attrs;
+    let caption = '';
+    if (m) {
+      attrs = parseAttributes(m[2]);
+      caption = m[1].trim();
+    } else if ((m = VIDEO_SHORTCODE.exec(src))) {
+      attrs = parseAttributes(m[1]);
+    } else {
+      return undefined;
+    }
+    const source = attrs.src || attrs.mp4 || attrs.webm || attrs.m4v || attrs.mov || attrs.ogv;
+    if (!source) return undefined;
+    const token = { type: 'video', raw: m[0], src: source, poster: attrs.poster || '', width: attrs.width || '', height: attrs.height || '', caption: [] };
+    if (caption) this.lexer.inline(caption, token.caption);
+    return token;
+  },
+  renderer(token) {
+    const ext = (token.src.split(/[?#]/)[0].match(/\.(\w+)$/) || [])[1] || '';
+    const type = VIDEO_TYPES[ext.toLowerCase()];
+    const attrs = ['controls', 'preload="metadata"', 'playsinline'];
+    if (token.poster) attrs.push('poster="' + escapeAttr(token.poster) + '"');
+    if (/^\d+$/.test(token.width)) attrs.push('width="' + token.width + '"');
+    if (/^\d+$/.test(token.height)) attrs.push('height="' + token.height + '"');
+    const caption = token.caption.length ? '<figcaption>' + this.parser.parseInline(token.caption) + '</figcaption>' : '';
+    return '<figure class="video"><video ' + attrs.join(' ') + '><source src="' + escapeAttr(token.src) + '"' + (type ? ' type="' + type + '"' : '') + '>' +
+      '<a href="' + escapeAttr(token.src) + '">動画を開く</a></video>' + caption + '</figure>\n';
+  }
+};
+
+/** Kanji (and 々〆ヶ) that implicit ruby attaches to. */
+const RUBY_BASE = '[\\p{Script=Han}々〆ヶ]+';
+const RUBY_EXPLICIT = /^[|｜]([^|｜《》\n]+)《([^《》\n]+)》/;
+const RUBY_IMPLICIT = new RegExp('^(' + RUBY_BASE + ')《([^《》\\n]+)》', 'u');
+const RUBY_START = new RegExp('[|｜][^|｜《》\\n]*《|' + RUBY_BASE + '《(?!《)', 'u');
+const EMPHASIS_DOTS = /^《《([^《》\n]+)》》/;
+const TATE_CHU_YOKO = /^\^\^([^\s^]{1,4})\^\^/;
+
+const ruby = {
+  name: 'ruby',
+  level: 'inline',
+  start(src) {
+    const m = src.match(RUBY_START);
+    return m ? m.index : undefined;
+  },
+  tokenizer(src) {
+    if (/^[|｜]《/.test(src)) return { type: 'text', raw: src.slice(0, 2), text: '《' };
+    const m = RUBY_EXPLICIT.exec(src) || RUBY_IMPLICIT.exec(src);
+    if (!m) return undefined;
+    return { type: 'ruby', raw: m[0], base: m[1], reading: m[2] };
+  },
+  renderer(token) {
+    return '<ruby>' + escapeAttr(token.base) + '<rp>（</rp><rt>' + escapeAttr(token.reading) + '</rt><rp>）</rp></ruby>';
+  }
+};
+
+const emphasisDots = {
+  name: 'emphasisDots',
+  level: 'inline',
+  start(src) {
+    const i = src.indexOf('《《');
+    return i >= 0 ? i : undefined;
+  },
+  tokenizer(src) {
+    const m = EMPHASIS_DOTS.exec(src);
+    if (!m) return undefined;
+    const token = { type: 'emphasisDots', raw: m[0], tokens: [] };
+    this.lexer.inline(m[1], token.tokens);
+    return token;
+  },
+  renderer(token) {
+    return '<em class="emphasis-dots">' + this.parser.parseInline(token.tokens) + '</em>';
+  }
+};
+
+const tateChuYoko = {
+  name: 'tateChuYoko',
+  level: 'inline',
+  start(src) {
+    const i = src.indexOf('^^');
+    return i >= 0 ? i : undefined;
+  },
+  tokenizer(src) {
+    const m = TATE_CHU_YOKO.exec(src);
+    return m ? { type: 'tateChuYoko', raw: m[0], text: m[1] } : undefined;
+  },
+  renderer(token) {
+    return '<span class="tcy">' + escapeAttr(token.text) + '</span>';
+  }
+};
+
+const EXTENSIONS = [container, video, figure, emphasisDots, ruby, tateChuYoko];
+
+let instance = null;
+if (Marked) {
+  instance = new Marked();
+  instance.use({ extensions: EXTENSIONS });
+}
+
+function markdownToHtml(text) {
+  // marked passes through raw HTML (e.g. migrated posts with HTML body).
+  if (instance) return instance.parse(String(text || ''), { async: false });
+  return String(text || '').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n\n/g, '</p><p>').replace(/\n/g, '<br>\n');
+}
+
+module.exports = {
+  EXTENSIONS,
+  parseAttributes,
+  markdownToHtml
+};
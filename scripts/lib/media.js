@@ -0,0 +1,353 @@
+/**
+ * Media library for the writer (POST/GET/DELETE /api/media in writer-server.js).
+ * Uploads are stored as uploads/YYYY/MM/<name>.<ext> (month of the upload), with names made safe for URLs and
+ * "-2", "-3", … added when a file of that name is already there. Only images the build can size (JPEG, PNG,
+ * GIF, WebP) and videos (MP4, WebM, MOV) are accepted; SVG is left out because it can carry scripts.
+ * Usage is worked out from the Markdown in content/ and drafts/: any uploads/… path a post mentions.
+ * Images are prepared before they are stored (processImage, settings from `media` in site.config.json): JPEGs
+ * are turned upright and scaled down, PNGs scaled down, and GPS and other EXIF/XMP data is removed; an image
+ * that stays over maxSize is refused. The writer runs this in a worker thread, one image at a time
+ * (processImageInWorker). A photo's capture date can be kept in a sidecar, media-info/uploads/…/photo.jpg.json,
+ * which the media library shows; it lives outside uploads/ because that folder is published as it is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { imageSize, resizeRgba } = require('./images');
+const { readExif, stripMetadata, orientRgba } = require('./exif');
+const { decodePng, encodePng } = require('./png');
+const { parseFrontmatter } = require('./frontmatter');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.mov'];
+const MAX_NAME_LENGTH = 60;
+const MEDIA_INFO_DIR = 'media-info';
+// jpeg-js needs about 500 MB for a 24-megapixel photo; larger ones are refused (processImage sets error)
+const JPEG_MAX_MEMORY_MB = 512;
+// a PNG this large would need as much memory again to decode; it is refused instead
+const PNG_MAX_PIXELS = 24 * 1000 * 1000;
+
+let jpeg;
+try {
+  jpeg = require('jpeg-js');
+} catch (e) {
+  jpeg = null;
+}
+/** uploads/… paths in Markdown and HTML: after a quote, bracket, "=", whitespace or the start of a line. */
+const USAGE_REGEX = /(?:^|[\s"'(=\]])(?:\.{1,2}\/|\/)?(uploads\/[^\s"'()<>[\]{}]+)/gm;
+
+function mediaKind(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (IMAGE_EXTENSIONS.includes(ext)) return 'image';
+  if (VIDEO_EXTENSIONS.includes(ext)) return 'video';
+  return null;
+}
+
+/**
+ * Parts of a multipart/form-data body: [{ name, filename, contentType, data }] (filename is null for plain
+ * fields), or null when the body or Content-Type header isn't valid multipart.
+ */
+function parseMultipart(body, contentTypeHeader) {
+  const m = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentTypeHeader || '');
+  if (!m || !/^multipart\/form-data/i.test(contentTypeHeader)) return null;
+  const boundary = Buffer.from('--' + (m[1] || m[2]));
+  const delimiter = Buffer.concat([Buffer.from('\r\n'), boundary]);
+  const parts = [];
+  let pos = body.indexOf(boundary);
+  if (pos === -1) return null;
+  pos += boundary.length;
+  while (body.toString('latin1', pos, pos + 2) !== '--') {
+    if (body.toString('latin1', pos, pos + 2) !== '\r\n') return null;
+    const headerEnd = body.indexOf('\r\n\r\n', pos + 2);
+    if (headerEnd === -1) return null;
+    const headers = {};
+    body.toString('utf8', pos + 2, headerEnd).split('\r\n').forEach((line) => {
+      const i = line.indexOf(':');
+      if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+    });
+    const end = body.indexOf(delimiter, headerEnd + 4);
+    if (end === -1) return null;
+    const disposition = headers['content-disposition'] || '';
+    const name = /\bname="([^"]*)"/i.exec(disposition);
+    const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+    parts.push({
+      name: name ? name[1] : '',
+      filename: filename ? path.basename(filename[1].replace(/\\/g, '/')) : null,
+      contentType: headers['content-type'] || '',
+      data: body.subarray(headerEnd + 4, end)
+    });
+    pos = end + delimiter.length;
+  }
+  return parts;
+}
+
+/** "IMG 0042 (1).JPG" → "img-0042-1.jpg"; names with nothing usable (e.g. all Japanese) become image/video. */
+function safeMediaName(filename, kind) {
+  const ext = path.extname(filename).toLowerCase().replace('.jpeg', '.jpg');
+  const base = path.basename(filename, path.extname(filename))
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^[-_]+|[-_]+$/g, '')
+    .slice(0, MAX_NAME_LENGTH);
+  return (base || kind) + ext;
+}
+
+/** A path under dir that isn't taken yet: name.ext, name-2.ext, name-3.ext, … */
+function uniquePath(dir, name) {
+  const ext = path.extname(name);
+  const base = name.slice(0, -ext.length || undefined);
+  let candidate = name;
+  for (let n = 2; fs.existsSync(path.join(dir, candidate)); n++) candidate = base + '-' + n + ext;
+  return path.join(dir, candidate);
+}
+
+/**
+ * Check an uploaded file: { kind, width, height } for a supported image or video, or { error } saying why
+ * it can't be stored.
+ */
+function checkUpload(filename, data) {
+  const kind = mediaKind(filename || '');
+  if (!kind) return { error: 'Unsupported file type: ' + (path.extname(filename || '') || filename || '(no name)') };
+  if (!data.length) return { error: 'Empty file: ' + filename };
+  if (kind === 'video') return { kind };
+  const size = imageSize(data);
+  if (!size) return { error: 'Not a readable image: ' + filename };
+  return { kind, width: size.width, height: size.height };
+}
+
+/** Write data to uploads/YYYY/MM/ under root; returns the site-relative path (uploads/2025/02/photo.jpg). */
+function storeUpload(root, filename, kind, data, now) {
+  const date = now || new Date();
+  const month = String(date.getFullYear()) + '/' + String(date.getMonth() + 1).padStart(2, '0');
+  const dir = path.join(root, 'uploads', ...month.split('/'));
+  fs.mkdirSync(dir, { recursive: true });
+  const file = uniquePath(dir, safeMediaName(filename, kind));
+  fs.writeFileSync(file, data, { flag: 'wx' });
+  return path.relative(root, file).split(path.sep).join('/');
+}
+
+/** The JPEG with its original EXIF segment put back, orientation set to 1 since the pixels are upright now. */
+function withExif(encoded, exif) {
+  const segment = Buffer.from(exif.segment);
+  if (exif.orientationAt > 0) {
+    const little = segment.toString('latin1', 10, 12) === 'II';
+    if (little) segment.writeUInt16LE(1, exif.orientationAt);
+    else segment.writeUInt16BE(1, exif.orientationAt);
+  }
+  return Buffer.concat([encoded.subarray(0, 2), segment, encoded.subarray(2)]);
+}
+
+/** RGBA pixels scaled down so the longest side is at most maxSize (noted in changes), or as they are. */
+function scaleDown(image, maxSize, changes) {
+  const scale = maxSize / Math.max(image.width, image.height);
+  if (scale >= 1) return image;
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  changes.push('resized from ' + image.width + '×' + image.height + ' to ' + width + '×' + height);
+  return { data: resizeRgba(image.data, image.width, image.height, width, height), width, height };
+}
+
+/**
+ * Prepare an uploaded image (options: `media` from site.config.json). JPEGs with an EXIF orientation are turned
+ * upright and ones larger than maxSize on their longest side are scaled down, then re-encoded at `quality`;
+ * PNGs larger than maxSize are scaled down and re-encoded as PNG (keeping their colour profile). With
+ * stripMetadata, EXIF/XMP (GPS position, camera, …) is removed from JPEG, PNG and WebP, and otherwise kept.
+ * A JPEG that can't be decoded keeps its orientation tag when the rest is stripped, so it still displays
+ * upright. GIF and WebP can't be scaled here and are otherwise stored as they are. Returns { data, width,
+ * height, captured, changes, error }: captured is the EXIF capture date or null, changes says what was done (for
+ * the log), and error is set when the image is still larger than maxSize, so it must not be stored.
+ */
+function processImage(data, options) {
+  const size = imageSize(data);
+  const exif = size.type === 'jpeg' ? readExif(data) : null;
+  const orientation = exif ? exif.orientation : 1;
+  const result = { data, width: size.width, height: size.height, captured: exif ? exif.captured : null, changes: [] };
+  const rotate = orientation >= 2 && orientation <= 8;
+  let failed = '';
+  if (size.type === 'jpeg' && jpeg && (rotate || Math.max(size.width, size.height) > options.maxSize)) {
+    try {
+      const decoded = jpeg.decode(data, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: JPEG_MAX_MEMORY_MB });
+      if (rotate) result.changes.push('rotated upright');
+      const image = scaleDown(orientRgba(decoded.data, decoded.width, decoded.height, orientation), options.maxSize, result.changes);
+      result.data = jpeg.encode(image, options.quality).data;
+      result.width = image.width;
+      result.height = image.height;
+      if (!options.stripMetadata && exif) result.data = withExif(result.data, exif);
+    } catch (e) {
+      failed = e.message;
+      result.changes.push('kept as is (' + e.message + ')');
+    }
+  } else if (size.type === 'png' && Math.max(size.width, size.height) > options.maxSize) {
+    try {
+      if (size.width * size.height > PNG_MAX_PIXELS) throw new Error('over ' + PNG_MAX_PIXELS / 1e6 + ' megapixels');
+      const decoded = decodePng(data);
+      const image = scaleDown(decoded, options.maxSize, result.changes);
+      result.data = encodePng(image, decoded.colorChunks);
+      result.width = image.width;
+      result.height = image.height;
+    } catch (e) {
+      failed = e.message;
+      result.changes.push('kept as is (' + e.message + ')');
+    }
+  }
+  if (Math.max(result.width, result.height) > options.maxSize) {
+    const why = size.type === 'gif' || size.type === 'webp' ? size.type.toUpperCase() + " can't be scaled down here" : "it couldn't be scaled down" + (failed ? ' (' + failed + ')' : '');
+    result.error = 'Image is ' + result.width + '×' + result.height + ', larger than ' + options.maxSize + 'px, and ' + why + '; export it at most ' + options.maxSize + 'px on its longest side (or as JPEG) and upload it again';
+    return result;
+  }
+  if (options.stripMetadata) {
+    // a re-encoded JPEG or PNG has lost its metadata already
+    const reencoded = result.data !== data;
+    if (!reencoded) result.data = stripMetadata(data, size.type, orientation);
+    if (reencoded ? exif : result.data.length !== data.length) {
+      result.changes.push('metadata removed' + (exif && exif.hasGps ? ' (including GPS)' : '') + (!reencoded && rotate ? ', orientation kept' : ''));
+    }
+  }
+  return result;
+}
+
+const imageQueue = [];
+
+function runNextImage() {
+  const job = imageQueue[0];
+  if (!job) return;
+  let settled = false;
+  const finish = (err, result) => {
+    if (settled) return;
+    settled = true;
+    imageQueue.shift();
+    runNextImage();
+    job.done(err, result);
+  };
+  const worker = new Worker(path.join(__dirname, 'image-worker.js'), { workerData: { data: new Uint8Array(job.data), options: job.options } });
+  worker.once('message', (r) => finish(null, { ...r, data: Buffer.from(r.data.buffer, r.data.byteOffset, r.data.byteLength) }));
+  worker.once('error', (err) => finish(err));
+  worker.once('exit', (code) => finish(new Error('Image worker stopped (exit code ' + code + ')')));
+}
+
+/**
+ * processImage in a worker thread, so decoding a large photo doesn't hold up other requests. Images are done one
+ * at a time, which also caps the memory uploads can take. done(err, result).
+ */
+function processImageInWorker(data, options, done) {
+  imageQueue.push({ data, options, done });
+  if (imageQueue.length === 1) runNextImage();
+}
+
+/** Sidecar with extra facts about an upload (uploads/a.jpg → media-info/uploads/a.jpg.json). */
+function mediaInfoPath(root, rel) {
+  return path.join(root, MEDIA_INFO_DIR, rel + '.json');
+}
+
+/** The upload's sidecar ({ captured }), or {} when there is none. */
+function readMediaInfo(root, rel) {
+  try {
+    return JSON.parse(fs.readFileSync(mediaInfoPath(root, rel), 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+function writeMediaInfo(root, rel, info) {
+  const file = mediaInfoPath(root, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(info, null, 2) + '\n', 'utf8');
+}
+
+/** Every image and video under root/uploads: [{ path, name, kind, size, modified }], newest first. */
+function listMedia(root) {
+  const list = [];
+  const walk = (dir) => {
+    let names;
+    try {
+      names = fs.readdirSync(dir);
+    } catch (e) {
+      return;
+    }
+    names.forEach((name) => {
+      if (name.startsWith('.')) return;
+      const file = path.join(dir, name);
+      const stat = fs.statSync(file);
+      if (stat.isDirectory()) {
+        walk(file);
+        return;
+      }
+      const kind = mediaKind(name);
+      if (!kind) return;
+      list.push({
+        path: path.relative(root, file).split(path.sep).join('/'),
+        name,
+        kind,
+        size: stat.size,
+        modified: stat.mtime.toISOString()
+      });
+    });
+  };
+  walk(path.join(root, 'uploads'));
+  return list.sort((a, b) => (a.modified < b.modified ? 1 : a.modified > b.modified ? -1 : a.path.localeCompare(b.path)));
+}
+
+/** uploads/… paths mentioned in a post's Markdown. */
+function mediaReferences(markdown) {
+  const found = new Set();
+  let m;
+  USAGE_REGEX.lastIndex = 0;
+  while ((m = USAGE_REGEX.exec(markdown)) !== null) {
+    let ref = m[1].replace(/[.,;:!?]+$/, '');
+    try {
+      ref = decodeURI(ref);
+    } catch (e) {
+      // keep as written
+    }
+    found.add(ref);
+  }
+  return found;
+}
+
+/**
+ * Which posts use which files: Map of uploads/… path → [{ slug, title, status }], from the .md files in
+ * dirs ({ published: contentDir, draft: draftsDir }).
+ */
+function mediaUsage(dirs) {
+  const usage = new Map();
+  for (const [status, dir] of Object.entries(dirs)) {
+    if (!fs.existsSync(dir)) continue;
+    fs.readdirSync(dir).filter((f) => f.endsWith('.md')).forEach((file) => {
+      const slug = file.slice(0, -3);
+      const raw = fs.readFileSync(path.join(dir, file), 'utf8');
+      let title = slug;
+      try {
+        const meta = parseFrontmatter(raw).meta;
+        if (meta.title) title = String(meta.title);
+      } catch (e) {
+        // unreadable frontmatter: still count the references
+      }
+      mediaReferences(raw).forEach((ref) => {
+        if (!usage.has(ref)) usage.set(ref, []);
+        usage.get(ref).push({ slug, title, status });
+      });
+    });
+  }
+  return usage;
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  VIDEO_EXTENSIONS,
+  mediaKind,
+  parseMultipart,
+  safeMediaName,
+  checkUpload,
+  processImage,
+  processImageInWorker,
+  storeUpload,
+  mediaInfoPath,
+  readMediaInfo,
+  writeMediaInfo,
+  listMedia,
+  mediaReferences,
+  mediaUsage
+};
@@ -0,0 +1,143 @@
+/**
+ * Where generated files go. The build never writes next to the sources: it fills a staging folder
+ * (dist.tmp/) and swaps it in for dist/ once everything has been written, so a failed or interrupted build leaves
+ * the last good dist/ as it was. dist/ is what gets published (see scripts/lib/deploy.js).
+ *
+ * An incremental build starts its staging folder as a copy of dist/ made of hard links, which is cheap; files are
+ * then replaced rather than written into, so the live dist/ never changes before the swap. Static assets are real
+ * copies (refreshed when size or mtime differ), so editing a source never touches the published files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DIST_DIR = 'dist';
+const STAGING_DIR = 'dist.tmp';
+const PREVIOUS_DIR = 'dist.old';
+/**
+ * Sources published as they are. resized/ is the image variant cache written by scripts/lib/images.js.
+ * profile.html is not among them: the build writes it with the site's URLs (staticPageHtml in render.js).
+ */
+const STATIC_ASSETS = ['styles.css', 'images', 'uploads', 'resized'];
+/** Files inside STATIC_ASSETS that stay private: the variant cache's bookkeeping (source paths and hashes). */
+const STATIC_EXCLUDE = ['resized/manifest.json'];
+
+function distDir(root) {
+  return path.join(root, DIST_DIR);
+}
+
+function stagingDir(root) {
+  return path.join(root, STAGING_DIR);
+}
+
+function linkOrCopy(src, dest) {
+  try {
+    fs.linkSync(src, dest);
+  } catch (e) {
+    // links not supported here
+    fs.copyFileSync(src, dest);
+  }
+}
+
+/** Mirror a file or folder into dest with hard links. Only used between output folders. */
+function linkTree(src, dest) {
+  const stat = fs.statSync(src);
+  if (stat.isDirectory()) {
+    fs.mkdirSync(dest, { recursive: true });
+    for (const name of fs.readdirSync(src)) linkTree(path.join(src, name), path.join(dest, name));
+  } else if (stat.isFile()) {
+    linkOrCopy(src, dest);
+  }
+}
+
+/**
+ * Make dest a copy of src, copying only files whose size or mtime differ and deleting what src doesn't have.
+ * Source paths in skip are left out (and removed from dest).
+ */
+function syncTree(src, dest, skip) {
+  const stat = fs.statSync(src);
+  let current = null;
+  try {
+    current = fs.statSync(dest);
+  } catch (e) {
+    // not there yet
+  }
+  if (stat.isDirectory()) {
+    if (current && !current.isDirectory()) fs.rmSync(dest, { force: true });
+    fs.mkdirSync(dest, { recursive: true });
+    const names = fs.readdirSync(src).filter((name) => !skip.has(path.join(src, name)));
+    const keep = new Set(names);
+    fs.readdirSync(dest).filter((name) => !keep.has(name)).forEach((name) => fs.rmSync(path.join(dest, name), { recursive: true, force: true }));
+    names.forEach((name) => syncTree(path.join(src, name), path.join(dest, name), skip));
+    return;
+  }
+  if (!stat.isFile()) return;
+  if (current && current.isFile() && current.size === stat.size && Math.trunc(current.mtimeMs) === Math.trunc(stat.mtimeMs)) return;
+  fs.rmSync(dest, { recursive: true, force: true });
+  fs.copyFileSync(src, dest);
+  fs.utimesSync(dest, stat.atime, stat.mtime);
+}
+
+/** A build stopped between the two renames of commit() leaves only dist.old/; put it back. */
+function recover(root) {
+  const previous = path.join(root, PREVIOUS_DIR);
+  if (!fs.existsSync(previous)) return;
+  if (fs.existsSync(distDir(root))) fs.rmSync(previous, { recursive: true, force: true });
+  else fs.renameSync(previous, distDir(root));
+}
+
+/**
+ * Open the staging folder for one build. options.fresh starts it empty (full build, import) instead of from dist/.
+ * Returns { dir, write(file, content), copyStatic(), commit(), discard() }; write() takes absolute paths inside dir.
+ */
+function createOutput(root, options) {
+  const opts = options || {};
+  const dist = distDir(root);
+  const dir = stagingDir(root);
+  recover(root);
+  fs.rmSync(dir, { recursive: true, force: true });
+  if (!opts.fresh && fs.existsSync(dist)) linkTree(dist, dir);
+  else fs.mkdirSync(dir, { recursive: true });
+
+  function write(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Unchanged files are hard links into dist/: replace, never write through
+    fs.rmSync(file, { force: true });
+    fs.writeFileSync(file, content, 'utf8');
+  }
+
+  /** Bring STATIC_ASSETS in the output up to date with the sources (deleted uploads disappear too), minus STATIC_EXCLUDE. */
+  function copyStatic() {
+    const skip = new Set(STATIC_EXCLUDE.map((rel) => path.join(root, rel)));
+    for (const name of STATIC_ASSETS) {
+      const src = path.join(root, name);
+      const dest = path.join(dir, name);
+      if (fs.existsSync(src)) syncTree(src, dest, skip);
+      else fs.rmSync(dest, { recursive: true, force: true });
+    }
+  }
+
+  /** Swap the staging folder in as dist/. */
+  function commit() {
+    const previous = path.join(root, PREVIOUS_DIR);
+    fs.rmSync(previous, { recursive: true, force: true });
+    if (fs.existsSync(dist)) fs.renameSync(dist, previous);
+    fs.renameSync(dir, dist);
+    fs.rmSync(previous, { recursive: true, force: true });
+  }
+
+  function discard() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { dir, write, copyStatic, commit, discard };
+}
+
+module.exports = {
+  DIST_DIR,
+  STATIC_ASSETS,
+  STATIC_EXCLUDE,
+  distDir,
+  stagingDir,
+  createOutput
+};
@@ -0,0 +1,213 @@
+/**
+ * Just enough PNG for uploads (scripts/lib/media.js), in pure Node (zlib): decode a non-interlaced PNG of any
+ * colour type and bit depth to RGBA, and encode RGBA pixels back, so large screenshots can be scaled down.
+ * The colour chunks (iCCP, sRGB, gAMA, cHRM) can be carried over; text and other metadata are not.
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+/** Chunks that say how to show the colours; kept when a PNG is re-encoded. */
+const COLOR_CHUNKS = new Set(['iCCP', 'sRGB', 'gAMA', 'cHRM']);
+/** Samples per pixel, by colour type (0 grey, 2 RGB, 3 palette, 4 grey + alpha, 6 RGBA). */
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+let crcTable = null;
+
+function crc32(buf) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = crcTable[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+/** The chunks of a PNG: [{ type, data }]. */
+function readChunks(buf) {
+  if (buf.length < 8 || !buf.subarray(0, 8).equals(SIGNATURE)) throw new Error('not a PNG');
+  const chunks = [];
+  let i = 8;
+  while (i + 12 <= buf.length) {
+    const length = buf.readUInt32BE(i);
+    const type = buf.toString('latin1', i + 4, i + 8);
+    chunks.push({ type, data: buf.subarray(i + 8, i + 8 + length) });
+    i += 12 + length;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/** Undo the per-row filters: the raw scanlines without their filter bytes. */
+function unfilter(data, height, stride, bpp) {
+  const out = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y++) {
+    const type = data[y * (stride + 1)];
+    const line = data.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y ? out[row - stride + x] : 0;
+      const c = y && x >= bpp ? out[row - stride + x - bpp] : 0;
+      let v = line[x];
+      if (type === 1) v += a;
+      else if (type === 2) v += b;
+      else if (type === 3) v += (a + b) >> 1;
+      else if (type === 4) v += paeth(a, b, c);
+      else if (type !== 0) throw new Error('bad PNG filter ' + type);
+      out[row + x] = v & 0xff;
+    }
+  }
+  return out;
+}
+
+/**
+ * Decode a PNG to { data (RGBA), width, height, colorChunks }. Throws for interlaced or malformed files.
+ * 16-bit samples are cut to 8 bits.
+ */
+function decodePng(buf) {
+  const chunks = readChunks(buf);
+  const ihdr = chunks.find((c) => c.type === 'IHDR');
+  if (!ihdr) throw new Error('PNG without IHDR');
+  const width = ihdr.data.readUInt32BE(0);
+  const height = ihdr.data.readUInt32BE(4);
+  const depth = ihdr.data[8];
+  const colorType = ihdr.data[9];
+  if (ihdr.data[12] !== 0) throw new Error('interlaced PNG');
+  const channels = CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(depth)) throw new Error('unsupported PNG (colour type ' + colorType + ', ' + depth + '-bit)');
+  const bitsPerPixel = channels * depth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const raw = unfilter(zlib.inflateSync(Buffer.concat(chunks.filter((c) => c.type === 'IDAT').map((c) => c.data))), height, stride, Math.max(1, bitsPerPixel >> 3));
+  const plte = chunks.find((c) => c.type === 'PLTE');
+  const trns = chunks.find((c) => c.type === 'tRNS');
+  const max = (1 << Math.min(depth, 8)) - 1;
+  /** Sample n of the row starting at row, as stored (up to 16 bits). */
+  const rawSample = (row, n) => {
+    if (depth === 16) return raw.readUInt16BE(row + n * 2);
+    if (depth === 8) return raw[row + n];
+    const bit = n * depth;
+    return (raw[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & max;
+  };
+  /** The same scaled to 0–255; palette indexes are returned as they are. */
+  const sample = (row, n) => {
+    const v = rawSample(row, n);
+    if (depth === 16) return v >> 8;
+    return depth === 8 || colorType === 3 ? v : Math.round((v * 255) / max);
+  };
+  /** The tRNS colour for grey or RGB, compared with the samples as stored. */
+  const key = trns && colorType !== 3 ? Array.from({ length: colorType === 2 ? 3 : 1 }, (_, i) => trns.data.readUInt16BE(i * 2)) : null;
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const n = x * channels;
+      if (colorType === 3) {
+        const i = sample(row, n);
+        if (!plte || i * 3 + 2 >= plte.data.length) throw new Error('PNG palette index out of range');
+        data[o] = plte.data[i * 3];
+        data[o + 1] = plte.data[i * 3 + 1];
+        data[o + 2] = plte.data[i * 3 + 2];
+        data[o + 3] = trns && i < trns.data.length ? trns.data[i] : 255;
+        continue;
+      }
+      const grey = colorType === 0 || colorType === 4;
+      data[o] = sample(row, n);
+      data[o + 1] = grey ? data[o] : sample(row, n + 1);
+      data[o + 2] = grey ? data[o] : sample(row, n + 2);
+      if (colorType === 4 || colorType === 6) data[o + 3] = sample(row, n + channels - 1);
+      else data[o + 3] = key && key.every((k, i) => rawSample(row, n + i) === k) ? 0 : 255;
+    }
+  }
+  return { data, width, height, colorChunks: chunks.filter((c) => COLOR_CHUNKS.has(c.type)) };
+}
+
+function chunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+/** Filter each row with whichever of the five PNG filters gives the smallest sum of absolute values. */
+function filterRows(pixels, height, stride, bpp) {
+  const out = Buffer.alloc(height * (stride + 1));
+  const line = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    let best = null;
+    let bestType = 0;
+    let bestSum = Infinity;
+    for (let type = 0; type <= 4; type++) {
+      let sum = 0;
+      for (let x = 0; x < stride; x++) {
+        const a = x >= bpp ? pixels[row + x - bpp] : 0;
+        const b = y ? pixels[row - stride + x] : 0;
+        const c = y && x >= bpp ? pixels[row - stride + x - bpp] : 0;
+        const predicted = type === 0 ? 0 : type === 1 ? a : type === 2 ? b : type === 3 ? (a + b) >> 1 : paeth(a, b, c);
+        const v = (pixels[row + x] - predicted) & 0xff;
+        line[x] = v;
+        sum += v < 128 ? v : 256 - v;
+      }
+      if (sum < bestSum) {
+        bestSum = sum;
+        bestType = type;
+        best = Buffer.from(line);
+      }
+    }
+    out[y * (stride + 1)] = bestType;
+    best.copy(out, y * (stride + 1) + 1);
+  }
+  return out;
+}
+
+/** Encode { data (RGBA), width, height } as an 8-bit PNG (RGB when nothing is transparent), with colorChunks first. */
+function encodePng(image, colorChunks) {
+  const { data, width, height } = image;
+  let opaque = true;
+  for (let i = 3; i < data.length && opaque; i += 4) opaque = data[i] === 255;
+  const channels = opaque ? 3 : 4;
+  let pixels = data;
+  if (opaque) {
+    pixels = Buffer.alloc(width * height * 3);
+    for (let i = 0, o = 0; i < data.length; i += 4, o += 3) {
+      pixels[o] = data[i];
+      pixels[o + 1] = data[i + 1];
+      pixels[o + 2] = data[i + 2];
+    }
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = opaque ? 2 : 6;
+  const idat = zlib.deflateSync(filterRows(pixels, height, width * channels, channels), { level: 9 });
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    ...(colorChunks || []).map((c) => chunk(c.type, c.data)),
+    chunk('IDAT', idat),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  decodePng,
+  encodePng
+};
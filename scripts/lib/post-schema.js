@@ -0,0 +1,111 @@
+/**
+ * Declared schema for post frontmatter (content/*.md, drafts/*.md).
+ * build-from-markdown.js fails on violations; the writer's draft/publish API returns them as field errors.
+ * Fields not listed here (og_image, …) are passed through unchecked.
+ */
+
+const { parseScalar } = require('./frontmatter');
+
+/** WordPress's default category: used by imported posts but never declared in data/categories.json. */
+const BUILTIN_CATEGORIES = ['Uncategorized'];
+
+const POST_SCHEMA = {
+  title: { type: 'string', required: true },
+  date: { type: 'date', required: true },
+  draft: { type: 'boolean' },
+  categories: { type: 'list', declared: true },
+  tags: { type: 'list' },
+  excerpt: { type: 'string' },
+  publish_at: { type: 'date' },
+  updated: { type: 'date' },
+  toc: { type: 'boolean' }
+};
+
+const TYPE_MESSAGES = {
+  string: 'must be text (put it in quotes if it looks like a number, date or true/false)',
+  date: 'must be a date like 2025-02-08 or 2025-02-08 09:30',
+  boolean: 'must be true or false',
+  list: 'must be a list of names'
+};
+
+function describe(value) {
+  if (value instanceof Date) return value.toISOString();
+  return typeof value === 'string' ? '"' + value + '"' : JSON.stringify(value);
+}
+
+/**
+ * Check meta against POST_SCHEMA.
+ * Options: categories — allowed category names (omit to skip the check); lines — key -> line number from parseFrontmatter.
+ * Returns [{ field, code, message, line?, value? }]; code is one of required, type, date, category.
+ */
+function validatePost(meta, options) {
+  const opts = options || {};
+  const lines = opts.lines || {};
+  const allowed = opts.categories ? new Set(opts.categories.concat(BUILTIN_CATEGORIES)) : null;
+  const errors = [];
+  const fail = (field, code, message, value) => {
+    const err = { field, code, message: field + ': ' + message };
+    // A missing field is reported on the opening --- line
+    if (opts.lines) err.line = lines[field] || 1;
+    if (value !== undefined) err.value = value;
+    errors.push(err);
+  };
+  for (const [field, rule] of Object.entries(POST_SCHEMA)) {
+    const value = meta[field];
+    const missing = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    if (missing) {
+      if (rule.required) fail(field, 'required', 'is required');
+      continue;
+    }
+    if (rule.type === 'string' && typeof value !== 'string') {
+      fail(field, 'type', TYPE_MESSAGES.string + ', got ' + describe(value));
+    } else if (rule.type === 'boolean' && typeof value !== 'boolean') {
+      fail(field, 'type', TYPE_MESSAGES.boolean + ', got ' + describe(value));
+    } else if (rule.type === 'date' && !(value instanceof Date) && !(typeof value === 'string' && parseScalar(value) instanceof Date)) {
+      fail(field, 'date', TYPE_MESSAGES.date + ', got ' + describe(value));
+    } else if (rule.type === 'list') {
+      if (!Array.isArray(value) || value.some((c) => typeof c !== 'string')) {
+        fail(field, 'type', TYPE_MESSAGES.list);
+        continue;
+      }
+      if (!rule.declared || !allowed) continue;
+      value.filter((c) => !allowed.has(c)).forEach((c) => {
+        fail(field, 'category', 'unknown category "' + c + '" (declare it in data/categories.json)', c);
+      });
+    }
+  }
+  return errors;
+}
+
+/** Date value of a validated post as a Date (quoted date strings are accepted by the schema). */
+function postDate(meta) {
+  return meta.date instanceof Date ? meta.date : parseScalar(String(meta.date));
+}
+
+/** When the post was last revised (updated, falling back to date); feeds report it as the entry's updated time. */
+function postUpdated(meta) {
+  if (meta.updated == null || meta.updated === '') return postDate(meta);
+  return meta.updated instanceof Date ? meta.updated : parseScalar(String(meta.updated));
+}
+
+/** publish_at of a validated post as a Date, or null if it has none. Times without a zone are UTC. */
+function publishAt(meta) {
+  if (meta.publish_at == null || meta.publish_at === '') return null;
+  return meta.publish_at instanceof Date ? meta.publish_at : parseScalar(String(meta.publish_at));
+}
+
+/** True if the post has a publish_at later than `now` (default: the current time). */
+function isScheduled(meta, now) {
+  const at = publishAt(meta);
+  return Boolean(at) && at.getTime() > (now || new Date()).getTime();
+}
+
+module.exports = {
+  POST_SCHEMA,
+  BUILTIN_CATEGORIES,
+  validatePost,
+  postDate,
+  postUpdated,
+  publishAt,
+  isScheduled
+};
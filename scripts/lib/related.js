@@ -0,0 +1,115 @@
+/**
+ * Build-time links between posts: previous/next in date order (overall and within the post's first category)
+ * and "related posts" scored by shared categories, shared tags and text similarity.
+ * postsData is newest first, as in data/posts.json.
+ */
+
+const { normalizeForSearch, bigrams } = require('./search-index');
+
+const RELATED_LIMIT = 5;
+const CATEGORY_WEIGHT = 2;
+const TAG_WEIGHT = 3;
+const TEXT_WEIGHT = 10;
+/** Bigrams in more than this share of posts say nothing about what a post is about. */
+const COMMON_GRAM_RATIO = 0.1;
+
+/** Markdown/HTML body reduced to its words: images, link targets, tags and URLs removed. */
+function similarityText(body) {
+  return String(body || '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\]\([^)]*\)/g, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/\[\/?\w+[^\]]*\]/g, ' ');
+}
+
+/**
+ * slug -> { prev, next, category } where prev is the next older post, next the next newer one, and
+ * category is { name, prev, next } within the post's first category (null if it has none).
+ */
+function buildPostNavigation(postsData) {
+  const byCategory = new Map();
+  postsData.forEach((p) => {
+    const name = (p.categories || [])[0];
+    if (!name) return;
+    if (!byCategory.has(name)) byCategory.set(name, postsData.filter((q) => (q.categories || []).includes(name)));
+  });
+  const nav = new Map();
+  postsData.forEach((p, i) => {
+    const name = (p.categories || [])[0];
+    let category = null;
+    if (name) {
+      const list = byCategory.get(name);
+      const j = list.indexOf(p);
+      category = { name, prev: list[j + 1] || null, next: list[j - 1] || null };
+    }
+    nav.set(p.slug, { prev: postsData[i + 1] || null, next: postsData[i - 1] || null, category });
+  });
+  return nav;
+}
+
+/** name -> indexes of the posts listing it in `field` (categories or tags). */
+function groupBy(postsData, field) {
+  const groups = new Map();
+  postsData.forEach((p, i) => (p[field] || []).forEach((name) => {
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(i);
+  }));
+  return groups;
+}
+
+/**
+ * slug -> up to `limit` related posts, best first.
+ * texts: slug -> Markdown body. Text similarity is the cosine of IDF-weighted bigram sets, so two posts about
+ * "ナイアガラ" score higher than two posts that both use everyday words.
+ */
+function buildRelatedPosts(postsData, texts, limit) {
+  const max = limit || RELATED_LIMIT;
+  const n = postsData.length;
+  const gramSets = postsData.map((p) => bigrams(normalizeForSearch(p.title + '\n' + similarityText(texts.get(p.slug)))));
+  const postings = new Map();
+  gramSets.forEach((grams, i) => grams.forEach((g) => {
+    if (!postings.has(g)) postings.set(g, []);
+    postings.get(g).push(i);
+  }));
+  const maxDf = Math.max(2, Math.floor(n * COMMON_GRAM_RATIO));
+  const weight = new Map();
+  postings.forEach((ids, g) => {
+    if (ids.length >= 2 && ids.length <= maxDf) weight.set(g, Math.log(n / ids.length) ** 2);
+  });
+  // Per post, only the bigrams that carry weight
+  const terms = gramSets.map((grams) => [...grams].filter((g) => weight.has(g)));
+  const norms = terms.map((grams) => Math.sqrt(grams.reduce((sum, g) => sum + weight.get(g), 0)) || 1);
+  const byCategory = groupBy(postsData, 'categories');
+  const byTag = groupBy(postsData, 'tags');
+
+  const related = new Map();
+  const scores = new Float64Array(n);
+  postsData.forEach((p, i) => {
+    scores.fill(0);
+    terms[i].forEach((g) => {
+      const w = weight.get(g);
+      postings.get(g).forEach((j) => { scores[j] += w; });
+    });
+    for (let j = 0; j < n; j++) {
+      if (scores[j]) scores[j] = TEXT_WEIGHT * scores[j] / (norms[i] * norms[j]);
+    }
+    const addShared = (names, groups, bonus) => (names || []).forEach((name) => groups.get(name).forEach((j) => { scores[j] += bonus; }));
+    addShared(p.categories, byCategory, CATEGORY_WEIGHT);
+    addShared(p.tags, byTag, TAG_WEIGHT);
+    scores[i] = 0;
+    const best = [];
+    for (let j = 0; j < n; j++) {
+      if (scores[j] > 0) best.push(j);
+    }
+    best.sort((a, b) => scores[b] - scores[a] || a - b);
+    related.set(p.slug, best.slice(0, max).map((j) => postsData[j]));
+  });
+  return related;
+}
+
+module.exports = {
+  RELATED_LIMIT,
+  buildPostNavigation,
+  buildRelatedPosts
+};
@@ -0,0 +1,1328 @@
+/**
+ * Shared rendering for build-from-markdown.js and the writer preview (writer-server.js).
+ * Layouts: post page, list page (index, page/N, top), category page, tag page, archive (archive.html, archive/<year>, archive/<year>/<month>), search, stats.
+ * Every page goes through layout(), so the head, header, nav and footer are defined once here.
+ */
+
+const { markdownToHtml } = require('./markdown');
+const { READING_SPEED, countChars, readingMinutes, formatCount } = require('./stats');
+const { siteConfig } = require('./site-config');
+
+/** From site.config.json (scripts/lib/site-config.js). */
+const SITE = siteConfig();
+const SITE_NAME = SITE.name;
+const SITE_TAGLINE = SITE.tagline;
+const SITE_DESCRIPTION = SITE.description;
+const SITE_URL = SITE.url;
+const PER_PAGE = SITE.perPage;
+/** Site-wide feeds (written by the build, see scripts/lib/feeds.js), advertised in every page head. */
+const SITE_FEEDS = [
+  { file: 'feed.xml', type: 'application/atom+xml', title: SITE_NAME },
+  { file: 'rss.xml', type: 'application/rss+xml', title: SITE_NAME + ' (RSS)' },
+  { file: 'feed.json', type: 'application/feed+json', title: SITE_NAME + ' (JSON Feed)' },
+  { file: 'feed-full.xml', type: 'application/atom+xml', title: SITE_NAME + '（全文）' }
+];
+/** <head> links for SITE.fonts; preconnects to hosts that serve the font files (not the stylesheets) need crossorigin. */
+const FONT_LINKS = (() => {
+  const origin = (url) => new URL(url).origin;
+  const stylesheetOrigins = new Set(SITE.fonts.stylesheets.map(origin));
+  return SITE.fonts.preconnect.map((url) => `  <link rel="preconnect" href="${url}"${stylesheetOrigins.has(origin(url)) ? '' : ' crossorigin'}>`)
+    .concat(SITE.fonts.stylesheets.map((url) => `  <link href="${url}" rel="stylesheet">`))
+    .join('\n');
+})();
+
+/** Absolute URL of SITE.ogImage (a path from the site root or a full URL), or '' when none is set. */
+function siteOgImageUrl(siteUrl) {
+  if (!SITE.ogImage) return '';
+  return /^https?:\/\//.test(SITE.ogImage) ? SITE.ogImage : siteUrl + '/' + SITE.ogImage.replace(/^\//, '');
+}
+
+/**
+ * A hand-written page (profile.html) as published at siteUrl/<file>: its canonical link and og:url point there,
+ * and the site OG image is added when the page has none.
+ */
+function staticPageHtml(html, file, siteUrl) {
+  const url = escapeHtml(siteUrl + '/' + file);
+  let out = html
+    .replace(/(<link rel="canonical" href=")[^"]*"/, (m, start) => start + url + '"')
+    .replace(/(<meta property="og:url" content=")[^"]*"/, (m, start) => start + url + '"');
+  const ogImageUrl = siteOgImageUrl(siteUrl);
+  if (ogImageUrl && !out.includes('og:image')) {
+    out = out.replace('</head>', '  <meta property="og:image" content="' + escapeHtml(ogImageUrl) + '">\n  <meta name="twitter:image" content="' + escapeHtml(ogImageUrl) + '">\n</head>');
+  }
+  return out;
+}
+
+function escapeHtml(s) {
+  return String(s == null ? '' : s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function slugify(str) {
+  return String(str || '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^\w\u3040-\u309f\u30a0-\u30ff\u4e00-\u9faf-]/g, '')
+    .replace(/-+/g, '-')
+    .slice(0, 80) || 'post';
+}
+
+function categorySlug(name) {
+  return slugify(name) || 'category';
+}
+
+/** Lower-cased so "Toronto" and "toronto" share one page (and don't clash on case-insensitive disks). */
+function tagSlug(name) {
+  return slugify(name).toLowerCase() || 'tag';
+}
+
+function formatDateRel(dateStr) {
+  if (!dateStr) return '';
+  const d = new Date(dateStr);
+  if (isNaN(d.getTime())) return '';
+  const now = new Date();
+  const months = Math.floor((now - d) / (30 * 24 * 60 * 60 * 1000));
+  if (months < 1) return 'recently';
+  if (months < 12) return months + ' months ago';
+  const years = Math.floor(months / 12);
+  return years + ' year' + (years > 1 ? 's' : '') + ' ago';
+}
+
+function formatDateYMD(dateStr) {
+  if (!dateStr) return '';
+  const d = new Date(dateStr);
+  if (isNaN(d.getTime())) return dateStr;
+  return d.toISOString().slice(0, 10);
+}
+
+function metaDescription(text, maxLen) {
+  const stripped = String(text || '').replace(/\s+/g, ' ').trim();
+  if (stripped.length <= maxLen) return stripped;
+  return stripped.slice(0, maxLen).trim().replace(/\s+\S*$/, '') + '…';
+}
+
+function getPageNumbers(current, total) {
+  if (total <= 1) return [1];
+  const windowSize = 2;
+  const left = Math.max(2, current - windowSize);
+  const right = Math.min(total - 1, current + windowSize);
+  const out = [1];
+  if (left > 2) out.push('…');
+  for (let i = left; i <= right; i++) out.push(i);
+  if (right < total - 1) out.push('…');
+  if (total > 1) out.push(total);
+  return out;
+}
+
+function pageUrl(n, baseUrl) {
+  return n === 1 ? baseUrl + 'index.html' : baseUrl + 'page/' + n + '.html';
+}
+
+function tagPageUrl(slug, n, baseUrl) {
+  return n === 1 ? baseUrl + 'tag/' + slug + '.html' : baseUrl + 'tag/' + slug + '-' + n + '.html';
+}
+
+function categoryPageUrl(catSlug, n, baseUrl) {
+  return n === 1 ? baseUrl + 'category/' + catSlug + '.html' : baseUrl + 'category/' + catSlug + '-' + n + '.html';
+}
+
+function categoryFeedUrl(catSlug, baseUrl) {
+  return baseUrl + 'category/' + catSlug + '.xml';
+}
+
+function archiveYearUrl(year, baseUrl) {
+  return baseUrl + 'archive/' + year + '.html';
+}
+
+/** month is two digits ("03"). */
+function archiveMonthUrl(year, month, baseUrl) {
+  return baseUrl + 'archive/' + year + '/' + month + '.html';
+}
+
+/** "約3分" for a post of `chars` characters. */
+function readingTimeLabel(chars) {
+  return '約' + readingMinutes(chars) + '分';
+}
+
+function buildPreviews(posts, baseUrl, featuredIndex) {
+  const url = (p) => baseUrl + 'posts/' + p.slug + '.html';
+  return posts.map((p, i) => {
+    const meta = [p.categories.join(', '), p.dateRel, p.chars != null ? readingTimeLabel(p.chars) : ''].filter(Boolean).join(' · ');
+    const excerpt = p.excerpt ? `<p class="post-excerpt">${escapeHtml(p.excerpt)}</p>` : '';
+    const excerptClass = featuredIndex === i ? ' post-preview--featured' : '';
+    const readMore = `<p class="read-more"><a href="${url(p)}" class="read-more-link">Read more</a></p>`;
+    return `        <article class="post-preview${excerptClass}">
+          <span class="post-meta">${escapeHtml(meta)}</span>
+          <h3 class="post-title"><a href="${url(p)}">${escapeHtml(p.title)}</a></h3>
+          ${excerpt}
+          ${readMore}
+        </article>`;
+  }).join('\n');
+}
+
+/** Pagination nav; urlFor(n) returns the href of page n. Empty when there is only one page. */
+function buildPagination(pageNum, totalPages, urlFor) {
+  if (totalPages <= 1) return '';
+  const prevLink = pageNum === 1 ? null : urlFor(pageNum - 1);
+  const nextLink = pageNum < totalPages ? urlFor(pageNum + 1) : null;
+  const pageNumbers = getPageNumbers(pageNum, totalPages);
+  let nav = '<nav class="pagination" aria-label="Pagination">';
+  if (prevLink) nav += `<a href="${prevLink}" class="pagination-link pagination-prev">« Newer</a>`;
+  nav += '<span class="pagination-pages">';
+  pageNumbers.forEach((n) => {
+    if (n === '…') {
+      nav += '<span class="pagination-ellipsis" aria-hidden="true">…</span>';
+    } else if (n === pageNum) {
+      nav += `<span class="pagination-current" aria-current="page">${n}</span>`;
+    } else {
+      nav += `<a href="${urlFor(n)}" class="pagination-num">${n}</a>`;
+    }
+  });
+  nav += '</span>';
+  if (nextLink) nav += `<a href="${nextLink}" class="pagination-link pagination-next">Older »</a>`;
+  nav += '<label class="pagination-goto">Go to page <select class="pagination-select" onchange="if(this.value)window.location.href=this.value">';
+  nav += '<option value="">—</option>';
+  for (let i = 1; i <= totalPages; i++) {
+    nav += `<option value="${urlFor(i)}"${i === pageNum ? ' selected' : ''}>${i}</option>`;
+  }
+  nav += '</select></label>';
+  nav += '</nav>';
+  return nav;
+}
+
+/**
+ * Build the category tree from declared categories ([{ name, parent }], see data/categories.json)
+ * plus any category used by a post that is not declared (added as top-level).
+ * Top-level categories are sorted by name; children keep their declared order.
+ * Each node gets a path-based slug (e.g. 旅行-インド-ゴア) and the posts of itself + descendants.
+ */
+function buildCategoryTree(declared, postsData) {
+  const nodes = new Map();
+  (Array.isArray(declared) ? declared : []).forEach((c) => {
+    if (c && c.name && !nodes.has(c.name)) nodes.set(c.name, { name: c.name, parent: c.parent || null, children: [] });
+  });
+  postsData.forEach((p) => p.categories.forEach((name) => {
+    if (!nodes.has(name)) nodes.set(name, { name, parent: null, children: [] });
+  }));
+  for (const node of nodes.values()) {
+    if (node.parent && nodes.has(node.parent)) nodes.get(node.parent).children.push(node);
+    else node.parent = null;
+  }
+  const roots = [...nodes.values()]
+    .filter((n) => !n.parent && n.name !== 'Uncategorized')
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  const all = [];
+  function visit(node, pathNames) {
+    const names = pathNames.concat(node.name);
+    node.slug = names.map(categorySlug).join('-');
+    all.push(node);
+    node.children.forEach((c) => visit(c, names));
+  }
+  roots.forEach((node) => visit(node, []));
+  function descendantNames(node, out) {
+    out.add(node.name);
+    node.children.forEach((c) => descendantNames(c, out));
+    return out;
+  }
+  all.forEach((node) => {
+    const allowedNames = descendantNames(node, new Set());
+    node.posts = postsData.filter((p) => p.categories.some((c) => allowedNames.has(c)));
+    node.totalPages = Math.max(1, Math.ceil(node.posts.length / PER_PAGE));
+  });
+  return { roots, all };
+}
+
+/**
+ * Tags used by posts: [{ name, slug, posts, totalPages }], most used first.
+ * Names that slugify the same (e.g. "Toronto" / "toronto") share one tag; the first spelling seen wins.
+ */
+function buildTagIndex(postsData) {
+  const bySlug = new Map();
+  postsData.forEach((p) => (p.tags || []).forEach((name) => {
+    const slug = tagSlug(name);
+    if (!bySlug.has(slug)) bySlug.set(slug, { name, slug, posts: [] });
+    const tag = bySlug.get(slug);
+    if (!tag.posts.includes(p)) tag.posts.push(p);
+  }));
+  const tags = [...bySlug.values()];
+  tags.forEach((t) => {
+    t.totalPages = Math.max(1, Math.ceil(t.posts.length / PER_PAGE));
+  });
+  return tags.sort((a, b) => b.posts.length - a.posts.length || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+}
+
+/** Tag cloud: the `limit` most used tags (all if omitted) in name order, sized 1–5 by post count on a log scale. */
+function buildTagCloud(tags, baseUrl, limit) {
+  const shown = limit ? tags.slice(0, limit) : tags.slice();
+  if (shown.length === 0) return '';
+  const logs = shown.map((t) => Math.log(t.posts.length));
+  const min = Math.min(...logs);
+  const range = Math.max(...logs) - min;
+  const links = shown
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+    .map((t) => {
+      const level = range === 0 ? 3 : 1 + Math.round(4 * (Math.log(t.posts.length) - min) / range);
+      return `<a href="${tagPageUrl(t.slug, 1, baseUrl)}" class="tag-cloud-link tag-cloud-${level}" rel="tag">${escapeHtml(t.name)}<span class="tag-count">(${t.posts.length})</span></a>`;
+    });
+  return '<p class="tag-cloud">\n            ' + links.join('\n            ') + '\n          </p>';
+}
+
+/**
+ * Posts grouped by date: [{ year, posts, months: [{ year, month, posts }] }], newest year and month first.
+ * year is "2024", month "03"; postsData must be newest first (posts keep that order).
+ */
+function buildDateArchive(postsData) {
+  const years = [];
+  postsData.forEach((p) => {
+    const ymd = formatDateYMD(p.date);
+    const year = ymd.slice(0, 4);
+    const month = ymd.slice(5, 7);
+    if (!/^\d{4}$/.test(year) || !/^\d{2}$/.test(month)) return;
+    let y = years.find((e) => e.year === year);
+    if (!y) {
+      y = { year, posts: [], months: [] };
+      years.push(y);
+    }
+    let m = y.months.find((e) => e.month === month);
+    if (!m) {
+      m = { year, month, posts: [] };
+      y.months.push(m);
+    }
+    y.posts.push(p);
+    m.posts.push(p);
+  });
+  years.sort((a, b) => (a.year < b.year ? 1 : -1));
+  years.forEach((y) => y.months.sort((a, b) => (a.month < b.month ? 1 : -1)));
+  return years;
+}
+
+/** The current month (UTC, like post dates) in earlier years: [{ yearsAgo, year, month, posts }], most recent first. */
+function onThisMonth(archive, now) {
+  const today = (now || new Date()).toISOString();
+  const year = today.slice(0, 4);
+  const month = today.slice(5, 7);
+  return archive
+    .filter((y) => y.year < year)
+    .map((y) => y.months.find((m) => m.month === month))
+    .filter(Boolean)
+    .map((m) => ({ yearsAgo: Number(year) - Number(m.year), ...m }));
+}
+
+/** 「過去の今月」 (this month N years ago): a link to each earlier year's month page plus its first few post titles. Empty when there are none. */
+function buildOnThisMonth(entries, baseUrl, postsPerYear) {
+  if (!entries || entries.length === 0) return '';
+  const items = entries.map((e) => {
+    const posts = e.posts.slice(0, postsPerYear || 3).map((p) => `<li><a href="${baseUrl}posts/${p.slug}.html">${escapeHtml(p.title)}</a></li>`);
+    return `<li class="on-this-month-year"><a href="${archiveMonthUrl(e.year, e.month, baseUrl)}">${e.yearsAgo}年前（${e.year}年${Number(e.month)}月）</a><span class="archive-count">(${e.posts.length})</span>
+              <ul class="on-this-month-posts">${posts.join('')}</ul></li>`;
+  });
+  return '<ul class="on-this-month">\n            ' + items.join('\n            ') + '\n          </ul>';
+}
+
+function buildSidebarCategoryList(tree, baseUrl) {
+  function renderItem(node, indent) {
+    const escapedName = escapeHtml(node.name);
+    if (node.name === 'プロフィール') {
+      return indent + '<li><a href="' + baseUrl + 'profile.html">' + escapedName + '</a></li>';
+    }
+    const href = baseUrl + 'category/' + node.slug + '.html';
+    const label = escapedName + ' <span class="category-count">(' + node.posts.length + ')</span>';
+    if (node.children.length === 0) {
+      return indent + '<li><a href="' + href + '">' + label + '</a></li>';
+    }
+    const subIndent = indent + '  ';
+    const childLines = node.children.map((c) => renderItem(c, subIndent + '  ')).join('\n');
+    return indent + '<li class="has-children">\n' +
+      subIndent + '<a href="' + href + '">' + label + '</a>\n' +
+      subIndent + '<ul>\n' + childLines + '\n' +
+      subIndent + '</ul>\n' +
+      indent + '</li>';
+  }
+  const lines = tree.roots.map((node) => renderItem(node, '            '));
+  return '<ul class="category-list">\n' + lines.join('\n') + '\n          </ul>';
+}
+
+const DRAWER_HTML = `  <div id="category-drawer" class="drawer" role="dialog" aria-modal="true" aria-label="カテゴリー" aria-hidden="true">
+    <div class="drawer-backdrop" aria-hidden="true"></div>
+    <div class="drawer-panel">
+      <div class="drawer-header">
+        <h2 class="drawer-title">カテゴリー</h2>
+        <button type="button" class="drawer-close" aria-label="閉じる">×</button>
+      </div>
+      <div class="drawer-content"></div>
+    </div>
+  </div>
+
+  <script>
+(function () {
+  var trigger = document.querySelector('.category-drawer-trigger');
+  var drawer = document.getElementById('category-drawer');
+  var backdrop = drawer && drawer.querySelector('.drawer-backdrop');
+  var closeBtn = drawer && drawer.querySelector('.drawer-close');
+  var content = drawer && drawer.querySelector('.drawer-content');
+  var sidebar = document.querySelector('.sidebar');
+
+  if (!drawer || !content || !sidebar) return;
+
+  function openDrawer() {
+    if (content.children.length === 0) {
+      content.appendChild(sidebar.cloneNode(true));
+    }
+    drawer.classList.add('drawer-open');
+    drawer.setAttribute('aria-hidden', 'false');
+    if (trigger) trigger.setAttribute('aria-expanded', 'true');
+    document.body.style.overflow = 'hidden';
+  }
+
+  function closeDrawer() {
+    drawer.classList.remove('drawer-open');
+    drawer.setAttribute('aria-hidden', 'true');
+    if (trigger) trigger.setAttribute('aria-expanded', 'false');
+    document.body.style.overflow = '';
+  }
+
+  if (trigger) trigger.addEventListener('click', openDrawer);
+  if (backdrop) backdrop.addEventListener('click', closeDrawer);
+  if (closeBtn) closeBtn.addEventListener('click', closeDrawer);
+  drawer.addEventListener('keydown', function (e) {
+    if (e.key === 'Escape') closeDrawer();
+  });
+})();
+  </script>
+`;
+
+/** Tags shown in the sidebar cloud; the rest are on tags.html. */
+const SIDEBAR_TAG_LIMIT = 30;
+
+/**
+ * Base layout shared by every generated page.
+ * page: { siteUrl, baseUrl, title, ogTitle, description, canonicalUrl, ogType, headExtra, bodyAttrs, main, sidebarTree, sidebarTags,
+ *         sidebarOnThisMonth, feeds, bodyEnd }
+ * feeds: [{ href, type, title }] advertised in addition to SITE_FEEDS (e.g. a category's own feed).
+ * With sidebarTree, the category sidebar, the header "カテゴリー" button and the mobile drawer are included;
+ * sidebarTags (from buildTagIndex) adds a tag cloud widget below the categories, sidebarOnThisMonth (from onThisMonth)
+ * a 「過去の今月」 widget above them.
+ */
+function layout(page) {
+  const baseUrl = page.baseUrl;
+  const ogImageUrl = siteOgImageUrl(page.siteUrl);
+  const desc = escapeHtml(page.description);
+  const ogTitle = escapeHtml(page.ogTitle || page.title);
+  const hasSidebar = Boolean(page.sidebarTree);
+  const feedLinks = SITE_FEEDS.map((f) => ({ href: baseUrl + f.file, type: f.type, title: f.title }))
+    .concat(page.feeds || [])
+    .map((f) => `  <link rel="alternate" type="${f.type}" href="${f.href}" title="${escapeHtml(f.title)}">`)
+    .join('\n');
+  // Nav hrefs in site.config.json are relative to the site root unless absolute
+  const navLinks = SITE.nav.map((l) => `
+        <a href="${/^[a-z]+:|^\/\//i.test(l.href) ? l.href : baseUrl + l.href.replace(/^\//, '')}" class="nav-link">${escapeHtml(l.label)}</a>`).join('');
+  const drawerTrigger = hasSidebar
+    ? '\n        <button type="button" class="category-drawer-trigger nav-link" aria-expanded="false" aria-controls="category-drawer" aria-label="カテゴリーを開く">カテゴリー</button>'
+    : '';
+  const tagWidget = hasSidebar && page.sidebarTags && page.sidebarTags.length ? `
+        <section class="widget widget-tags">
+          <h3 class="widget-title">タグ</h3>
+          ${buildTagCloud(page.sidebarTags, baseUrl, SIDEBAR_TAG_LIMIT)}
+          <p class="more-link"><a href="${baseUrl}tags.html">すべてのタグ »</a></p>
+        </section>` : '';
+  const onThisMonthWidget = hasSidebar && page.sidebarOnThisMonth && page.sidebarOnThisMonth.length ? `
+        <section class="widget widget-on-this-month">
+          <h3 class="widget-title">過去の今月</h3>
+          ${buildOnThisMonth(page.sidebarOnThisMonth, baseUrl, 1)}
+        </section>` : '';
+  const sidebar = hasSidebar ? `
+
+      <aside class="sidebar">${onThisMonthWidget}
+        <section class="widget">
+          <h3 class="widget-title">カテゴリー</h3>
+          ${buildSidebarCategoryList(page.sidebarTree, baseUrl)}
+        </section>${tagWidget}
+      </aside>` : '';
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="description" content="${desc}">
+  <link rel="canonical" href="${page.canonicalUrl}">
+  <meta property="og:title" content="${ogTitle}">
+  <meta property="og:description" content="${desc}">
+  <meta property="og:url" content="${page.canonicalUrl}">
+  <meta property="og:type" content="${page.ogType || 'website'}">
+  <meta property="og:site_name" content="${SITE_NAME}">
+  <meta name="twitter:card" content="summary">
+  <meta name="twitter:title" content="${ogTitle}">
+  <meta name="twitter:description" content="${desc}">
+${ogImageUrl ? `  <meta property="og:image" content="${ogImageUrl}">
+  <meta name="twitter:image" content="${ogImageUrl}">
+` : ''}  <title>${escapeHtml(page.title)}</title>
+${feedLinks}
+  <link rel="stylesheet" href="${baseUrl}styles.css">${FONT_LINKS ? '\n' + FONT_LINKS : ''}${page.headExtra ? '\n' + page.headExtra : ''}
+</head>
+<body${page.bodyAttrs || ''}>
+  <div class="site-wrap">
+    <header class="site-header">
+      <h1 class="site-title"><a href="${baseUrl}index.html">${SITE_NAME}</a></h1>
+      <nav class="header-nav">${drawerTrigger}${navLinks}
+      </nav>
+    </header>
+
+    <main class="main">
+${page.main}${sidebar}
+    </main>
+
+    <footer class="site-footer">${SITE.footerFlag ? `
+      <p class="footer-flag" aria-hidden="true">${escapeHtml(SITE.footerFlag)}</p>` : ''}
+      <p class="copyright">${SITE_NAME}</p>
+    </footer>
+  </div>
+${hasSidebar ? '\n' + DRAWER_HTML : ''}${page.bodyEnd ? '\n' + page.bodyEnd + '\n' : ''}</body>
+</html>
+`;
+}
+
+function latestSection(heading, posts, baseUrl, pagination) {
+  return `      <section class="latest">
+        <h2 class="section-title">${escapeHtml(heading)}</h2>
+${buildPreviews(posts, baseUrl, 0)}${pagination ? '\n        ' + pagination : ''}
+      </section>`;
+}
+
+/** One side of the previous/next links; `rel` is "prev" (older) or "next" (newer). */
+function postNavLink(post, rel, label, baseUrl) {
+  if (!post) return `<span class="post-nav-${rel} post-nav-empty"></span>`;
+  return `<a href="${baseUrl}posts/${post.slug}.html" class="post-nav-${rel}" rel="${rel}"><span class="post-nav-label">${escapeHtml(label)}</span><span class="post-nav-title">${escapeHtml(post.title)}</span></a>`;
+}
+
+/**
+ * Previous/next links and related posts under a post (from lib/related.js).
+ * nav: { prev, next, category: { name, prev, next } | null }; related: [post]. Either may be omitted.
+ * The category row is left out when it would repeat the overall links.
+ */
+function buildPostFooterNav(nav, related, baseUrl) {
+  const blocks = [];
+  if (nav && (nav.prev || nav.next)) {
+    blocks.push(`<nav class="post-nav" aria-label="前後の記事">
+          ${postNavLink(nav.prev, 'prev', '« 前の記事', baseUrl)}
+          ${postNavLink(nav.next, 'next', '次の記事 »', baseUrl)}
+        </nav>`);
+  }
+  const cat = nav && nav.category;
+  if (cat && (cat.prev || cat.next) && (cat.prev !== nav.prev || cat.next !== nav.next)) {
+    const name = '「' + cat.name + '」';
+    blocks.push(`<nav class="post-nav post-nav-category" aria-label="${escapeHtml(name)}の前後の記事">
+          ${postNavLink(cat.prev, 'prev', '« ' + name + 'の前の記事', baseUrl)}
+          ${postNavLink(cat.next, 'next', name + 'の次の記事 »', baseUrl)}
+        </nav>`);
+  }
+  if (related && related.length) {
+    const items = related.map((p) => `<li><a href="${baseUrl}posts/${p.slug}.html">${escapeHtml(p.title)}</a> <span class="related-date">${formatDateYMD(p.date)}</span></li>`);
+    blocks.push(`<section class="related-posts">
+          <h2 class="related-title">関連記事</h2>
+          <ul class="related-list">
+            ${items.join('\n            ')}
+          </ul>
+        </section>`);
+  }
+  return blocks.length ? '\n        ' + blocks.join('\n        ') : '';
+}
+
+/**
+ * Posts with at least this many characters of text (and TOC_MIN_HEADINGS headings) get a table of contents without
+ * `toc: true` (tocMinLength in site.config.json).
+ */
+const TOC_MIN_LENGTH = SITE.tocMinLength;
+const TOC_MIN_HEADINGS = 3;
+
+/** Heading text → id: NFKC, lower-cased, spaces become "-", punctuation is dropped; Japanese is kept as it is. */
+function headingId(text) {
+  const id = String(text).normalize('NFKC').toLowerCase().trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}\p{M}_-]/gu, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+  return id || 'section';
+}
+
+function decodeEntities(str) {
+  return str.replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (m, n) => String.fromCodePoint(+n)).replace(/&amp;/g, '&');
+}
+
+/**
+ * Gives every h2–h4 in post HTML an id (an existing id is kept) and a "#" link to itself.
+ * Ids come from the heading text, so they stay the same across builds; repeats get -2, -3, ….
+ * Returns { html, headings: [{ level, id, text }] }.
+ */
+function addHeadingAnchors(html) {
+  const headings = [];
+  const used = new Map();
+  const out = String(html || '').replace(/<h([2-4])(\s[^>]*)?>([\s\S]*?)<\/h\1>/gi, (m, level, attrs, inner) => {
+    const text = decodeEntities(inner.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+    if (!text) return m;
+    const existing = (attrs || '').match(/\sid=["']([^"']+)["']/i);
+    let id = existing ? existing[1] : headingId(text);
+    if (existing) {
+      used.set(id, (used.get(id) || 0) + 1);
+    } else {
+      const n = (used.get(id) || 0) + 1;
+      used.set(id, n);
+      if (n > 1) id += '-' + n;
+    }
+    headings.push({ level: Number(level), id, text });
+    const idAttr = existing ? '' : ` id="${escapeHtml(id)}"`;
+    return `<h${level}${attrs || ''}${idAttr}>${inner}<a class="heading-anchor" href="#${escapeHtml(id)}" aria-label="「${escapeHtml(text)}」へのリンク">#</a></h${level}>`;
+  });
+  return { html: out, headings };
+}
+
+/** 目次: the top heading level found and the one below it, as nested lists. */
+function buildToc(headings) {
+  const top = Math.min(...headings.map((h) => h.level));
+  let list = '';
+  let inItem = false;
+  let inSub = false;
+  headings.filter((h) => h.level <= top + 1).forEach((h) => {
+    const link = `<a href="#${escapeHtml(h.id)}">${escapeHtml(h.text)}</a>`;
+    if (h.level === top) {
+      if (inSub) list += '</ol>';
+      if (inItem) list += '</li>';
+      list += '<li>' + link;
+      inItem = true;
+      inSub = false;
+    } else {
+      if (!inItem) list += '<li>';
+      if (!inSub) list += '<ol>';
+      list += '<li>' + link + '</li>';
+      inItem = true;
+      inSub = true;
+    }
+  });
+  if (inSub) list += '</ol>';
+  if (inItem) list += '</li>';
+  return `<nav class="toc" aria-label="目次">
+          <p class="toc-title">目次</p>
+          <ol class="toc-list">${list}</ol>
+        </nav>`;
+}
+
+/** toc: true/false from the frontmatter wins; otherwise long posts with enough headings get one. */
+function wantsToc(toc, html, headings, minLength) {
+  if (toc === false || headings.length === 0) return false;
+  if (toc === true) return true;
+  const length = Array.from(decodeEntities(html.replace(/<[^>]+>/g, '')).replace(/\s+/g, '')).length;
+  return headings.length >= TOC_MIN_HEADINGS && length >= (minLength || TOC_MIN_LENGTH);
+}
+
+/** Copies a heading's link to the clipboard when its "#" is clicked (the hash still changes as usual). */
+const HEADING_ANCHOR_SCRIPT = `  <script>
+(function () {
+  document.addEventListener('click', function (e) {
+    var link = e.target.closest && e.target.closest('.heading-anchor');
+    if (!link || !navigator.clipboard) return;
+    var url = location.href.split('#')[0] + link.getAttribute('href');
+    navigator.clipboard.writeText(url).then(function () {
+      link.classList.add('is-copied');
+      setTimeout(function () { link.classList.remove('is-copied'); }, 1500);
+    }, function () {});
+  });
+})();
+  </script>`;
+
+/**
+ * Single post page.
+ * post: { slug, title, date, categories, tags, contentHtml, excerpt, toc, chars } — chars is counted from contentHtml when missing
+ * opts: { siteUrl, baseUrl, nav, related, tocMinLength } — baseUrl defaults to '../' (posts/<slug>.html); the writer
+ * preview passes its own and no nav/related. Headings get anchors; see wantsToc for when a table of contents is added.
+ */
+function renderPostPage(post, opts) {
+  const baseUrl = opts.baseUrl == null ? '../' : opts.baseUrl;
+  const categories = post.categories || [];
+  const isoDate = formatDateYMD(post.date);
+  const dateRel = formatDateRel(post.date);
+  const time = '<time datetime="' + isoDate + '">' + dateRel + '</time>';
+  const chars = post.chars != null ? post.chars : countChars(post.contentHtml);
+  const readingTime = `<span class="reading-time">${readingTimeLabel(chars)}で読めます（${formatCount(chars)}字）</span>`;
+  const meta = (categories.length ? escapeHtml(categories.join(', ')) + ' · ' : '') + time + ' · ' + readingTime;
+  const tags = post.tags || [];
+  const { html: contentHtml, headings } = addHeadingAnchors(post.contentHtml);
+  const toc = wantsToc(post.toc, contentHtml, headings, opts.tocMinLength) ? '\n        ' + buildToc(headings) : '';
+  const canonicalUrl = opts.siteUrl + '/posts/' + post.slug + '.html';
+  const jsonLd = JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'Article',
+    headline: post.title,
+    datePublished: isoDate,
+    dateModified: isoDate,
+    ...(tags.length ? { keywords: tags.join(', ') } : {}),
+    author: { '@type': 'Person', name: SITE_NAME },
+    publisher: { '@type': 'Organization', name: SITE_NAME },
+    mainEntityOfPage: { '@type': 'WebPage', '@id': canonicalUrl }
+  }).replace(/</g, '\\u003c');
+  const main = `      <article class="entry">
+        <header class="page-header">
+          <a href="${baseUrl}index.html" class="back-link">← 最新記事へ</a>
+          <p class="entry-meta">${meta}</p>
+          <h2 class="entry-title">${escapeHtml(post.title)}</h2>
+        </header>${toc}
+        <div class="entry-content">
+${contentHtml}
+        </div>${tags.length ? `
+        <footer class="entry-footer">
+          <p class="entry-tags">タグ: ${tags.map((name) => `<a href="${tagPageUrl(tagSlug(name), 1, baseUrl)}" rel="tag">${escapeHtml(name)}</a>`).join(' ')}</p>
+        </footer>` : ''}${buildPostFooterNav(opts.nav, opts.related, baseUrl)}
+      </article>`;
+  return layout({
+    siteUrl: opts.siteUrl,
+    baseUrl,
+    title: post.title + ' — ' + SITE_NAME,
+    ogTitle: post.title,
+    description: metaDescription(post.excerpt || post.title, 155),
+    canonicalUrl,
+    ogType: 'article',
+    headExtra: `  <script type="application/ld+json">${jsonLd}</script>`,
+    main,
+    bodyEnd: headings.length ? HEADING_ANCHOR_SCRIPT : ''
+  });
+}
+
+/**
+ * Latest-posts list: index.html (pageNum 1) or page/<pageNum>.html.
+ * opts: { siteUrl, posts (this page only), pageNum, totalPages, tree, tags, onThisMonth } — onThisMonth is only shown on index.html.
+ */
+function renderListPage(opts) {
+  const { siteUrl, pageNum, totalPages } = opts;
+  const baseUrl = pageNum === 1 ? '' : '../';
+  const rel = [];
+  if (pageNum > 1) rel.push('  <link rel="prev" href="' + (pageNum === 2 ? siteUrl + '/' : siteUrl + '/page/' + (pageNum - 1) + '.html') + '">');
+  if (pageNum < totalPages) rel.push('  <link rel="next" href="' + siteUrl + '/page/' + (pageNum + 1) + '.html">');
+  return layout({
+    siteUrl,
+    baseUrl,
+    title: pageNum === 1 ? SITE_NAME + ' | ' + SITE_TAGLINE : 'Page ' + pageNum + ' — ' + SITE_NAME,
+    ogTitle: pageNum === 1 ? SITE_NAME : 'Page ' + pageNum + ' — ' + SITE_NAME,
+    description: pageNum === 1 ? SITE_DESCRIPTION : SITE_NAME + ' の記事一覧、ページ ' + pageNum,
+    canonicalUrl: pageNum === 1 ? siteUrl + '/' : siteUrl + '/page/' + pageNum + '.html',
+    headExtra: rel.join('\n'),
+    bodyAttrs: ' data-current="index"',
+    main: latestSection('最新記事', opts.posts, baseUrl, buildPagination(pageNum, totalPages, (n) => pageUrl(n, baseUrl))),
+    sidebarTree: opts.tree,
+    sidebarTags: opts.tags,
+    sidebarOnThisMonth: pageNum === 1 ? opts.onThisMonth : null
+  });
+}
+
+/** top.html: recommended posts (data/top-posts.json). opts: { siteUrl, posts, tree, tags } */
+function renderTopPage(opts) {
+  return layout({
+    siteUrl: opts.siteUrl,
+    baseUrl: '',
+    title: 'おすすめ — ' + SITE_NAME,
+    description: SITE_NAME + ' のおすすめ記事',
+    canonicalUrl: opts.siteUrl + '/top.html',
+    bodyAttrs: ' data-current="top"',
+    main: latestSection('おすすめ', opts.posts, '', ''),
+    sidebarTree: opts.tree,
+    sidebarTags: opts.tags
+  });
+}
+
+/**
+ * One page of a category archive: category/<slug>.html or category/<slug>-<pageNum>.html.
+ * opts: { siteUrl, category (tree node), pageNum, tree, tags }
+ */
+function renderCategoryPage(opts) {
+  const { siteUrl, category, pageNum } = opts;
+  const baseUrl = '../';
+  const start = (pageNum - 1) * PER_PAGE;
+  const pagePosts = category.posts.slice(start, start + PER_PAGE);
+  const pageSlug = pageNum === 1 ? category.slug : category.slug + '-' + pageNum;
+  const pagination = buildPagination(pageNum, category.totalPages, (n) => categoryPageUrl(category.slug, n, baseUrl));
+  return layout({
+    siteUrl,
+    baseUrl,
+    title: category.name + ' — ' + SITE_NAME,
+    description: category.name + ' カテゴリーの記事一覧',
+    canonicalUrl: siteUrl + '/category/' + pageSlug + '.html',
+    bodyAttrs: ' data-category="' + escapeHtml(category.name) + '"',
+    feeds: [{ href: categoryFeedUrl(category.slug, baseUrl), type: 'application/atom+xml', title: SITE_NAME + ' — ' + category.name }],
+    main: latestSection(category.name, pagePosts, baseUrl, pagination),
+    sidebarTree: opts.tree,
+    sidebarTags: opts.tags
+  });
+}
+
+/**
+ * One page of a tag archive: tag/<slug>.html or tag/<slug>-<pageNum>.html.
+ * opts: { siteUrl, tag (from buildTagIndex), pageNum, tree, tags }
+ */
+function renderTagPage(opts) {
+  const { siteUrl, tag, pageNum } = opts;
+  const baseUrl = '../';
+  const start = (pageNum - 1) * PER_PAGE;
+  const pagePosts = tag.posts.slice(start, start + PER_PAGE);
+  const pageSlug = pageNum === 1 ? tag.slug : tag.slug + '-' + pageNum;
+  const pagination = buildPagination(pageNum, tag.totalPages, (n) => tagPageUrl(tag.slug, n, baseUrl));
+  return layout({
+    siteUrl,
+    baseUrl,
+    title: '#' + tag.name + ' — ' + SITE_NAME,
+    description: '「' + tag.name + '」タグの記事一覧',
+    canonicalUrl: siteUrl + '/tag/' + pageSlug + '.html',
+    bodyAttrs: ' data-tag="' + escapeHtml(tag.name) + '"',
+    main: latestSection('#' + tag.name, pagePosts, baseUrl, pagination),
+    sidebarTree: opts.tree,
+    sidebarTags: opts.tags
+  });
+}
+
+/** tags.html: cloud of every tag. opts: { siteUrl, tags, tree } */
+function renderTagsPage(opts) {
+  const main = `      <section class="latest">
+        <a href="index.html" class="back-link">← トップへ</a>
+        <h2 class="archive-title">タグ一覧</h2>
+        ${buildTagCloud(opts.tags, '')}
+      </section>`;
+  return layout({
+    siteUrl: opts.siteUrl,
+    baseUrl: '',
+    title: 'タグ一覧 — ' + SITE_NAME,
+    description: SITE_NAME + ' の全' + opts.tags.length + 'タグ',
+    canonicalUrl: opts.siteUrl + '/tags.html',
+    bodyAttrs: ' data-current="tags"',
+    main,
+    sidebarTree: opts.tree
+  });
+}
+
+/** archive.html: every year with its months and post counts, and 「過去の今月」. opts: { siteUrl, archive, onThisMonth, total } */
+function renderArchivePage(opts) {
+  const blocks = [];
+  blocks.push(`<p class="archive-pages-intro">全${opts.total}件の記事を年・月別に。<a href="stats.html">サイトの統計 »</a></p>`);
+  if (opts.onThisMonth && opts.onThisMonth.length) {
+    blocks.push('<div class="archive-page-block archive-on-this-month">');
+    blocks.push('<h3 class="archive-page-heading">過去の今月</h3>');
+    blocks.push(buildOnThisMonth(opts.onThisMonth, ''));
+    blocks.push('</div>');
+  }
+  opts.archive.forEach((y) => {
+    blocks.push('<div class="archive-page-block">');
+    blocks.push(`<h3 class="archive-page-heading"><a href="${archiveYearUrl(y.year, '')}">${y.year}年</a><span class="archive-count">(${y.posts.length})</span></h3>`);
+    blocks.push('<ul class="archive-month-list">');
+    y.months.forEach((m) => {
+      blocks.push(`<li><a href="${archiveMonthUrl(m.year, m.month, '')}">${Number(m.month)}月</a><span class="archive-count">(${m.posts.length})</span></li>`);
+    });
+    blocks.push('</ul></div>');
+  });
+  const main = `      <section class="latest">
+        <a href="index.html" class="back-link">← トップへ</a>
+        <h2 class="archive-title">記事一覧</h2>
+        <div class="archive-list">
+        ${blocks.join('\n        ')}
+        </div>
+        <p class="more-link"><a href="index.html">« 最新へ</a></p>
+      </section>`;
+  return layout({
+    siteUrl: opts.siteUrl,
+    baseUrl: '',
+    title: '記事一覧 — ' + SITE_NAME,
+    description: `${SITE_NAME} の全${opts.total}記事を年・月別に。`,
+    canonicalUrl: opts.siteUrl + '/archive.html',
+    main
+  });
+}
+
+/** « newer / older » links between year or month archive pages; entries are { href, label } or null. */
+function archivePager(newer, older) {
+  if (!newer && !older) return '';
+  let nav = '<nav class="pagination" aria-label="Pagination">';
+  if (newer) nav += `<a href="${newer.href}" class="pagination-link pagination-prev">« ${escapeHtml(newer.label)}</a>`;
+  if (older) nav += `<a href="${older.href}" class="pagination-link pagination-next">${escapeHtml(older.label)} »</a>`;
+  return nav + '</nav>';
+}
+
+/**
+ * archive/<year>.html: the year's post titles by month.
+ * opts: { siteUrl, year (from buildDateArchive), newer, older (neighbouring years or null), tree, tags }
+ */
+function renderArchiveYearPage(opts) {
+  const { siteUrl, year } = opts;
+  const baseUrl = '../';
+  const blocks = year.months.map((m) => `<div class="archive-page-block">
+        <h3 class="archive-page-heading"><a href="${archiveMonthUrl(m.year, m.month, baseUrl)}">${Number(m.month)}月</a><span class="archive-count">(${m.posts.length})</span></h3>
+        <ul class="archive-post-list">
+          ${m.posts.map((p) => `<li><a href="${baseUrl}posts/${p.slug}.html">${escapeHtml(p.title)}</a> <span class="archive-date">${formatDateYMD(p.date)}</span></li>`).join('\n          ')}
+        </ul></div>`);
+  const pager = archivePager(
+    opts.newer && { href: archiveYearUrl(opts.newer.year, baseUrl), label: opts.newer.year + '年' },
+    opts.older && { href: archiveYearUrl(opts.older.year, baseUrl), label: opts.older.year + '年' }
+  );
+  const main = `      <section class="latest">
+        <a href="${baseUrl}archive.html" class="back-link">← 記事一覧へ</a>
+        <h2 class="archive-title">${year.year}年の記事<span class="archive-count">(${year.posts.length})</span></h2>
+        <div class="archive-list">
+        ${blocks.join('\n        ')}
+        </div>${pager ? '\n        ' + pager : ''}
+      </section>`;
+  return layout({
+    siteUrl,
+    baseUrl,
+    title: year.year + '年の記事 — ' + SITE_NAME,
+    description: `${SITE_NAME} の${year.year}年の記事（${year.posts.length}件）`,
+    canonicalUrl: siteUrl + '/archive/' + year.year + '.html',
+    main,
+    sidebarTree: opts.tree,
+    sidebarTags: opts.tags
+  });
+}
+
+/**
+ * archive/<year>/<month>.html: the month's posts as previews.
+ * opts: { siteUrl, month (from buildDateArchive), newer, older (neighbouring months with posts, or null), tree, tags }
+ */
+function renderArchiveMonthPage(opts) {
+  const { siteUrl, month } = opts;
+  const baseUrl = '../../';
+  const label = (m) => m.year + '年' + Number(m.month) + '月';
+  const pager = archivePager(
+    opts.newer && { href: archiveMonthUrl(opts.newer.year, opts.newer.month, baseUrl), label: label(opts.newer) },
+    opts.older && { href: archiveMonthUrl(opts.older.year, opts.older.month, baseUrl), label: label(opts.older) }
+  );
+  return layout({
+    siteUrl,
+    baseUrl,
+    title: label(month) + 'の記事 — ' + SITE_NAME,
+    description: `${SITE_NAME} の${label(month)}の記事（${month.posts.length}件）`,
+    canonicalUrl: siteUrl + '/archive/' + month.year + '/' + month.month + '.html',
+    main: `      <section class="latest">
+        <a href="${archiveYearUrl(month.year, baseUrl)}" class="back-link">← ${month.year}年の記事へ</a>
+        <h2 class="section-title">${label(month)}の記事<span class="archive-count">(${month.posts.length})</span></h2>
+${buildPreviews(month.posts, baseUrl, 0)}${pager ? '\n        ' + pager : ''}
+      </section>`,
+    sidebarTree: opts.tree,
+    sidebarTags: opts.tags
+  });
+}
+
+/** Rows of a stats table: label cell, post count, characters and a bar sized against the largest count. */
+function statsRows(rows) {
+  const max = Math.max(1, ...rows.map((r) => r.posts));
+  return rows.map((r) => `<tr><th scope="row">${r.label}</th><td class="stats-num">${formatCount(r.posts)}</td><td class="stats-num">${formatCount(r.chars)}</td>` +
+    `<td class="stats-bar-cell" aria-hidden="true"><span class="stats-bar" style="width: ${(100 * r.posts / max).toFixed(1)}%"></span></td></tr>`).join('\n            ');
+}
+
+function statsTable(caption, head, rows) {
+  return `<table class="stats-table">
+          <caption>${caption}</caption>
+          <thead><tr><th scope="col">${head}</th><th scope="col">記事数</th><th scope="col">文字数</th><td></td></tr></thead>
+          <tbody>
+            ${statsRows(rows)}
+          </tbody>
+        </table>`;
+}
+
+/**
+ * stats.html: totals, posts per year and per category, and the longest posts.
+ * opts: { siteUrl, stats (from buildSiteStats in lib/stats.js), tree, tags }
+ */
+function renderStatsPage(opts) {
+  const { stats, tree } = opts;
+  const hours = Math.floor(stats.readingMinutes / 60);
+  const total = (hours ? hours + '時間' : '') + (stats.readingMinutes % 60) + '分';
+  const categoryUrl = (name) => {
+    const cat = tree && tree.all.find((c) => c.name === name);
+    return cat ? categoryPageUrl(cat.slug, 1, '') : null;
+  };
+  const years = stats.years.map((y) => ({ ...y, label: `<a href="${archiveYearUrl(y.year, '')}">${y.year}年</a>` }));
+  const categories = stats.categories.map((c) => {
+    const url = categoryUrl(c.name);
+    return { ...c, label: url ? `<a href="${url}">${escapeHtml(c.name)}</a>` : escapeHtml(c.name) };
+  });
+  const longest = stats.longest.map((p) => `<li><a href="posts/${p.slug}.html">${escapeHtml(p.title)}</a> <span class="related-date">${formatDateYMD(p.date)} · ${formatCount(p.chars)}字 · ${readingTimeLabel(p.chars)}</span></li>`);
+  const main = `      <section class="latest stats">
+        <a href="archive.html" class="back-link">← 記事一覧へ</a>
+        <h2 class="archive-title">サイトの統計</h2>
+        <dl class="stats-summary">
+          <div><dt>記事数</dt><dd>${formatCount(stats.posts)}</dd></div>
+          <div><dt>総文字数</dt><dd>${formatCount(stats.chars)}字</dd></div>
+          <div><dt>1記事の平均</dt><dd>${formatCount(stats.averageChars)}字</dd></div>
+          <div><dt>全部読むと</dt><dd>約${total}</dd></div>
+        </dl>
+        <p class="archive-pages-intro">${stats.first ? formatDateYMD(stats.first) + ' 〜 ' + formatDateYMD(stats.last) + '。' : ''}読む時間は1分あたり${READING_SPEED}字で計算しています。</p>
+        ${statsTable('年別', '年', years)}
+        ${statsTable('カテゴリー別', 'カテゴリー', categories)}
+        <h3 class="archive-page-heading">長い記事</h3>
+        <ol class="related-list stats-longest">
+          ${longest.join('\n          ')}
+        </ol>
+      </section>`;
+  return layout({
+    siteUrl: opts.siteUrl,
+    baseUrl: '',
+    title: 'サイトの統計 — ' + SITE_NAME,
+    description: `${SITE_NAME} の記事数・文字数の統計（全${stats.posts}記事、${formatCount(stats.chars)}字）`,
+    canonicalUrl: opts.siteUrl + '/stats.html',
+    main,
+    sidebarTree: tree,
+    sidebarTags: opts.tags
+  });
+}
+
+/**
+ * Browser side of the static search (see scripts/lib/search-index.js): narrows posts down with the bigram index,
+ * then checks the exact words and cuts snippets once search-text.json has loaded.
+ */
+const SEARCH_SCRIPT = `  <script>
+(function () {
+  var input = document.getElementById('search-q');
+  var statusEl = document.getElementById('search-status');
+  var filtersEl = document.getElementById('search-filters');
+  var resultsEl = document.getElementById('search-results');
+  var WORD_CHAR = /[\\p{L}\\p{N}]/u;
+  var index = null;
+  var stop = {};
+  var decoded = {};
+  var haystacks = null;
+  var bodies = null;
+  var mappedBodies = {};
+  var selectedCategory = '';
+  var timer = null;
+
+  // Same as normalizeForSearch in scripts/lib/search-index.js
+  function normalize(s) {
+    return String(s || '').normalize('NFKC').toLowerCase();
+  }
+
+  function escapeHtml(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function postings(gram) {
+    if (!decoded[gram]) {
+      var prev = 0;
+      decoded[gram] = index.grams[gram].split(',').map(function (gap) {
+        prev += parseInt(gap, 36);
+        return prev;
+      });
+    }
+    return decoded[gram];
+  }
+
+  function intersect(a, b) {
+    var out = [];
+    var i = 0;
+    var j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        out.push(a[i]);
+        i++;
+        j++;
+      } else if (a[i] < b[j]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+    return out;
+  }
+
+  // Posts whose index has every bigram of the term; null when the index can't narrow it down
+  // (one-character terms, terms made only of very common bigrams).
+  function candidates(term) {
+    var chars = Array.from(term);
+    var ids = null;
+    for (var i = 0; i < chars.length - 1; i++) {
+      var gram = chars[i] + chars[i + 1];
+      if (!WORD_CHAR.test(chars[i]) || !WORD_CHAR.test(chars[i + 1]) || stop[gram]) continue;
+      if (!index.grams[gram]) return [];
+      ids = ids ? intersect(ids, postings(gram)) : postings(gram);
+    }
+    return ids;
+  }
+
+  function countOf(text, term) {
+    var n = 0;
+    var pos = text.indexOf(term);
+    while (pos !== -1 && n < 5) {
+      n++;
+      pos = text.indexOf(term, pos + term.length);
+    }
+    return n;
+  }
+
+  // normalize(text) together with the span of text each normalized character came from, so a term found in the
+  // normalized text can be marked in the original (NFKC changes lengths: ｶﾞ → ガ, ㍻ → 平成). A character is
+  // normalized with the combining marks after it (and half-width ﾞﾟ), as the whole text would be.
+  function normalizeMapped(text) {
+    var norm = '';
+    var from = [];
+    var to = [];
+    var re = /[^\\p{M}\\uFF9E\\uFF9F][\\p{M}\\uFF9E\\uFF9F]*|[\\p{M}\\uFF9E\\uFF9F]+/gu;
+    var m;
+    while ((m = re.exec(text))) {
+      var n = normalize(m[0]);
+      for (var k = 0; k < n.length; k++) {
+        from.push(m.index);
+        to.push(m.index + m[0].length);
+      }
+      norm += n;
+    }
+    return { text: norm, from: from, to: to };
+  }
+
+  // Position in mapped.text of the first term found at or after i, and its length; -1 when none is
+  function findTerm(mapped, terms, i) {
+    var best = -1;
+    var len = 0;
+    terms.forEach(function (t) {
+      var p = mapped.text.indexOf(t, i);
+      if (p !== -1 && (best === -1 || p < best || (p === best && t.length > len))) {
+        best = p;
+        len = t.length;
+      }
+    });
+    return { pos: best, len: len };
+  }
+
+  function highlight(text, terms) {
+    var mapped = normalizeMapped(text);
+    var out = '';
+    var i = 0;
+    var last = 0;
+    while (i < mapped.text.length) {
+      var found = findTerm(mapped, terms, i);
+      if (found.pos === -1) break;
+      var start = Math.max(last, mapped.from[found.pos]);
+      var end = mapped.to[found.pos + found.len - 1];
+      out += escapeHtml(text.slice(last, start)) + '<mark>' + escapeHtml(text.slice(start, end)) + '</mark>';
+      last = end;
+      i = found.pos + found.len;
+      // the rest of a character that is already marked
+      while (i < mapped.text.length && mapped.from[i] < last) i++;
+    }
+    return out + escapeHtml(text.slice(last));
+  }
+
+  function snippet(id, terms) {
+    var doc = index.docs[id];
+    if (!bodies) return escapeHtml(doc[4]);
+    var body = bodies[id];
+    if (!mappedBodies[id]) mappedBodies[id] = normalizeMapped(body);
+    var found = findTerm(mappedBodies[id], terms, 0);
+    var pos = found.pos === -1 ? -1 : mappedBodies[id].from[found.pos];
+    if (pos === -1) return doc[4] ? highlight(doc[4], terms) : escapeHtml(body.slice(0, 120)) + (body.length > 120 ? '…' : '');
+    var start = Math.max(0, pos - 40);
+    var end = Math.min(body.length, pos + 100);
+    return (start > 0 ? '…' : '') + highlight(body.slice(start, end), terms) + (end < body.length ? '…' : '');
+  }
+
+  function categoryNames(doc) {
+    return doc[3].map(function (c) { return index.categories[c]; });
+  }
+
+  function search(query) {
+    var terms = normalize(query).split(/\\s+/).filter(Boolean);
+    if (terms.length === 0) return null;
+    var ids = null;
+    terms.forEach(function (t) {
+      var c = candidates(t);
+      if (c) ids = ids ? intersect(ids, c) : c;
+    });
+    if (ids === null) {
+      if (!haystacks) return undefined;
+      ids = index.docs.map(function (d, i) { return i; });
+    }
+    if (haystacks) {
+      ids = ids.filter(function (id) {
+        return terms.every(function (t) { return haystacks[id].indexOf(t) !== -1; });
+      });
+    }
+    var scored = ids.map(function (id) {
+      var doc = index.docs[id];
+      var title = normalize(doc[1]);
+      var cats = normalize(categoryNames(doc).join(' '));
+      var score = 0;
+      terms.forEach(function (t) {
+        if (title.indexOf(t) !== -1) score += 10;
+        if (cats.indexOf(t) !== -1) score += 5;
+        if (haystacks) score += countOf(haystacks[id], t);
+      });
+      return { id: id, score: score };
+    });
+    scored.sort(function (a, b) {
+      return b.score - a.score || (index.docs[b.id][2] < index.docs[a.id][2] ? -1 : index.docs[b.id][2] > index.docs[a.id][2] ? 1 : 0);
+    });
+    return { terms: terms, ids: scored.map(function (s) { return s.id; }) };
+  }
+
+  function renderFilters(ids) {
+    var counts = {};
+    ids.forEach(function (id) {
+      categoryNames(index.docs[id]).forEach(function (name) { counts[name] = (counts[name] || 0) + 1; });
+    });
+    var names = Object.keys(counts).sort(function (a, b) { return counts[b] - counts[a] || (a < b ? -1 : 1); });
+    if (names.length < 2) {
+      filtersEl.innerHTML = '';
+      return;
+    }
+    var buttons = ['<button type="button" class="search-filter' + (selectedCategory ? '' : ' is-active') + '" data-cat="">すべて<span class="category-count">(' + ids.length + ')</span></button>'];
+    names.forEach(function (name) {
+      buttons.push('<button type="button" class="search-filter' + (name === selectedCategory ? ' is-active' : '') + '" data-cat="' + escapeHtml(name) + '">' + escapeHtml(name) + '<span class="category-count">(' + counts[name] + ')</span></button>');
+    });
+    filtersEl.innerHTML = buttons.join('');
+  }
+
+  function run() {
+    var query = input.value;
+    var params = new URLSearchParams();
+    if (query.trim()) params.set('q', query.trim());
+    if (selectedCategory) params.set('cat', selectedCategory);
+    var qs = params.toString();
+    history.replaceState(null, '', location.pathname + (qs ? '?' + qs : ''));
+    if (!index) return;
+    var result = search(query);
+    if (result === null) {
+      statusEl.textContent = '';
+      filtersEl.innerHTML = '';
+      resultsEl.innerHTML = '';
+      return;
+    }
+    if (result === undefined) {
+      statusEl.textContent = '読み込み中…';
+      return;
+    }
+    renderFilters(result.ids);
+    var ids = selectedCategory
+      ? result.ids.filter(function (id) { return categoryNames(index.docs[id]).indexOf(selectedCategory) !== -1; })
+      : result.ids;
+    statusEl.textContent = '「' + query.trim() + '」の検索結果: ' + ids.length + '件' + (selectedCategory ? '（' + selectedCategory + '）' : '');
+    resultsEl.innerHTML = ids.map(function (id) {
+      var doc = index.docs[id];
+      var url = 'posts/' + encodeURIComponent(doc[0]) + '.html';
+      var meta = categoryNames(doc).concat(doc[2]).join(' · ');
+      return '<article class="post-preview search-result">' +
+        '<span class="post-meta">' + escapeHtml(meta) + '</span>' +
+        '<h3 class="post-title"><a href="' + url + '">' + highlight(doc[1], result.terms) + '</a></h3>' +
+        '<p class="post-excerpt">' + snippet(id, result.terms) + '</p>' +
+        '</article>';
+    }).join('');
+  }
+
+  input.addEventListener('input', function () {
+    clearTimeout(timer);
+    timer = setTimeout(run, 80);
+  });
+  document.getElementById('search-form').addEventListener('submit', function (e) {
+    e.preventDefault();
+    run();
+  });
+  filtersEl.addEventListener('click', function (e) {
+    var btn = e.target.closest('button[data-cat]');
+    if (!btn) return;
+    selectedCategory = btn.getAttribute('data-cat');
+    run();
+  });
+
+  var params = new URLSearchParams(location.search);
+  input.value = params.get('q') || '';
+  selectedCategory = params.get('cat') || '';
+  statusEl.textContent = '読み込み中…';
+
+  fetch('data/search-index.json')
+    .then(function (r) { return r.json(); })
+    .then(function (data) {
+      index = data;
+      index.stop.forEach(function (g) { stop[g] = true; });
+      statusEl.textContent = '';
+      run();
+      return fetch('data/search-text.json');
+    })
+    .then(function (r) { return r.json(); })
+    .then(function (data) {
+      bodies = data.docs;
+      haystacks = index.docs.map(function (doc, i) {
+        return normalize([doc[1], categoryNames(doc).join(' '), doc[4], bodies[i]].join('\\n'));
+      });
+      run();
+    })
+    .catch(function () {
+      statusEl.textContent = '検索データを読み込めませんでした。';
+    });
+})();
+  </script>`;
+
+/** search.html: instant search over data/search-index.json. opts: { siteUrl, tree, tags } */
+function renderSearchPage(opts) {
+  const main = `      <section class="latest search">
+        <h2 class="section-title">記事を検索</h2>
+        <form id="search-form" class="search-form" role="search" action="search.html">
+          <input type="search" id="search-q" name="q" class="search-input" placeholder="キーワード（例: トロント カフェ）" autocomplete="off" aria-label="検索キーワード">
+        </form>
+        <p id="search-status" class="search-status" aria-live="polite"></p>
+        <div id="search-filters" class="search-filters"></div>
+        <div id="search-results" class="search-results"></div>
+        <noscript><p>検索には JavaScript が必要です。<a href="archive.html">記事一覧</a>からも記事を探せます。</p></noscript>
+      </section>`;
+  return layout({
+    siteUrl: opts.siteUrl,
+    baseUrl: '',
+    title: '検索 — ' + SITE_NAME,
+    description: SITE_NAME + ' の記事をキーワードで検索',
+    canonicalUrl: opts.siteUrl + '/search.html',
+    bodyAttrs: ' data-current="search"',
+    main,
+    sidebarTree: opts.tree,
+    sidebarTags: opts.tags,
+    bodyEnd: SEARCH_SCRIPT
+  });
+}
+
+module.exports = {
+  SITE,
+  SITE_NAME,
+  SITE_DESCRIPTION,
+  SITE_URL,
+  SITE_FEEDS,
+  PER_PAGE,
+  TOC_MIN_LENGTH,
+  siteOgImageUrl,
+  staticPageHtml,
+  escapeHtml,
+  slugify,
+  categorySlug,
+  tagSlug,
+  formatDateRel,
+  formatDateYMD,
+  metaDescription,
+  markdownToHtml,
+  getPageNumbers,
+  pageUrl,
+  categoryPageUrl,
+  categoryFeedUrl,
+  tagPageUrl,
+  archiveYearUrl,
+  archiveMonthUrl,
+  buildPreviews,
+  buildPagination,
+  buildCategoryTree,
+  buildSidebarCategoryList,
+  buildTagIndex,
+  buildTagCloud,
+  buildDateArchive,
+  onThisMonth,
+  addHeadingAnchors,
+  renderPostPage,
+  renderListPage,
+  renderTopPage,
+  renderCategoryPage,
+  renderTagPage,
+  renderTagsPage,
+  renderArchivePage,
+  renderArchiveYearPage,
+  renderArchiveMonthPage,
+  renderSearchPage,
+  renderStatsPage
+};
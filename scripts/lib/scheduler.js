@@ -0,0 +1,115 @@
+/**
+ * Scheduled publishing for writer-server.js. Scheduled posts wait in scheduled/, which is not in git, so
+ * nothing of them reaches the pushed repository before publish_at; releaseDue() moves the ones whose time has
+ * come into content/. A post is due when its publish_at has passed and the last build doesn't include it; a
+ * tick then rebuilds and pushes. Once the build has the post it no longer counts as due, so a push or deploy
+ * that fails after it is recorded in a pending file ({ message, slugs, since, attempts, error }) and retried on
+ * every tick until it succeeds, also after a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+const { isScheduled } = require('./post-schema');
+
+const SCHEDULED_DIR = 'scheduled';
+
+function scheduledDir(root) {
+  return path.join(root, SCHEDULED_DIR);
+}
+
+/**
+ * Move root/scheduled/<slug>.md into root/content/ for every post whose publish_at is not after `now` (default:
+ * the current time), so the next build publishes it. Unreadable files stay put. Returns the slugs moved.
+ */
+function releaseDue(root, now) {
+  const dir = scheduledDir(root);
+  if (!fs.existsSync(dir)) return [];
+  const released = [];
+  fs.readdirSync(dir).filter((f) => f.endsWith('.md')).forEach((file) => {
+    let meta;
+    try {
+      meta = parseFrontmatter(fs.readFileSync(path.join(dir, file), 'utf8')).meta;
+    } catch (e) {
+      return;
+    }
+    if (isScheduled(meta, now)) return;
+    fs.mkdirSync(path.join(root, 'content'), { recursive: true });
+    fs.renameSync(path.join(dir, file), path.join(root, 'content', file));
+    released.push(file.slice(0, -3));
+  });
+  return released;
+}
+
+/** The publish that still has to be pushed, or null. */
+function readPending(file) {
+  try {
+    const pending = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return pending && Array.isArray(pending.slugs) ? pending : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writePending(file, pending) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(pending, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * options: { listDue() → [{ slug, title }], build() → { ok, stderr }, push(message) → { ok, error },
+ * pendingFile, log?, logError? }. Returns { tick(), pending() }; tick() does one check and returns
+ * { due, built, pushed, pending } (slugs, and the pending record left for the next tick or null).
+ */
+function createScheduler(options) {
+  const log = options.log || console.log;
+  const logError = options.logError || console.error;
+  const file = options.pendingFile;
+
+  function tick() {
+    const due = options.listDue();
+    let pending = readPending(file);
+    const result = { due: due.map((p) => p.slug), built: false, pushed: false, pending };
+    if (due.length) {
+      log('Scheduled posts due:', result.due.join(', '));
+      const buildResult = options.build();
+      if (!buildResult.ok) {
+        logError('Build failed for scheduled posts (will retry):', buildResult.stderr);
+        return result;
+      }
+      result.built = true;
+      const fresh = due.filter((p) => !pending || !pending.slugs.includes(p.slug));
+      pending = pending
+        ? { ...pending, slugs: pending.slugs.concat(fresh.map((p) => p.slug)), message: pending.message + (fresh.length ? ', ' + fresh.map((p) => p.title).join(', ') : '') }
+        : { message: 'Publish scheduled: ' + due.map((p) => p.title).join(', '), slugs: result.due, since: new Date().toISOString(), attempts: 0, error: '' };
+      writePending(file, pending);
+    }
+    if (!pending) return result;
+    const pushResult = options.push(pending.message);
+    if (pushResult.ok) {
+      fs.rmSync(file, { force: true });
+      log('Pushed scheduled posts: ' + pending.slugs.join(', '));
+      result.pushed = true;
+      result.pending = null;
+      return result;
+    }
+    pending = { ...pending, attempts: (pending.attempts || 0) + 1, error: pushResult.error || 'push failed' };
+    writePending(file, pending);
+    logError('Push failed for scheduled posts ' + pending.slugs.join(', ') + ' (attempt ' + pending.attempts + ', will retry):', pending.error);
+    result.pending = pending;
+    return result;
+  }
+
+  return {
+    tick,
+    pending: () => readPending(file)
+  };
+}
+
+module.exports = {
+  SCHEDULED_DIR,
+  scheduledDir,
+  releaseDue,
+  readPending,
+  createScheduler
+};
@@ -0,0 +1,105 @@
+/**
+ * Static full-text search: build-from-markdown.js writes data/search-index.json and data/search-text.json,
+ * search.html loads them and searches in the browser.
+ *
+ * Text is split into overlapping 2-character n-grams (bigrams) so Japanese, which has no spaces between words,
+ * can be searched: "トロント" is indexed as トロ / ロン / ント. A query matches a post when every bigram of the
+ * query is in the post; search.html then checks the exact phrase against search-text.json and cuts snippets from it.
+ * normalizeForSearch and bigrams must stay in sync with the page script (SEARCH_SCRIPT in render.js).
+ */
+
+const SEARCH_INDEX_VERSION = 1;
+/** Bigrams found in more than this share of posts (します, ている, …) are left out; search.html skips them. */
+const STOP_GRAM_RATIO = 0.1;
+
+/** Full-width → half-width (ＢＯＧＯ → bogo), compatibility characters folded, lower-cased. */
+function normalizeForSearch(str) {
+  return String(str || '').normalize('NFKC').toLowerCase();
+}
+
+/** Visible text of rendered post HTML, whitespace collapsed. */
+function plainText(html) {
+  return String(html || '')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (m, n) => String.fromCodePoint(+n))
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/** Distinct bigrams of already-normalized text; only pairs of letters/digits (no spaces or punctuation) are kept. */
+function bigrams(text) {
+  const chars = Array.from(text);
+  const grams = new Set();
+  for (let i = 0; i < chars.length - 1; i++) {
+    if (WORD_CHAR.test(chars[i]) && WORD_CHAR.test(chars[i + 1])) grams.add(chars[i] + chars[i + 1]);
+  }
+  return grams;
+}
+
+/** Sorted post ids as base-36 gaps: [3, 4, 10] → "3,1,6". */
+function encodePostings(ids) {
+  let prev = 0;
+  return ids.map((id) => {
+    const gap = id - prev;
+    prev = id;
+    return gap.toString(36);
+  }).join(',');
+}
+
+/**
+ * posts: [{ slug, title, date, categories, excerpt, text }] with `text` from plainText().
+ * Returns { index, text }:
+ *   index — { version, categories, docs: [[slug, title, date, [category ids], excerpt]], stop: [too common bigrams],
+ *           grams: { bigram: postings } }
+ *   text  — { version, docs: [body text] } in the same order as index.docs (loaded separately; it's the big part)
+ */
+function buildSearchIndex(posts) {
+  const categories = [];
+  const categoryIds = new Map();
+  const postings = new Map();
+  const docs = posts.map((p, id) => {
+    const cats = (p.categories || []).map((name) => {
+      if (!categoryIds.has(name)) {
+        categoryIds.set(name, categories.length);
+        categories.push(name);
+      }
+      return categoryIds.get(name);
+    });
+    const searchable = normalizeForSearch([p.title, (p.categories || []).join(' '), p.excerpt, p.text].join('\n'));
+    bigrams(searchable).forEach((g) => {
+      if (!postings.has(g)) postings.set(g, []);
+      postings.get(g).push(id);
+    });
+    return [p.slug, p.title, p.date, cats, p.excerpt || ''];
+  });
+  const maxPosts = Math.max(1, Math.floor(posts.length * STOP_GRAM_RATIO));
+  const grams = {};
+  const stop = [];
+  [...postings.keys()].sort().forEach((g) => {
+    const ids = postings.get(g);
+    if (ids.length <= maxPosts) grams[g] = encodePostings(ids);
+    else stop.push(g);
+  });
+  return {
+    index: { version: SEARCH_INDEX_VERSION, categories, docs, stop, grams },
+    text: { version: SEARCH_INDEX_VERSION, docs: posts.map((p) => p.text.normalize('NFKC')) }
+  };
+}
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  STOP_GRAM_RATIO,
+  normalizeForSearch,
+  plainText,
+  bigrams,
+  buildSearchIndex
+};
@@ -0,0 +1,127 @@
+/**
+ * Site settings from site.config.json: name, tagline, description, public URL, posts per page, footer flag,
+ * OG image, header nav links, web fonts, the table of contents threshold and how the writer processes uploaded images
+ * (media). Read once by render.js (so by the build, import-wp.js and the writer) and checked against
+ * SITE_CONFIG_SCHEMA; a script started with an invalid file lists the problems and exits.
+ * The SITE_URL environment variable overrides `url` (e.g. to build a preview for another host), TOC_MIN_LENGTH
+ * overrides `tocMinLength`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SITE_CONFIG_FILE = path.join(__dirname, '..', '..', 'site.config.json');
+
+const SITE_CONFIG_SCHEMA = {
+  name: { type: 'string', required: true },
+  tagline: { type: 'string', default: '' },
+  description: { type: 'string', required: true },
+  url: { type: 'url', required: true },
+  perPage: { type: 'integer', min: 1, max: 100, default: 10 },
+  footerFlag: { type: 'string', default: '' },
+  ogImage: { type: 'string', default: '' },
+  tocMinLength: { type: 'integer', min: 1, max: 1000000, default: 4000 },
+  nav: { type: 'links', default: [] },
+  fonts: { type: 'fonts', default: { preconnect: [], stylesheets: [] } },
+  media: { type: 'media', default: {} }
+};
+
+/** Upload settings (scripts/lib/media.js): longest side in px, JPEG quality, metadata removal, capture date sidecar. */
+const MEDIA_DEFAULTS = { maxSize: 2048, quality: 82, stripMetadata: true, keepCaptureDate: false };
+const MEDIA_RULES = {
+  maxSize: (v) => Number.isInteger(v) && v >= 320 && v <= 10000 ? '' : 'must be a whole number from 320 to 10000',
+  quality: (v) => Number.isInteger(v) && v >= 1 && v <= 100 ? '' : 'must be a whole number from 1 to 100',
+  stripMetadata: (v) => typeof v === 'boolean' ? '' : 'must be true or false',
+  keepCaptureDate: (v) => typeof v === 'boolean' ? '' : 'must be true or false'
+};
+
+const isUrl = (v) => typeof v === 'string' && /^https?:\/\/[^\s/]+/.test(v);
+const isUrlList = (v) => Array.isArray(v) && v.every(isUrl);
+
+/** Check a parsed config. Returns [{ field, message }]; message starts with the field name. */
+function validateSiteConfig(config) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message: field + ': ' + message });
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    errors.push({ field: '(file)', message: 'must be a JSON object' });
+    return errors;
+  }
+  Object.keys(config).filter((key) => !(key in SITE_CONFIG_SCHEMA)).forEach((key) => fail(key, 'unknown setting'));
+  for (const [field, rule] of Object.entries(SITE_CONFIG_SCHEMA)) {
+    const value = config[field];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) fail(field, 'is required');
+      continue;
+    }
+    if (rule.type === 'string' && typeof value !== 'string') {
+      fail(field, 'must be text');
+    } else if (rule.type === 'url' && !isUrl(value)) {
+      fail(field, 'must be an http(s) URL, got ' + JSON.stringify(value));
+    } else if (rule.type === 'integer' && (!Number.isInteger(value) || value < rule.min || value > rule.max)) {
+      fail(field, 'must be a whole number from ' + rule.min + ' to ' + rule.max + ', got ' + JSON.stringify(value));
+    } else if (rule.type === 'links' && (!Array.isArray(value) || value.some((l) => !l || typeof l.label !== 'string' || !l.label || typeof l.href !== 'string' || !l.href))) {
+      fail(field, 'must be a list of { "label": …, "href": … }');
+    } else if (rule.type === 'fonts') {
+      if (typeof value !== 'object' || Array.isArray(value)) fail(field, 'must be { "preconnect": [URLs], "stylesheets": [URLs] }');
+      else {
+        if (value.preconnect !== undefined && !isUrlList(value.preconnect)) fail(field + '.preconnect', 'must be a list of http(s) URLs');
+        if (value.stylesheets !== undefined && !isUrlList(value.stylesheets)) fail(field + '.stylesheets', 'must be a list of http(s) URLs');
+      }
+    } else if (rule.type === 'media') {
+      if (typeof value !== 'object' || Array.isArray(value)) fail(field, 'must be an object with ' + Object.keys(MEDIA_RULES).join(', '));
+      else {
+        Object.keys(value).forEach((key) => {
+          const problem = MEDIA_RULES[key] ? MEDIA_RULES[key](value[key]) : 'unknown setting';
+          if (problem) fail(field + '.' + key, problem + (MEDIA_RULES[key] ? ', got ' + JSON.stringify(value[key]) : ''));
+        });
+      }
+    }
+  }
+  return errors;
+}
+
+/** Read and validate site.config.json. Returns { config, errors }; config has defaults filled in. */
+function readSiteConfig(file) {
+  const configFile = file || SITE_CONFIG_FILE;
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (e) {
+    return { config: null, errors: [{ field: '(file)', message: e.code === 'ENOENT' ? configFile + ' not found' : 'not valid JSON (' + e.message + ')' }] };
+  }
+  const errors = validateSiteConfig(raw);
+  if (errors.length) return { config: null, errors };
+  const config = {};
+  for (const [field, rule] of Object.entries(SITE_CONFIG_SCHEMA)) {
+    config[field] = raw[field] === undefined || raw[field] === null ? rule.default : raw[field];
+  }
+  config.fonts = { preconnect: config.fonts.preconnect || [], stylesheets: config.fonts.stylesheets || [] };
+  config.media = { ...MEDIA_DEFAULTS, ...config.media };
+  config.url = (process.env.SITE_URL || config.url).replace(/\/$/, '');
+  const tocMinLength = parseInt(process.env.TOC_MIN_LENGTH, 10);
+  if (tocMinLength > 0) config.tocMinLength = tocMinLength;
+  return { config, errors };
+}
+
+let loaded = null;
+
+/** The validated site config, read on first use. Exits the process when site.config.json is invalid. */
+function siteConfig() {
+  if (loaded) return loaded;
+  const { config, errors } = readSiteConfig();
+  if (errors.length) {
+    console.error('Invalid site.config.json:');
+    errors.forEach((e) => console.error('  ' + e.message));
+    process.exit(1);
+  }
+  loaded = config;
+  return loaded;
+}
+
+module.exports = {
+  SITE_CONFIG_FILE,
+  SITE_CONFIG_SCHEMA,
+  validateSiteConfig,
+  readSiteConfig,
+  siteConfig
+};
@@ -0,0 +1,70 @@
+/**
+ * Post length, reading time and site statistics (stats.html and the writer's GET /api/stats).
+ * Japanese has no spaces between words, so length is the number of characters of post text and reading time
+ * assumes READING_SPEED characters a minute.
+ */
+
+const { plainText } = require('./search-index');
+
+/** Characters a minute (文字/分), a common figure for reading Japanese on screen. */
+const READING_SPEED = 500;
+const LONGEST_LIMIT = 10;
+
+/** Characters of text in post HTML: tags, entities, whitespace and ruby readings don't count. */
+function countChars(html) {
+  const text = plainText(String(html || '').replace(/<(rp|rt)\b[^>]*>[\s\S]*?<\/\1>/gi, ''));
+  return Array.from(text.replace(/\s+/g, '')).length;
+}
+
+/** Whole minutes to read `chars` characters, at least 1. */
+function readingMinutes(chars) {
+  return Math.max(1, Math.round((chars || 0) / READING_SPEED));
+}
+
+/** 1234 → "1,234" */
+function formatCount(n) {
+  return String(Math.round(n || 0)).replace(/\B(?=(\d{3})+$)/g, ',');
+}
+
+/**
+ * Totals for postsData (newest first, each with `chars`):
+ * { posts, chars, averageChars, readingMinutes, first, last,
+ *   years: [{ year, posts, chars }] newest first, categories: [{ name, posts, chars }] most posts first,
+ *   longest: [{ slug, title, date, chars, readingMinutes }] }
+ */
+function buildSiteStats(postsData, limit) {
+  const posts = postsData || [];
+  const total = posts.reduce((sum, p) => sum + (p.chars || 0), 0);
+  const years = new Map();
+  const categories = new Map();
+  const add = (map, key) => {
+    if (!map.has(key)) map.set(key, { posts: 0, chars: 0 });
+    const entry = map.get(key);
+    entry.posts++;
+    return entry;
+  };
+  posts.forEach((p) => {
+    add(years, String(p.date).slice(0, 4)).chars += p.chars || 0;
+    (p.categories || []).forEach((name) => { add(categories, name).chars += p.chars || 0; });
+  });
+  const longest = posts.slice().sort((a, b) => (b.chars || 0) - (a.chars || 0)).slice(0, limit || LONGEST_LIMIT);
+  return {
+    posts: posts.length,
+    chars: total,
+    averageChars: posts.length ? Math.round(total / posts.length) : 0,
+    readingMinutes: posts.length ? readingMinutes(total) : 0,
+    first: posts.length ? posts[posts.length - 1].date : null,
+    last: posts.length ? posts[0].date : null,
+    years: [...years].map(([year, e]) => ({ year, ...e })).sort((a, b) => (a.year < b.year ? 1 : -1)),
+    categories: [...categories].map(([name, e]) => ({ name, ...e })).sort((a, b) => b.posts - a.posts || b.chars - a.chars || (a.name < b.name ? -1 : 1)),
+    longest: longest.map((p) => ({ slug: p.slug, title: p.title, date: p.date, chars: p.chars || 0, readingMinutes: readingMinutes(p.chars) }))
+  };
+}
+
+module.exports = {
+  READING_SPEED,
+  countChars,
+  readingMinutes,
+  formatCount,
+  buildSiteStats
+};
@@ -0,0 +1,162 @@
+/**
+ * Trash for deleted posts (writer-server.js). Deleting a post moves its Markdown to trash/<slug>.md and its
+ * revision history to trash/revisions/<slug>/, with trash/<slug>.json recording where it came from, when and by
+ * whom. Restoring moves both back. Entries older than the retention period are removed for good by purgeTrash.
+ * Nothing reads trash/ except these functions: the build only looks at content/, so trashed posts drop off the
+ * site. Deleting a slug that is already in the trash replaces that entry, keeping the older copy in its history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Folders a post can be trashed from (and is restored to). */
+const TRASH_SOURCES = ['content', 'drafts', 'scheduled'];
+
+function trashDir(root) {
+  return path.join(root, 'trash');
+}
+
+/** The slug as a single file name (no path separators or ".."), or '' if nothing is left. */
+function safeSlug(slug) {
+  return String(slug || '').replace(/\.\./g, '').replace(/[/\\]/g, '').trim();
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/** Revision id for a time, the same shape saveRevision uses (2025-02-08T09-30-00). */
+function revisionId(date) {
+  return date.toISOString().replace(/:/g, '-').replace(/\..+/, '');
+}
+
+/** Move a revisions folder, merging it into dest (files and index.json) when dest already exists. */
+function moveRevisions(src, dest) {
+  if (!fs.existsSync(src)) return;
+  if (!fs.existsSync(dest)) {
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.renameSync(src, dest);
+    return;
+  }
+  fs.readdirSync(src).filter((f) => f.endsWith('.md')).forEach((f) => {
+    if (!fs.existsSync(path.join(dest, f))) fs.renameSync(path.join(src, f), path.join(dest, f));
+  });
+  const byId = new Map();
+  readJson(path.join(dest, 'index.json'), []).concat(readJson(path.join(src, 'index.json'), [])).forEach((r) => byId.set(r.id, r));
+  const merged = [...byId.values()].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  fs.writeFileSync(path.join(dest, 'index.json'), JSON.stringify(merged, null, 2), 'utf8');
+  fs.rmSync(src, { recursive: true, force: true });
+}
+
+/** The trash entry for slug ({ slug, title, from, deletedAt, deletedBy }), or null. */
+function readTrashEntry(root, slug) {
+  const name = safeSlug(slug);
+  if (!name || !fs.existsSync(path.join(trashDir(root), name + '.md'))) return null;
+  const entry = { title: name, deletedAt: null, deletedBy: null, ...readJson(path.join(trashDir(root), name + '.json'), {}), slug: name };
+  if (!TRASH_SOURCES.includes(entry.from)) entry.from = 'drafts';
+  return entry;
+}
+
+/**
+ * Move root/<from>/<slug>.md and root/revisions/<slug>/ to the trash. from is one of TRASH_SOURCES.
+ * Returns the new entry.
+ */
+function moveToTrash(root, slug, from, title, deletedBy) {
+  const name = safeSlug(slug);
+  const dir = trashDir(root);
+  const file = path.join(dir, name + '.md');
+  const revisions = path.join(dir, 'revisions', name);
+  fs.mkdirSync(dir, { recursive: true });
+  const previous = readTrashEntry(root, name);
+  if (previous) {
+    // keep the copy deleted earlier as a revision of the new entry
+    const id = revisionId(new Date(previous.deletedAt || fs.statSync(file).mtime));
+    fs.mkdirSync(revisions, { recursive: true });
+    fs.renameSync(file, path.join(revisions, id + '.md'));
+    const index = readJson(path.join(revisions, 'index.json'), []).concat({ id, date: previous.deletedAt || new Date().toISOString(), label: 'Deleted' });
+    fs.writeFileSync(path.join(revisions, 'index.json'), JSON.stringify(index, null, 2), 'utf8');
+  }
+  fs.renameSync(path.join(root, from, name + '.md'), file);
+  moveRevisions(path.join(root, 'revisions', name), revisions);
+  const entry = { slug: name, title: title || name, from, deletedAt: new Date().toISOString(), deletedBy: deletedBy || null };
+  fs.writeFileSync(path.join(dir, name + '.json'), JSON.stringify(entry, null, 2) + '\n', 'utf8');
+  return entry;
+}
+
+/** Trash entries, most recently deleted first, each with expiresAt (deletedAt + retentionDays; null when 0, kept forever). */
+function listTrash(root, retentionDays) {
+  const dir = trashDir(root);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.md'))
+    .map((f) => readTrashEntry(root, f.slice(0, -3)))
+    .map((entry) => {
+      const deleted = entry.deletedAt ? new Date(entry.deletedAt) : fs.statSync(path.join(dir, entry.slug + '.md')).mtime;
+      const expiresAt = retentionDays ? new Date(deleted.getTime() + retentionDays * DAY_MS).toISOString() : null;
+      return { ...entry, deletedAt: deleted.toISOString(), expiresAt };
+    })
+    .sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : a.deletedAt > b.deletedAt ? -1 : 0));
+}
+
+/**
+ * Put a trashed post back where it came from, with its revisions. Returns the entry, or null when it isn't in
+ * the trash. Throws an error with code 'EEXIST' (and nothing is moved) when content/, drafts/ or scheduled/
+ * already has a post with the slug.
+ */
+function restoreFromTrash(root, slug) {
+  const entry = readTrashEntry(root, slug);
+  if (!entry) return null;
+  if (TRASH_SOURCES.some((from) => fs.existsSync(path.join(root, from, entry.slug + '.md')))) {
+    const err = new Error('A post with this slug exists: ' + entry.slug);
+    err.code = 'EEXIST';
+    throw err;
+  }
+  const dir = trashDir(root);
+  fs.mkdirSync(path.join(root, entry.from), { recursive: true });
+  fs.renameSync(path.join(dir, entry.slug + '.md'), path.join(root, entry.from, entry.slug + '.md'));
+  moveRevisions(path.join(dir, 'revisions', entry.slug), path.join(root, 'revisions', entry.slug));
+  fs.rmSync(path.join(dir, entry.slug + '.json'), { force: true });
+  return entry;
+}
+
+/** Delete a trash entry for good. */
+function removeFromTrash(root, slug) {
+  const name = safeSlug(slug);
+  const dir = trashDir(root);
+  fs.rmSync(path.join(dir, name + '.md'), { force: true });
+  fs.rmSync(path.join(dir, name + '.json'), { force: true });
+  fs.rmSync(path.join(dir, 'revisions', name), { recursive: true, force: true });
+}
+
+/** Delete entries whose retention period has passed (none when retentionDays is 0). Returns their slugs. */
+function purgeTrash(root, retentionDays) {
+  const now = Date.now();
+  const expired = listTrash(root, retentionDays).filter((e) => e.expiresAt && new Date(e.expiresAt).getTime() <= now);
+  expired.forEach((e) => removeFromTrash(root, e.slug));
+  return expired.map((e) => e.slug);
+}
+
+/** Delete everything in the trash. Returns the slugs removed. */
+function emptyTrash(root) {
+  const slugs = listTrash(root, 0).map((e) => e.slug);
+  slugs.forEach((slug) => removeFromTrash(root, slug));
+  return slugs;
+}
+
+module.exports = {
+  TRASH_SOURCES,
+  trashDir,
+  safeSlug,
+  readTrashEntry,
+  moveToTrash,
+  listTrash,
+  restoreFromTrash,
+  removeFromTrash,
+  purgeTrash,
+  emptyTrash
+};
@@ -1,8 +1,10 @@
 /**
  * Migrate images and videos from futarigurashi.com wp-content/uploads to local uploads/.
- * - Discovers all media URLs (img src, a href, [video mp4="..."]) from those two bases
+ * - Discovers all media URLs (img src, a href, Markdown ![](…)/[](…), [video mp4="..."]) from those two bases in
+ *   the Markdown sources (content/ and drafts/, e.g. after scripts/import-wp.js)
  * - Downloads each file to futarigurashi/uploads/<path>
- * - Rewrites HTML to use local paths and converts [video] shortcodes to <video><source>
+ * - Rewrites the Markdown to use ../uploads/ paths (relative to posts/, where bodies are rendered) and converts
+ *   [video] shortcodes to <video><source>
  *
  * Usage: node scripts/migrate-media.js
  * Optional: node scripts/migrate-media.js --dry-run  (discover + report only, no download/rewrite)
@@ -14,14 +16,16 @@ const { promisify } = require('util');
 
 const ROOT = path.join(__dirname, '..');
 const UPLOADS_DIR = path.join(ROOT, 'uploads');
+const SOURCE_DIRS = [path.join(ROOT, 'content'), path.join(ROOT, 'drafts')];
+const UPLOADS_PREFIX = '../uploads/';
 
 const BASE_URLS = [
   'http://www.futarigurashi.com/wp-content/uploads/',
   'http://futarigurashi.com/wp-content/uploads/',
 ];
 
-// Match path after /wp-content/uploads/ (for src= and href=)
-const URL_PATH_REGEX = /(?:src|href)=["']https?:\/\/(?:www\.)?futarigurashi\.com\/wp-content\/uploads\/([^"']+)["']/g;
+// Match path after /wp-content/uploads/ (for src=, href= and Markdown links/images)
+const URL_PATH_REGEX = /(?:(?:src|href)=["']|\]\()https?:\/\/(?:www\.)?futarigurashi\.com\/wp-content\/uploads\/([^"')\s]+)/g;
 // Match [video ... mp4="...url..."][/video] and capture the path part of the URL
 const VIDEO_SHORTCODE_REGEX = /\[video\s+([^]]*?)mp4=["']https?:\/\/(?:www\.)?futarigurashi\.com\/wp-content\/uploads\/([^"']+)["']([^]]*)\]\s*\[\/video\]/g;
 // Match already-rewritten shortcode (mp4 points to local uploads/) so we can convert to <video>
@@ -30,28 +34,12 @@ const VIDEO_SHORTCODE_REWRITTEN_REGEX = /\[video\s+([^\]]*?)\s+mp4=["']([^"']+)[
 const DRY_RUN = process.argv.includes('--dry-run');
 const FIX_VIDEO_ONLY = process.argv.includes('--fix-video-only');
 
-function getAllHtmlFiles() {
+function getSourceFiles() {
   const files = [];
-  const dirs = [
-    { dir: path.join(ROOT, 'posts'), prefix: '../uploads/' },
-    { dir: path.join(ROOT, 'page'), prefix: '../uploads/' },
-    { dir: path.join(ROOT, 'category'), prefix: '../uploads/' },
-  ];
-  for (const { dir } of dirs) {
-    if (fs.existsSync(dir)) {
-      const names = fs.readdirSync(dir);
-      for (const name of names) {
-        if (name.endsWith('.html')) {
-          files.push({ filePath: path.join(dir, name), relDir: path.relative(ROOT, path.dirname(path.join(dir, name))) });
-        }
-      }
-    }
-  }
-  const rootFiles = ['index.html', 'archive.html', 'category.html', 'top.html'];
-  for (const name of rootFiles) {
-    const filePath = path.join(ROOT, name);
-    if (fs.existsSync(filePath)) {
-      files.push({ filePath, relDir: '' });
+  for (const dir of SOURCE_DIRS) {
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir)) {
+      if (name.endsWith('.md')) files.push({ filePath: path.join(dir, name) });
     }
   }
   return files;
@@ -71,9 +59,9 @@ function extractPathsFromContent(content) {
   return paths;
 }
 
-function collectAllPaths(htmlFiles) {
+function collectAllPaths(sourceFiles) {
   const allPaths = new Set();
-  for (const { filePath } of htmlFiles) {
+  for (const { filePath } of sourceFiles) {
     const content = fs.readFileSync(filePath, 'utf8');
     const paths = extractPathsFromContent(content);
     paths.forEach((p) => allPaths.add(p));
@@ -142,10 +130,6 @@ async function downloadAll(paths) {
   return { ok, skip, fail };
 }
 
-function uploadsPrefix(relDir) {
-  return relDir ? '../uploads/' : 'uploads/';
-}
-
 function rewriteContent(content, prefix) {
   let out = content;
   // Convert [video ... mp4="URL"][/video] first (while URL is still full), then replace all upload URLs
@@ -167,9 +151,9 @@ function rewriteContent(content, prefix) {
 
 // One-off fix: convert [video ... mp4="../uploads/..."][/video] to <video> in all posts (run once)
 function fixVideoShortcodesOnly() {
-  const htmlFiles = getAllHtmlFiles();
+  const sourceFiles = getSourceFiles();
   let rewritten = 0;
-  for (const { filePath } of htmlFiles) {
+  for (const { filePath } of sourceFiles) {
     VIDEO_SHORTCODE_REWRITTEN_REGEX.lastIndex = 0;
     const content = fs.readFileSync(filePath, 'utf8');
     const hasShortcode = VIDEO_SHORTCODE_REWRITTEN_REGEX.test(content);
@@ -186,12 +170,11 @@ function fixVideoShortcodesOnly() {
   return rewritten;
 }
 
-function rewriteAllHtml(htmlFiles) {
+function rewriteAllSources(sourceFiles) {
   let rewritten = 0;
-  for (const { filePath, relDir } of htmlFiles) {
+  for (const { filePath } of sourceFiles) {
     const content = fs.readFileSync(filePath, 'utf8');
-    const prefix = uploadsPrefix(relDir);
-    const newContent = rewriteContent(content, prefix);
+    const newContent = rewriteContent(content, UPLOADS_PREFIX);
     if (newContent !== content) {
       fs.writeFileSync(filePath, newContent);
       rewritten++;
@@ -202,18 +185,18 @@ function rewriteAllHtml(htmlFiles) {
 
 async function main() {
   if (FIX_VIDEO_ONLY) {
-    console.log('Converting [video] shortcodes to <video> in all HTML...');
+    console.log('Converting [video] shortcodes to <video> in content/ and drafts/...');
     const rewritten = fixVideoShortcodesOnly();
     console.log(`Rewrote ${rewritten} files.`);
     return;
   }
 
-  console.log('Discovering HTML files...');
-  const htmlFiles = getAllHtmlFiles();
-  console.log(`Found ${htmlFiles.length} HTML files`);
+  console.log('Discovering Markdown files (content/, drafts/)...');
+  const sourceFiles = getSourceFiles();
+  console.log(`Found ${sourceFiles.length} Markdown files`);
 
   console.log('Collecting media paths from wp-content/uploads...');
-  const paths = collectAllPaths(htmlFiles);
+  const paths = collectAllPaths(sourceFiles);
   console.log(`Found ${paths.length} unique media paths`);
 
   if (DRY_RUN) {
@@ -232,9 +215,9 @@ async function main() {
     console.log(`Downloaded: ${ok}, skipped (existing): ${skip}, failed: ${fail}`);
   }
 
-  console.log('\nRewriting HTML to use local uploads/...');
-  const rewritten = rewriteAllHtml(htmlFiles);
-  console.log(`Rewrote ${rewritten} HTML files.`);
+  console.log('\nRewriting Markdown to use local uploads/...');
+  const rewritten = rewriteAllSources(sourceFiles);
+  console.log(`Rewrote ${rewritten} Markdown files.`);
 }
 
 main().catch((err) => {
@@ -1,9 +1,11 @@
 /**
  * Rewrite in-content WordPress permalink links to static paths and build a redirect map.
- * - Finds hrefs like https?://(www.)?futarigurashi.com/YYYY/MM/... or /YYYY/MM/DD/...
- * - Resolves each to the corresponding posts/XXX.html (by matching path slug to static filenames)
- * - Replaces hrefs in all HTML with the correct relative path
- * - Writes redirects.txt: old URL -> new path for 301s when domain points to this site
+ * - Finds links like https?://(www.)?futarigurashi.com/YYYY/MM/... or /YYYY/MM/DD/... in the Markdown sources
+ *   (content/ and drafts/), both href="…" and [text](…)
+ * - Resolves each to a post in content/ (by matching the path slug to the .md file names)
+ * - Replaces the link with <slug>.html, relative to posts/ where post bodies are rendered
+ * - Adds old URL -> new path lines to redirects.txt (301s for when the domain points to this site); lines
+ *   already there are kept, so links rewritten by an earlier run keep their redirects
  *
  * Usage: node scripts/rewrite-wp-links.js
  *        node scripts/rewrite-wp-links.js --dry-run  (report only, no rewrite; lists unmapped URLs)
@@ -13,43 +15,36 @@ const fs = require('fs');
 const path = require('path');
 
 const ROOT = path.join(__dirname, '..');
-const POSTS_DIR = path.join(ROOT, 'posts');
+const CONTENT_DIR = path.join(ROOT, 'content');
+const DRAFTS_DIR = path.join(ROOT, 'drafts');
+const REDIRECTS_TXT = path.join(ROOT, 'redirects.txt');
 
-// WP permalink href (capture path: YYYY/MM or YYYY/MM/DD then rest)
+// WP permalink (capture path: YYYY/MM or YYYY/MM/DD then rest), as href="…" (1 quote, 2 URL, 3 path) or
+// Markdown [text](…) (1 URL, 2 path)
 const WP_HREF_REGEX = /href=(["'])(https?:\/\/(?:www\.)?futarigurashi\.com\/(\d{4}\/\d{2}(?:\/\d{2})?\/[^"']+))\1/g;
+const WP_MD_LINK_REGEX = /\]\((https?:\/\/(?:www\.)?futarigurashi\.com\/(\d{4}\/\d{2}(?:\/\d{2})?\/[^)\s]+))\)/g;
 
 const DRY_RUN = process.argv.includes('--dry-run');
 
-function getAllHtmlFiles() {
+/** The Markdown sources links are rewritten in. */
+function getSourceFiles() {
   const files = [];
-  for (const dirName of ['posts', 'page', 'category']) {
-    const dir = path.join(ROOT, dirName);
-    if (fs.existsSync(dir)) {
-      for (const name of fs.readdirSync(dir)) {
-        if (name.endsWith('.html')) {
-          files.push({
-            filePath: path.join(dir, name),
-            relDir: dirName,
-          });
-        }
-      }
-    }
-  }
-  for (const name of ['index.html', 'archive.html', 'category.html', 'top.html']) {
-    const filePath = path.join(ROOT, name);
-    if (fs.existsSync(filePath)) {
-      files.push({ filePath, relDir: '' });
+  for (const dir of [CONTENT_DIR, DRAFTS_DIR]) {
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir)) {
+      if (name.endsWith('.md')) files.push({ filePath: path.join(dir, name) });
     }
   }
   return files;
 }
 
+/** Slugs of published posts (content/*.md); drafts have no page to link to. */
 function getStaticSlugs() {
-  if (!fs.existsSync(POSTS_DIR)) return new Set();
+  if (!fs.existsSync(CONTENT_DIR)) return new Set();
   return new Set(
-    fs.readdirSync(POSTS_DIR)
-      .filter((f) => f.endsWith('.html'))
-      .map((f) => f.slice(0, -5))
+    fs.readdirSync(CONTENT_DIR)
+      .filter((f) => f.endsWith('.md'))
+      .map((f) => f.slice(0, -3))
   );
 }
 
@@ -124,15 +119,12 @@ function findStaticSlug(wpSlug, staticSlugs) {
   return null;
 }
 
-function collectWpUrls(htmlFiles) {
+function collectWpUrls(sourceFiles) {
   const urlToPath = new Map(); // full URL -> path part (YYYY/MM/...)
-  for (const { filePath } of htmlFiles) {
+  for (const { filePath } of sourceFiles) {
     const content = fs.readFileSync(filePath, 'utf8');
-    let m;
-    WP_HREF_REGEX.lastIndex = 0;
-    while ((m = WP_HREF_REGEX.exec(content)) !== null) {
-      urlToPath.set(m[2], m[3]);
-    }
+    for (const m of content.matchAll(WP_HREF_REGEX)) urlToPath.set(m[2], m[3]);
+    for (const m of content.matchAll(WP_MD_LINK_REGEX)) urlToPath.set(m[1], m[2]);
   }
   return urlToPath;
 }
@@ -152,25 +144,24 @@ function buildUrlToRelative(urlToPath, staticSlugs) {
   return { urlToRelative, unmapped };
 }
 
-function linkToPost(relDir, targetBasename) {
-  if (relDir === 'posts') return targetBasename;
-  if (relDir === 'page' || relDir === 'category') return `../posts/${targetBasename}`;
-  return `posts/${targetBasename}`;
+/** Post bodies are rendered in posts/, so a link to another post is just its file name. */
+function linkToPost(target) {
+  return path.posix.basename(target);
 }
 
-function rewriteAllHtml(htmlFiles, urlToRelative) {
+function rewriteAllSources(sourceFiles, urlToRelative) {
   let count = 0;
-  for (const { filePath, relDir } of htmlFiles) {
+  for (const { filePath } of sourceFiles) {
     const content = fs.readFileSync(filePath, 'utf8');
-    const newContent = content.replace(WP_HREF_REGEX, (_, quote, fullUrl) => {
-      const target = urlToRelative.get(fullUrl);
-      if (target) {
-        const basename = path.basename(target);
-        const href = linkToPost(relDir, basename);
-        return `href=${quote}${href}${quote}`;
-      }
-      return _;
-    });
+    const newContent = content
+      .replace(WP_HREF_REGEX, (all, quote, fullUrl) => {
+        const target = urlToRelative.get(fullUrl);
+        return target ? `href=${quote}${linkToPost(target)}${quote}` : all;
+      })
+      .replace(WP_MD_LINK_REGEX, (all, fullUrl) => {
+        const target = urlToRelative.get(fullUrl);
+        return target ? `](${linkToPost(target)})` : all;
+      });
     if (newContent !== content) {
       if (!DRY_RUN) fs.writeFileSync(filePath, newContent);
       count++;
@@ -179,67 +170,71 @@ function rewriteAllHtml(htmlFiles, urlToRelative) {
   return count;
 }
 
+/** Add the new redirects to redirects.txt, keeping the ones already there. Returns how many were added. */
 function writeRedirectMap(urlToRelative) {
   // Canonical old base for redirects (user can add 301 to /posts/xxx.html when domain points here)
-  const lines = [
+  const existing = fs.existsSync(REDIRECTS_TXT) ? fs.readFileSync(REDIRECTS_TXT, 'utf8').split('\n').filter((l) => l.trim() !== '') : [
     '# Redirect map: old WordPress permalink -> new static path',
     '# Use with Netlify _redirects, Cloudflare, or nginx to preserve SEO',
     '# Format: old_path new_path 301',
-    '',
   ];
-  const seenPaths = new Set();
+  const header = existing.filter((l) => l.startsWith('#'));
+  const lines = existing.filter((l) => !l.startsWith('#'));
+  const seenPaths = new Set(lines.map((l) => l.split(/\s+/)[0]));
+  let added = 0;
   for (const [url, newPath] of urlToRelative) {
     try {
       const u = new URL(url);
       const oldPath = u.pathname.replace(/\/$/, '') || '/';
-      const key = u.origin + oldPath;
-      if (seenPaths.has(key)) continue;
-      seenPaths.add(key);
+      if (seenPaths.has(oldPath)) continue;
+      seenPaths.add(oldPath);
       lines.push(`${oldPath}  /${newPath}  301`);
+      added++;
     } catch {
       // skip
     }
   }
-  const outPath = path.join(ROOT, 'redirects.txt');
-  fs.writeFileSync(outPath, lines.join('\n') + '\n');
-  return outPath;
+  if (added) fs.writeFileSync(REDIRECTS_TXT, header.concat('', lines).join('\n') + '\n');
+  return added;
 }
 
 function main() {
-  console.log('Loading static slugs from posts/...');
+  console.log('Loading post slugs from content/...');
   const staticSlugs = getStaticSlugs();
-  console.log(`  ${staticSlugs.size} post files`);
+  console.log(`  ${staticSlugs.size} posts`);
+  if (staticSlugs.size === 0) {
+    console.error('No posts in content/; nothing to link to.');
+    process.exit(1);
+  }
 
-  console.log('Collecting HTML files...');
-  const htmlFiles = getAllHtmlFiles();
-  console.log(`  ${htmlFiles.length} files`);
+  console.log('Collecting Markdown files (content/, drafts/)...');
+  const sourceFiles = getSourceFiles();
+  console.log(`  ${sourceFiles.length} files`);
 
   console.log('Collecting WordPress permalink URLs...');
-  const urlToPath = collectWpUrls(htmlFiles);
+  const urlToPath = collectWpUrls(sourceFiles);
   console.log(`  ${urlToPath.size} unique WP permalink URLs`);
 
   const { urlToRelative, unmapped } = buildUrlToRelative(urlToPath, staticSlugs);
   console.log(`  Mapped: ${urlToRelative.size}, Unmapped: ${unmapped.length}`);
 
   if (unmapped.length > 0) {
-    console.log('\nUnmapped (no matching post file):');
+    console.log('\nUnmapped (no matching post in content/):');
     unmapped.slice(0, 20).forEach(({ url, wpSlug }) => console.log(`  ${wpSlug || url}`));
     if (unmapped.length > 20) console.log(`  ... and ${unmapped.length - 20} more`);
   }
 
   if (DRY_RUN) {
-    console.log('\n[DRY RUN] Would rewrite HTML and write redirects.');
+    console.log('\n[DRY RUN] Would rewrite the Markdown and add redirects.');
     return;
   }
 
-  console.log('\nRewriting hrefs in HTML...');
-  const rewritten = rewriteAllHtml(htmlFiles, urlToRelative);
+  console.log('\nRewriting links in content/ and drafts/...');
+  const rewritten = rewriteAllSources(sourceFiles, urlToRelative);
   console.log(`  ${rewritten} files updated`);
 
-  if (urlToRelative.size > 0) {
-    const outPath = writeRedirectMap(urlToRelative);
-    console.log(`Redirect map written: ${path.relative(ROOT, outPath)}`);
-  }
+  const added = writeRedirectMap(urlToRelative);
+  console.log(`Redirect map: ${added} added to ${path.relative(ROOT, REDIRECTS_TXT)}`);
 }
 
 main();
@@ -0,0 +1,114 @@
+/**
+ * Manage writer accounts in the users file (see scripts/lib/auth.js).
+ *
+ * Usage: node scripts/writer-users.js <command>
+ *   list                        show users and roles
+ *   add <name> [author|editor]  add a user (default role: author); asks for the password
+ *   passwd <name>               set a new password
+ *   role <name> <author|editor> change a user's role
+ *   remove <name>               delete a user
+ * The password is read from the terminal without echo, or from the first line of stdin when piped.
+ * Env: REPO_ROOT (default: the repo), USERS_FILE (default <REPO_ROOT>/users.json). The writer server picks up
+ * changes without a restart; a removed user's sessions stop working at once.
+ */
+
+const path = require('path');
+const { ROLES, MIN_PASSWORD_LENGTH, hashPassword, validUsername, readUsers, writeUsers } = require('./lib/auth');
+
+const REPO_ROOT = path.resolve(process.env.REPO_ROOT || path.join(__dirname, '..'));
+const USERS_FILE = path.resolve(process.env.USERS_FILE || path.join(REPO_ROOT, 'users.json'));
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+/** Read one line without echoing it when stdin is a terminal. */
+function readPassword(prompt) {
+  return new Promise((resolve) => {
+    const stdin = process.stdin;
+    let input = '';
+    if (!stdin.isTTY) {
+      stdin.setEncoding('utf8');
+      stdin.on('data', (chunk) => { input += chunk; });
+      stdin.on('end', () => resolve(input.split(/\r?\n/)[0]));
+      return;
+    }
+    process.stdout.write(prompt);
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+    const onData = (chunk) => {
+      for (const ch of chunk) {
+        if (ch === '\r' || ch === '\n') {
+          stdin.setRawMode(false);
+          stdin.pause();
+          stdin.removeListener('data', onData);
+          process.stdout.write('\n');
+          resolve(input);
+          return;
+        }
+        if (ch === '\u0003') fail('\nCancelled.');
+        if (ch === '\u007f') input = input.slice(0, -1);
+        else input += ch;
+      }
+    };
+    stdin.on('data', onData);
+  });
+}
+
+async function askNewPassword() {
+  const password = await readPassword('Password: ');
+  if (password.length < MIN_PASSWORD_LENGTH) fail('Password must be at least ' + MIN_PASSWORD_LENGTH + ' characters.');
+  if (process.stdin.isTTY && (await readPassword('Again: ')) !== password) fail('Passwords do not match.');
+  return password;
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) fail('Role must be one of: ' + ROLES.join(', '));
+  return role;
+}
+
+async function main() {
+  const [command, name, arg] = process.argv.slice(2);
+  let users;
+  try {
+    users = readUsers(USERS_FILE);
+  } catch (e) {
+    fail('Could not read ' + USERS_FILE + ': ' + e.message);
+  }
+  const user = users.find((u) => u.username === name);
+
+  if (command === 'list') {
+    if (!users.length) console.log('No users in ' + USERS_FILE);
+    users.forEach((u) => console.log(u.username.padEnd(20) + u.role));
+    return;
+  }
+  if (!name) fail('Usage: node scripts/writer-users.js list | add <name> [role] | passwd <name> | role <name> <role> | remove <name>');
+  if (command === 'add') {
+    if (!validUsername(name)) fail('Usernames may use letters, digits, ".", "_" and "-" (up to 32).');
+    if (user) fail('User "' + name + '" already exists.');
+    const role = checkRole(arg || 'author');
+    users.push({ username: name, role, password: hashPassword(await askNewPassword()), created: new Date().toISOString() });
+    writeUsers(USERS_FILE, users);
+    console.log('Added ' + name + ' (' + role + ') to ' + USERS_FILE);
+    return;
+  }
+  if (!user) fail('No user "' + name + '".');
+  if (command === 'passwd') {
+    user.password = hashPassword(await askNewPassword());
+    writeUsers(USERS_FILE, users);
+    console.log('Password changed for ' + name);
+  } else if (command === 'role') {
+    user.role = checkRole(arg);
+    writeUsers(USERS_FILE, users);
+    console.log(name + ' is now ' + user.role);
+  } else if (command === 'remove') {
+    writeUsers(USERS_FILE, users.filter((u) => u !== user));
+    console.log('Removed ' + name);
+  } else {
+    fail('Unknown command "' + command + '"');
+  }
+}
+
+main();
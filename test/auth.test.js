@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hashPassword, verifyPassword, tokensMatch, isLoopback, can, parseCookies } = require('../scripts/lib/auth');
+
+test('only loopback addresses count as this machine', () => {
+  ['127.0.0.1', '127.1.2.3', '::1', '::ffff:127.0.0.1', '::FFFF:127.0.0.1'].forEach((ip) => assert.equal(isLoopback(ip), true, ip));
+  ['192.168.1.5', '10.0.0.1', '::ffff:192.168.1.5', 'fe80::1', '127.0.0.1.example.com', '0.0.0.0', '', undefined].forEach((ip) =>
+    assert.equal(isLoopback(ip), false, String(ip))
+  );
+});
+
+test('passwords verify against their hash only', () => {
+  const stored = hashPassword('password123');
+  assert.match(stored, /^scrypt\$/);
+  assert.equal(verifyPassword('password123', stored), true);
+  assert.equal(verifyPassword('password124', stored), false);
+  assert.equal(verifyPassword('password123', 'garbage'), false);
+});
+
+test('a stored hash that is not 64 bytes of hex matches no password', () => {
+  const [, salt, hash] = hashPassword('password123').split('$');
+  ['zz', 'xyz', '', '0', hash.slice(0, 64), hash + '00', hash.slice(0, -1) + 'g'].forEach((bad) => {
+    assert.equal(verifyPassword('password123', 'scrypt$' + salt + '$' + bad), false, bad);
+    assert.equal(verifyPassword('anything', 'scrypt$' + salt + '$' + bad), false, bad);
+  });
+  assert.equal(verifyPassword('password123', 'scrypt$' + salt + '$' + hash.toUpperCase()), true);
+});
+
+test('tokens must be present and equal', () => {
+  assert.equal(tokensMatch('abc', 'abc'), true);
+  assert.equal(tokensMatch('abc', 'abd'), false);
+  assert.equal(tokensMatch('', ''), false);
+  assert.equal(tokensMatch(undefined, 'abc'), false);
+});
+
+test('authors write, editors also publish', () => {
+  assert.equal(can('author', 'write'), true);
+  assert.equal(can('author', 'publish'), false);
+  assert.equal(can('editor', 'publish'), true);
+  assert.equal(can('guest', 'write'), false);
+});
+
+test('cookies are parsed from the header', () => {
+  assert.deepEqual(parseCookies('a=1; writer_session=xyz'), { a: '1', writer_session: 'xyz' });
+  assert.deepEqual(parseCookies(undefined), {});
+});
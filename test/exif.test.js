@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jpeg = require('jpeg-js');
+const { readExif, stripMetadata, orientRgba } = require('../scripts/lib/exif');
+const { processImage, processImageInWorker } = require('../scripts/lib/media');
+
+/** An EXIF APP1 segment (big-endian) with an orientation and, with gps, a GPS IFD holding a latitude ref. */
+function exifSegment(orientation, gps) {
+  const entries = [[0x0112, 3, orientation]].concat(gps ? [[0x8825, 4, 8 + 2 + 2 * 12 + 4]] : []);
+  const tiff = Buffer.alloc(8 + 2 + entries.length * 12 + 4 + (gps ? 2 + 12 + 4 : 0));
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(entries.length, 8);
+  entries.forEach(([tag, type, value], n) => {
+    const at = 10 + n * 12;
+    tiff.writeUInt16BE(tag, at);
+    tiff.writeUInt16BE(type, at + 2);
+    tiff.writeUInt32BE(1, at + 4);
+    if (type === 3) tiff.writeUInt16BE(value, at + 8);
+    else tiff.writeUInt32BE(value, at + 8);
+  });
+  if (gps) {
+    const at = 10 + entries.length * 12 + 4;
+    tiff.writeUInt16BE(1, at);
+    tiff.writeUInt16BE(0x0001, at + 2); // GPSLatitudeRef
+    tiff.writeUInt16BE(2, at + 4);
+    tiff.writeUInt32BE(2, at + 6);
+    tiff.write('N\0', at + 10, 'latin1');
+  }
+  const header = Buffer.alloc(10);
+  header.writeUInt16BE(0xffe1, 0);
+  header.writeUInt16BE(8 + tiff.length, 2);
+  header.write('Exif\0\0', 4, 'latin1');
+  return Buffer.concat([header, tiff]);
+}
+
+/** A width × height JPEG (jpeg-js writes JFIF first) with the EXIF segment after it. */
+function photo(width, height, orientation, gps) {
+  const encoded = jpeg.encode({ data: Buffer.alloc(width * height * 4, 200), width, height }, 80).data;
+  const jfifEnd = 4 + encoded.readUInt16BE(4);
+  return Buffer.concat([encoded.subarray(0, jfifEnd), exifSegment(orientation, gps), encoded.subarray(jfifEnd)]);
+}
+
+/** The same JPEG with the frame header claiming width × height (too large to decode, still sized by the header). */
+function withFrameSize(buf, width, height) {
+  const out = Buffer.from(buf);
+  const sof = out.indexOf(Buffer.from([0xff, 0xc0]));
+  out.writeUInt16BE(height, sof + 5);
+  out.writeUInt16BE(width, sof + 7);
+  return out;
+}
+
+const options = { maxSize: 2048, quality: 82, stripMetadata: true };
+
+test('orientations 2–8 turn the pixels upright', () => {
+  // 3 × 2 image, a letter per pixel in the red byte: a b c / d e f
+  const source = Buffer.alloc(6 * 4);
+  'abcdef'.split('').forEach((ch, i) => { source[i * 4] = ch.charCodeAt(0); });
+  const expected = {
+    2: [3, 2, 'cbafed'],
+    3: [3, 2, 'fedcba'],
+    4: [3, 2, 'defabc'],
+    5: [2, 3, 'adbecf'],
+    6: [2, 3, 'daebfc'],
+    7: [2, 3, 'fcebda'],
+    8: [2, 3, 'cfbead']
+  };
+  for (const [orientation, [width, height, pixels]] of Object.entries(expected)) {
+    const out = orientRgba(source, 3, 2, Number(orientation));
+    assert.equal(out.width, width, 'width for ' + orientation);
+    assert.equal(out.height, height, 'height for ' + orientation);
+    const got = Array.from({ length: 6 }, (_, i) => String.fromCharCode(out.data[i * 4])).join('');
+    assert.equal(got, pixels, 'pixels for ' + orientation);
+  }
+  assert.equal(orientRgba(source, 3, 2, 1).data, source);
+});
+
+test('EXIF is read: orientation and GPS', () => {
+  const exif = readExif(photo(8, 4, 6, true));
+  assert.equal(exif.orientation, 6);
+  assert.equal(exif.hasGps, true);
+  assert.equal(readExif(jpeg.encode({ data: Buffer.alloc(16 * 4), width: 4, height: 4 }).data), null);
+});
+
+test('stripping removes GPS; an orientation passed in is written back alone', () => {
+  const data = photo(8, 4, 6, true);
+  assert.equal(readExif(stripMetadata(data, 'jpeg')), null);
+  const kept = readExif(stripMetadata(data, 'jpeg', 6));
+  assert.equal(kept.orientation, 6);
+  assert.equal(kept.hasGps, false);
+  assert.equal(kept.segment.length, 36);
+  assert.equal(readExif(stripMetadata(data, 'jpeg', 1)), null);
+});
+
+test('rotated photo is re-encoded upright without metadata', () => {
+  const result = processImage(photo(8, 4, 6, true), options);
+  assert.equal(result.width, 4);
+  assert.equal(result.height, 8);
+  assert.equal(readExif(result.data), null);
+  assert.deepEqual(result.changes, ['rotated upright', 'metadata removed (including GPS)']);
+});
+
+test('without stripMetadata the EXIF is kept with the orientation reset', () => {
+  const exif = readExif(processImage(photo(8, 4, 6, true), { ...options, stripMetadata: false }).data);
+  assert.equal(exif.orientation, 1);
+  assert.equal(exif.hasGps, true);
+});
+
+test('a photo that fails to decode keeps its orientation but loses GPS', () => {
+  // within maxSize, so it is stored as it is
+  const result = processImage(withFrameSize(photo(8, 4, 6, true), 9000, 9000), { ...options, maxSize: 10000 });
+  assert.equal(result.error, undefined);
+  assert.equal(result.width, 9000);
+  assert.match(result.changes[0], /^kept as is/);
+  assert.equal(result.changes[1], 'metadata removed (including GPS), orientation kept');
+  const exif = readExif(result.data);
+  assert.equal(exif.orientation, 6);
+  assert.equal(exif.hasGps, false);
+});
+
+test('processImageInWorker gives the same result off the main thread', (t, done) => {
+  processImageInWorker(photo(8, 4, 8, true), options, (err, result) => {
+    assert.equal(err, null);
+    assert.ok(Buffer.isBuffer(result.data));
+    assert.equal(result.width, 4);
+    assert.equal(readExif(result.data), null);
+    done();
+  });
+});
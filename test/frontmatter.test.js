@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseYaml, parseFrontmatter, stringifyFrontmatter } = require('../scripts/lib/frontmatter');
+
+/** stringify → parse gives back the same meta (and body). */
+function roundTrip(meta, body) {
+  const parsed = parseFrontmatter(stringifyFrontmatter(meta, body || 'Body'));
+  assert.equal(parsed.body.trim(), body || 'Body');
+  return parsed.meta;
+}
+
+test('underscored keys are kept as written', () => {
+  const { meta } = parseFrontmatter('---\ntitle: Hi\npublish_at: 2025-03-01T09:00:00+09:00\nog_image: images/a.jpg\n---\n\nBody');
+  assert.equal(meta.og_image, 'images/a.jpg');
+  assert.equal(meta.publish_at.toISOString(), '2025-03-01T00:00:00.000Z');
+  assert.equal(meta.publishAt, undefined);
+});
+
+test('lists: block, flow and comma-separated categories/tags', () => {
+  assert.deepEqual(parseYaml('categories:\n  - 旅行\n  - ブラジル\ntags: [トロント, "カフェ, 朝"]'), {
+    categories: ['旅行', 'ブラジル'],
+    tags: ['トロント', 'カフェ, 朝']
+  });
+  assert.deepEqual(parseYaml('list:\n- a\n- b'), { list: ['a', 'b'] });
+  const { meta } = parseFrontmatter('---\ncategories: 旅行, ブラジル\n---\n');
+  assert.deepEqual(meta.categories, ['旅行', 'ブラジル']);
+  assert.deepEqual(meta.tags, []);
+});
+
+test('nested maps and lists of maps', () => {
+  assert.deepEqual(parseYaml('seo:\n  title: T\n  robots:\n    index: false\nlinks:\n  - url: a\n    label: A\n  - {url: b, label: B}'), {
+    seo: { title: 'T', robots: { index: false } },
+    links: [{ url: 'a', label: 'A' }, { url: 'b', label: 'B' }]
+  });
+});
+
+test('multi-line quoted values fold like YAML', () => {
+  assert.deepEqual(parseYaml('a: "one\n  two\n\n  three"\nb: \'it\'\'s\n  here\'\nc: "x\\\n  y"'), {
+    a: 'one two\nthree',
+    b: "it's here",
+    c: 'xy'
+  });
+  assert.deepEqual(parseYaml('a: |\n  line 1\n  line 2\nb: >-\n  folded\n  text'), { a: 'line 1\nline 2\n', b: 'folded text' });
+});
+
+test('booleans, null and numbers are typed; quoted ones stay strings', () => {
+  assert.deepEqual(parseYaml('a: true\nb: False\nc: ~\nd: 12\ne: 1.5\nf: "true"\ng: \'12\''), {
+    a: true,
+    b: false,
+    c: null,
+    d: 12,
+    e: 1.5,
+    f: 'true',
+    g: '12'
+  });
+});
+
+test('dates and timestamps become Dates; impossible dates stay strings', () => {
+  const meta = parseYaml('date: 2025-02-08\nat: 2025-02-08 09:30\nbad: 2025-02-30');
+  assert.ok(meta.date instanceof Date);
+  assert.equal(meta.date.toISOString(), '2025-02-08T00:00:00.000Z');
+  assert.equal(meta.at.toISOString(), '2025-02-08T09:30:00.000Z');
+  assert.equal(meta.bad, '2025-02-30');
+});
+
+test('__proto__ keys are rejected', () => {
+  assert.throws(() => parseYaml('title: x\n__proto__:\n  polluted: true'), { line: 2, message: /__proto__/ });
+  assert.throws(() => parseYaml('"__proto__": 1'), /__proto__/);
+  assert.throws(() => parseYaml('seo: {__proto__: {polluted: true}}'), /__proto__/);
+  assert.equal({}.polluted, undefined);
+});
+
+test('errors carry the file line number', () => {
+  assert.throws(() => parseFrontmatter('---\ntitle: a\ntitle: b\n---\n'), { line: 3, message: /duplicate key/ });
+  assert.throws(() => parseFrontmatter('---\ntitle: "open\n---\n'), /unterminated/);
+});
+
+test('stringify → parse round-trips every kind of value', () => {
+  const meta = {
+    title: 'ブラジル旅行: 1日目 #1',
+    date: new Date('2025-02-08T00:00:00Z'),
+    publish_at: new Date('2025-03-01T00:30:00Z'),
+    draft: false,
+    categories: ['旅行', 'ブラジル'],
+    tags: ['- dash', 'true', '12', 'a: b'],
+    excerpt: 'line one\nline "two"\n\ttabbed',
+    og_image: null,
+    weight: 3,
+    seo: { title: 'T', robots: { index: true }, keywords: [] },
+    links: [{ url: 'https://example.com/#x', label: "it's" }]
+  };
+  assert.deepEqual(roundTrip(meta), meta);
+  assert.deepEqual(roundTrip({ title: 'x', categories: [], tags: [] }, 'Line 1\n\nLine 2'), { title: 'x', categories: [], tags: [] });
+});
+
+test('parse → stringify keeps a file byte for byte, without adding empty categories/tags', () => {
+  const files = [
+    '---\ntitle: "No lists"\ndate: 2025-02-08\n---\n\nBody\n',
+    '---\ntitle: "Empty tags"\ndate: 2025-02-08\ncategories:\n  - 旅行\ntags: []\n---\n\nBody\n'
+  ];
+  files.forEach((raw) => {
+    const { meta, body } = parseFrontmatter(raw);
+    assert.equal(stringifyFrontmatter(meta, body), raw);
+    assert.equal(stringifyFrontmatter({ ...meta, draft: true }, body), raw.replace('\n---\n\n', '\ndraft: true\n---\n\n'));
+  });
+  const { meta } = parseFrontmatter(files[0]);
+  assert.deepEqual(meta.categories, []);
+  assert.deepEqual(meta.tags, []);
+  meta.tags = ['added'];
+  assert.match(stringifyFrontmatter(meta, ''), /\ntags:\n  - added\n---/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jpeg = require('jpeg-js');
+const { createImagePipeline } = require('../scripts/lib/images');
+
+/** A root with uploads/a.jpg and uploads/b.jpg, each wide enough for all four variant widths. */
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, 'uploads'));
+  const width = 1400;
+  const height = 20;
+  const data = Buffer.alloc(width * height * 4, 128);
+  ['a', 'b'].forEach((name) => fs.writeFileSync(path.join(root, 'uploads', name + '.jpg'), jpeg.encode({ data, width, height }, 80).data));
+  return root;
+}
+
+const body = '![](../uploads/a.jpg)\n\n![](../uploads/b.jpg)';
+const manifest = (root) => JSON.parse(fs.readFileSync(path.join(root, 'resized', 'manifest.json'), 'utf8'));
+
+test('variants past maxEncodes are deferred and made by the next run', (t) => {
+  const root = setup(t);
+  const first = createImagePipeline(root, { maxEncodes: 4 });
+  const inputs = first.prepare(body, 'posts');
+  assert.deepEqual(inputs.map((i) => i[2]), [[320, 640, 960, 1280], []]);
+  assert.match(first.rewrite('<img src="../uploads/a.jpg">', 'posts'), /srcset=/);
+  assert.doesNotMatch(first.rewrite('<img src="../uploads/b.jpg">', 'posts'), /srcset=/);
+  const stats = first.finish();
+  assert.equal(stats.encoded, 4);
+  assert.equal(stats.deferred, 1);
+  assert.equal(manifest(root).images['uploads/b.jpg'].stale, true);
+
+  const second = createImagePipeline(root);
+  assert.deepEqual(second.prepare(body, 'posts').map((i) => i[2]), [[320, 640, 960, 1280], [320, 640, 960, 1280]]);
+  const again = second.finish();
+  assert.equal(again.encoded, 4);
+  assert.equal(again.deferred, 0);
+  assert.equal(manifest(root).images['uploads/b.jpg'].stale, undefined);
+});
+
+test('progress is saved after each image, so an interrupted run is not redone', (t) => {
+  const root = setup(t);
+  // no finish(): as if the build was killed after encoding both images
+  createImagePipeline(root).prepare(body, 'posts');
+  assert.deepEqual(Object.keys(manifest(root).images).sort(), ['uploads/a.jpg', 'uploads/b.jpg']);
+  const next = createImagePipeline(root);
+  next.prepare(body, 'posts');
+  assert.equal(next.finish().encoded, 0);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'resized', 'uploads')).filter((f) => f.endsWith('.tmp')), []);
+});
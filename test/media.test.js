@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jpeg = require('jpeg-js');
+const { mediaInfoPath, readMediaInfo, writeMediaInfo, listMedia, processImage } = require('../scripts/lib/media');
+const { decodePng, encodePng } = require('../scripts/lib/png');
+
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return root;
+}
+
+test('capture-date sidecars are kept outside the published uploads/', (t) => {
+  const root = setup(t);
+  fs.mkdirSync(path.join(root, 'uploads', '2025', '02'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'uploads', '2025', '02', 'a.jpg'), 'x');
+  writeMediaInfo(root, 'uploads/2025/02/a.jpg', { captured: '2025-02-08T09:30:00' });
+  assert.equal(path.relative(root, mediaInfoPath(root, 'uploads/2025/02/a.jpg')).split(path.sep).join('/'), 'media-info/uploads/2025/02/a.jpg.json');
+  assert.deepEqual(readMediaInfo(root, 'uploads/2025/02/a.jpg'), { captured: '2025-02-08T09:30:00' });
+  assert.deepEqual(fs.readdirSync(path.join(root, 'uploads', '2025', '02')), ['a.jpg']);
+  assert.deepEqual(listMedia(root).map((m) => m.path), ['uploads/2025/02/a.jpg']);
+  assert.deepEqual(readMediaInfo(root, 'uploads/2025/02/b.jpg'), {});
+});
+
+const options = { maxSize: 320, quality: 82, stripMetadata: true };
+
+test('a PNG larger than maxSize is scaled down and stays a PNG', () => {
+  const result = processImage(encodePng({ data: Buffer.alloc(800 * 100 * 4, 255), width: 800, height: 100 }), options);
+  assert.equal(result.error, undefined);
+  assert.deepEqual([result.width, result.height], [320, 40]);
+  const decoded = decodePng(result.data);
+  assert.deepEqual([decoded.width, decoded.height], [320, 40]);
+  assert.deepEqual(result.changes, ['resized from 800×100 to 320×40']);
+});
+
+test('images that stay larger than maxSize are refused with the reason', () => {
+  const gif = Buffer.alloc(16);
+  gif.write('GIF89a', 0, 'latin1');
+  gif.writeUInt16LE(400, 6);
+  gif.writeUInt16LE(300, 8);
+  assert.match(processImage(gif, options).error, /^Image is 400×300, larger than 320px, and GIF can't be scaled down here/);
+  assert.equal(processImage(gif, { ...options, maxSize: 400 }).error, undefined);
+
+  const webp = Buffer.alloc(30);
+  webp.write('RIFF', 0, 'latin1');
+  webp.writeUInt32LE(22, 4);
+  webp.write('WEBPVP8X', 8, 'latin1');
+  webp.writeUInt32LE(10, 16);
+  webp.writeUIntLE(999, 24, 3);
+  webp.writeUIntLE(99, 27, 3);
+  assert.match(processImage(webp, options).error, /1000×100.*WEBP can't be scaled down/);
+
+  // a JPEG the decoder refuses (frame header claims 9000 × 9000)
+  const small = jpeg.encode({ data: Buffer.alloc(8 * 8 * 4), width: 8, height: 8 }).data;
+  const sof = small.indexOf(Buffer.from([0xff, 0xc0]));
+  small.writeUInt16BE(9000, sof + 5);
+  small.writeUInt16BE(9000, sof + 7);
+  assert.match(processImage(small, options).error, /9000×9000.*couldn't be scaled down \(/);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { distDir, createOutput } = require('../scripts/lib/output');
+
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'output-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return root;
+}
+
+test('static assets are copied into dist/ without the resized/ manifest', (t) => {
+  const root = setup(t);
+  fs.mkdirSync(path.join(root, 'resized', 'uploads'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'resized', 'uploads', 'a-320.jpg'), 'x');
+  fs.writeFileSync(path.join(root, 'resized', 'manifest.json'), '{}');
+  fs.writeFileSync(path.join(root, 'styles.css'), 'body {}');
+
+  const first = createOutput(root, { fresh: true });
+  first.copyStatic();
+  first.commit();
+  assert.deepEqual(fs.readdirSync(path.join(distDir(root), 'resized')), ['uploads']);
+  assert.equal(fs.readFileSync(path.join(distDir(root), 'styles.css'), 'utf8'), 'body {}');
+
+  // a dist/ published before the manifest was left out loses it on the next build
+  fs.writeFileSync(path.join(distDir(root), 'resized', 'manifest.json'), '{}');
+  const next = createOutput(root);
+  next.copyStatic();
+  next.commit();
+  assert.equal(fs.existsSync(path.join(distDir(root), 'resized', 'manifest.json')), false);
+  assert.equal(fs.existsSync(path.join(distDir(root), 'resized', 'uploads', 'a-320.jpg')), true);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { decodePng, encodePng } = require('../scripts/lib/png');
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'latin1');
+  data.copy(out, 8);
+  out.writeUInt32BE(zlib.crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+/** A PNG from raw scanlines (filter 0), with extra chunks before IDAT. */
+function png(width, height, depth, colorType, rows, extra, interlace) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = depth;
+  ihdr[9] = colorType;
+  ihdr[12] = interlace ? 1 : 0;
+  const raw = Buffer.concat(rows.map((row) => Buffer.concat([Buffer.from([0]), Buffer.from(row)])));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    ...(extra || []).map(([type, data]) => chunk(type, Buffer.from(data))),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+const pixels = (image) => Array.from({ length: image.width * image.height }, (_, i) => Array.from(image.data.subarray(i * 4, i * 4 + 4)));
+
+test('RGBA survives encode → decode; opaque images are written as RGB', () => {
+  const data = Buffer.alloc(5 * 3 * 4);
+  for (let i = 0; i < data.length; i++) data[i] = (i * 37) % 256;
+  const encoded = encodePng({ data, width: 5, height: 3 });
+  assert.equal(encoded[25], 6);
+  assert.deepEqual(decodePng(encoded).data, data);
+  for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  const opaque = encodePng({ data, width: 5, height: 3 });
+  assert.equal(opaque[25], 2);
+  assert.deepEqual(decodePng(opaque).data, data);
+});
+
+test('2-bit palette with transparency', () => {
+  // indexes 0 1 2 3 → bits 00 01 10 11
+  const image = decodePng(png(4, 1, 2, 3, [[0b00011011]], [['PLTE', [255, 0, 0, 0, 255, 0, 0, 0, 255, 9, 9, 9]], ['tRNS', [0, 128]]]));
+  assert.deepEqual(pixels(image), [[255, 0, 0, 0], [0, 255, 0, 128], [0, 0, 255, 255], [9, 9, 9, 255]]);
+});
+
+test('grey: 1-bit is scaled to 0–255, 16-bit keeps the high byte, tRNS makes the key colour transparent', () => {
+  assert.deepEqual(pixels(decodePng(png(3, 1, 1, 0, [[0b10100000]]))), [[255, 255, 255, 255], [0, 0, 0, 255], [255, 255, 255, 255]]);
+  assert.deepEqual(pixels(decodePng(png(2, 1, 16, 0, [[0x12, 0x34, 0xab, 0xcd]]))), [[0x12, 0x12, 0x12, 255], [0xab, 0xab, 0xab, 255]]);
+  assert.deepEqual(pixels(decodePng(png(2, 1, 8, 0, [[7, 8]], [['tRNS', [0, 7]]]))), [[7, 7, 7, 0], [8, 8, 8, 255]]);
+});
+
+test('colour chunks are carried over, text is not', () => {
+  const source = png(1, 1, 8, 2, [[1, 2, 3]], [['sRGB', [0]], ['tEXt', Buffer.from('Comment\0secret')]]);
+  const decoded = decodePng(source);
+  assert.deepEqual(decoded.colorChunks.map((c) => c.type), ['sRGB']);
+  const encoded = encodePng(decoded, decoded.colorChunks);
+  assert.ok(encoded.includes('sRGB'));
+  assert.ok(!encoded.includes('secret'));
+});
+
+test('interlaced and broken files are refused', () => {
+  assert.throws(() => decodePng(png(1, 1, 8, 2, [[1, 2, 3]], [], true)), /interlaced/);
+  assert.throws(() => decodePng(Buffer.from('GIF89a')), /not a PNG/);
+});
@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { staticPageHtml } = require('../scripts/lib/render');
+
+test('a hand-written page gets canonical and og:url for the site URL', () => {
+  const html = '<head>\n  <link rel="canonical" href="https://futarigurashi.com/profile.html">\n  <meta property="og:url" content="https://futarigurashi.com/profile.html">\n</head>';
+  const out = staticPageHtml(html, 'profile.html', 'https://example.github.io/blog');
+  assert.match(out, /<link rel="canonical" href="https:\/\/example\.github\.io\/blog\/profile\.html">/);
+  assert.match(out, /<meta property="og:url" content="https:\/\/example\.github\.io\/blog\/profile\.html">/);
+  assert.doesNotMatch(out, /futarigurashi\.com/);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scheduledDir, releaseDue, readPending, createScheduler } = require('../scripts/lib/scheduler');
+
+/** A scheduler over fake build/push steps; `state` controls what they return and records the calls. */
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const state = { due: [], buildOk: true, pushOk: true, builds: 0, pushes: [] };
+  const options = {
+    listDue: () => state.due,
+    build: () => {
+      state.builds++;
+      return { ok: state.buildOk, stderr: 'build error' };
+    },
+    push: (message) => {
+      state.pushes.push(message);
+      return state.pushOk ? { ok: true } : { ok: false, error: 'push rejected' };
+    },
+    pendingFile: path.join(dir, '.publish-pending.json'),
+    log: () => {},
+    logError: () => {}
+  };
+  return { state, options, scheduler: createScheduler(options) };
+}
+
+test('nothing due: no build, no push', (t) => {
+  const { state, scheduler } = setup(t);
+  assert.deepEqual(scheduler.tick(), { due: [], built: false, pushed: false, pending: null });
+  assert.equal(state.builds, 0);
+  assert.equal(state.pushes.length, 0);
+});
+
+test('due post is built and pushed', (t) => {
+  const { state, scheduler } = setup(t);
+  state.due = [{ slug: 'a', title: 'A' }];
+  const result = scheduler.tick();
+  assert.equal(result.built, true);
+  assert.equal(result.pushed, true);
+  assert.deepEqual(state.pushes, ['Publish scheduled: A']);
+  assert.equal(scheduler.pending(), null);
+});
+
+test('failed build is retried on the next tick and nothing is pushed', (t) => {
+  const { state, scheduler } = setup(t);
+  state.due = [{ slug: 'a', title: 'A' }];
+  state.buildOk = false;
+  assert.equal(scheduler.tick().built, false);
+  assert.equal(state.pushes.length, 0);
+  assert.equal(scheduler.pending(), null);
+  state.buildOk = true;
+  assert.equal(scheduler.tick().pushed, true);
+  assert.equal(state.builds, 2);
+});
+
+test('failed push is kept and retried after the post is no longer due', (t) => {
+  const { state, options, scheduler } = setup(t);
+  state.due = [{ slug: 'a', title: 'A' }];
+  state.pushOk = false;
+  const first = scheduler.tick();
+  assert.equal(first.built, true);
+  assert.equal(first.pushed, false);
+  assert.deepEqual(first.pending.slugs, ['a']);
+  assert.equal(first.pending.error, 'push rejected');
+  assert.equal(first.pending.attempts, 1);
+
+  // the build now includes the post, so it isn't due any more; the push is still retried without a rebuild
+  state.due = [];
+  const second = scheduler.tick();
+  assert.equal(second.built, false);
+  assert.equal(second.pending.attempts, 2);
+  assert.equal(state.builds, 1);
+  assert.deepEqual(state.pushes, ['Publish scheduled: A', 'Publish scheduled: A']);
+
+  // survives a restart
+  const restarted = createScheduler(options);
+  assert.deepEqual(readPending(options.pendingFile).slugs, ['a']);
+  state.pushOk = true;
+  const third = restarted.tick();
+  assert.equal(third.pushed, true);
+  assert.equal(third.pending, null);
+  assert.equal(fs.existsSync(options.pendingFile), false);
+  assert.equal(state.pushes.length, 3);
+});
+
+test('posts that come due while a push is pending join it', (t) => {
+  const { state, scheduler } = setup(t);
+  state.due = [{ slug: 'a', title: 'A' }];
+  state.pushOk = false;
+  scheduler.tick();
+  state.due = [{ slug: 'b', title: 'B' }];
+  const result = scheduler.tick();
+  assert.deepEqual(result.pending.slugs, ['a', 'b']);
+  assert.equal(state.pushes[1], 'Publish scheduled: A, B');
+  state.due = [];
+  state.pushOk = true;
+  assert.equal(scheduler.tick().pushed, true);
+});
+
+test('releaseDue moves only posts whose time has come from scheduled/ into content/', (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(scheduledDir(root));
+  const write = (slug, at) => fs.writeFileSync(path.join(scheduledDir(root), slug + '.md'), '---\ntitle: ' + slug + '\ndate: 2025-02-08\npublish_at: ' + at + '\n---\n\nBody', 'utf8');
+  write('due', '2025-02-08T09:00:00Z');
+  write('later', '2025-02-08T10:00:00Z');
+  fs.writeFileSync(path.join(scheduledDir(root), 'broken.md'), '---\ntitle: [\n---\n', 'utf8');
+
+  assert.deepEqual(releaseDue(root, new Date('2025-02-08T09:30:00Z')), ['due']);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'content')), ['due.md']);
+  assert.deepEqual(fs.readdirSync(scheduledDir(root)).sort(), ['broken.md', 'later.md']);
+  assert.deepEqual(releaseDue(root, new Date('2025-02-08T09:30:00Z')), []);
+  assert.deepEqual(releaseDue(root, new Date('2025-02-08T10:00:00Z')), ['later']);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readSiteConfig } = require('../scripts/lib/site-config');
+
+function configFile(t, extra) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'site.config.json');
+  fs.writeFileSync(file, JSON.stringify({ name: 'Blog', description: 'A blog', url: 'https://example.org/', ...extra }), 'utf8');
+  return file;
+}
+
+test('tocMinLength comes from the file, defaults to 4000 and TOC_MIN_LENGTH overrides it', (t) => {
+  const saved = process.env.TOC_MIN_LENGTH;
+  t.after(() => {
+    if (saved === undefined) delete process.env.TOC_MIN_LENGTH;
+    else process.env.TOC_MIN_LENGTH = saved;
+  });
+  delete process.env.TOC_MIN_LENGTH;
+  assert.equal(readSiteConfig(configFile(t)).config.tocMinLength, 4000);
+  assert.equal(readSiteConfig(configFile(t, { tocMinLength: 6000 })).config.tocMinLength, 6000);
+  assert.match(readSiteConfig(configFile(t, { tocMinLength: 0 })).errors[0].message, /^tocMinLength: must be a whole number/);
+  process.env.TOC_MIN_LENGTH = '2500';
+  assert.equal(readSiteConfig(configFile(t, { tocMinLength: 6000 })).config.tocMinLength, 2500);
+});
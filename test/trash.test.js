@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { trashDir, readTrashEntry, moveToTrash, listTrash, restoreFromTrash, purgeTrash, emptyTrash } = require('../scripts/lib/trash');
+const { parseFrontmatter } = require('../scripts/lib/frontmatter');
+const { isScheduled } = require('../scripts/lib/post-schema');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** An empty repo root with content/ and drafts/. */
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, 'content'));
+  fs.mkdirSync(path.join(root, 'drafts'));
+  return root;
+}
+
+function writePost(root, from, slug, text) {
+  fs.writeFileSync(path.join(root, from, slug + '.md'), text || '---\ntitle: ' + slug + '\n---\n\nBody', 'utf8');
+}
+
+/** Make a trash entry look as if it was deleted `days` ago. */
+function age(root, slug, days) {
+  const file = path.join(trashDir(root), slug + '.json');
+  const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  entry.deletedAt = new Date(Date.now() - days * DAY_MS).toISOString();
+  fs.writeFileSync(file, JSON.stringify(entry), 'utf8');
+}
+
+test('deleted post goes to the trash with its revisions and comes back', (t) => {
+  const root = setup(t);
+  writePost(root, 'drafts', 'a');
+  fs.mkdirSync(path.join(root, 'revisions', 'a'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'revisions', 'a', 'index.json'), '[]', 'utf8');
+  const entry = moveToTrash(root, 'a', 'drafts', 'A', 'ed');
+  assert.deepEqual({ ...entry, deletedAt: undefined }, { slug: 'a', title: 'A', from: 'drafts', deletedAt: undefined, deletedBy: 'ed' });
+  assert.equal(fs.existsSync(path.join(root, 'drafts', 'a.md')), false);
+  assert.equal(fs.existsSync(path.join(root, 'revisions', 'a')), false);
+  assert.deepEqual(listTrash(root, 30).map((e) => e.slug), ['a']);
+
+  assert.equal(restoreFromTrash(root, 'a').from, 'drafts');
+  assert.equal(fs.existsSync(path.join(root, 'drafts', 'a.md')), true);
+  assert.equal(fs.existsSync(path.join(root, 'revisions', 'a', 'index.json')), true);
+  assert.deepEqual(listTrash(root, 30), []);
+  assert.equal(restoreFromTrash(root, 'a'), null);
+});
+
+test('restoring a slug that is taken again is refused and moves nothing', (t) => {
+  const root = setup(t);
+  writePost(root, 'content', 'a');
+  moveToTrash(root, 'a', 'content', 'A');
+  writePost(root, 'drafts', 'a', '---\ntitle: New A\n---\n\nNew');
+  assert.throws(() => restoreFromTrash(root, 'a'), { code: 'EEXIST' });
+  assert.equal(fs.existsSync(path.join(root, 'content', 'a.md')), false);
+  assert.match(fs.readFileSync(path.join(root, 'drafts', 'a.md'), 'utf8'), /New A/);
+  assert.ok(readTrashEntry(root, 'a'));
+
+  fs.rmSync(path.join(root, 'drafts', 'a.md'));
+  assert.equal(restoreFromTrash(root, 'a').from, 'content');
+  assert.equal(fs.existsSync(path.join(root, 'content', 'a.md')), true);
+});
+
+test('deleting a slug already in the trash keeps the older copy as a revision', (t) => {
+  const root = setup(t);
+  writePost(root, 'drafts', 'a', '---\ntitle: First\n---\n\nOne');
+  moveToTrash(root, 'a', 'drafts', 'First');
+  writePost(root, 'drafts', 'a', '---\ntitle: Second\n---\n\nTwo');
+  moveToTrash(root, 'a', 'drafts', 'Second');
+  assert.equal(readTrashEntry(root, 'a').title, 'Second');
+  const revisions = path.join(trashDir(root), 'revisions', 'a');
+  const index = JSON.parse(fs.readFileSync(path.join(revisions, 'index.json'), 'utf8'));
+  assert.equal(index.length, 1);
+  assert.equal(index[0].label, 'Deleted');
+  assert.match(fs.readFileSync(path.join(revisions, index[0].id + '.md'), 'utf8'), /title: First/);
+});
+
+test('purge removes only entries past the retention period; 0 keeps everything', (t) => {
+  const root = setup(t);
+  ['old', 'recent'].forEach((slug) => {
+    writePost(root, 'drafts', slug);
+    moveToTrash(root, slug, 'drafts');
+  });
+  age(root, 'old', 31);
+  age(root, 'recent', 29);
+  assert.deepEqual(purgeTrash(root, 0), []);
+  assert.equal(listTrash(root, 0)[0].expiresAt, null);
+
+  const listed = listTrash(root, 30);
+  assert.deepEqual(listed.map((e) => e.slug), ['recent', 'old']);
+  assert.ok(new Date(listed[1].expiresAt).getTime() < Date.now());
+  assert.deepEqual(purgeTrash(root, 30), ['old']);
+  assert.equal(fs.existsSync(path.join(trashDir(root), 'old.md')), false);
+  assert.equal(fs.existsSync(path.join(trashDir(root), 'old.json')), false);
+  assert.deepEqual(listTrash(root, 30).map((e) => e.slug), ['recent']);
+
+  assert.deepEqual(emptyTrash(root), ['recent']);
+  assert.deepEqual(listTrash(root, 30), []);
+});
+
+test('a deleted scheduled post leaves scheduled/ and is restored still scheduled', (t) => {
+  const root = setup(t);
+  fs.mkdirSync(path.join(root, 'scheduled'));
+  const publishAt = new Date(Date.now() + 7 * DAY_MS).toISOString();
+  writePost(root, 'scheduled', 'later', '---\ntitle: Later\npublish_at: ' + publishAt + '\n---\n\nSoon');
+  const entry = moveToTrash(root, 'later', 'scheduled', 'Later');
+  assert.equal(entry.from, 'scheduled');
+  assert.deepEqual(fs.readdirSync(path.join(root, 'scheduled')), []);
+
+  writePost(root, 'scheduled', 'other');
+  moveToTrash(root, 'other', 'scheduled');
+  writePost(root, 'content', 'other');
+  assert.throws(() => restoreFromTrash(root, 'other'), { code: 'EEXIST' });
+
+  restoreFromTrash(root, 'later');
+  assert.deepEqual(fs.readdirSync(path.join(root, 'content')), ['other.md']);
+  const { meta } = parseFrontmatter(fs.readFileSync(path.join(root, 'scheduled', 'later.md'), 'utf8'));
+  assert.equal(meta.publish_at.toISOString(), publishAt);
+  assert.equal(isScheduled(meta, new Date()), true);
+});
+
+test('slugs cannot leave the trash folder', (t) => {
+  const root = setup(t);
+  writePost(root, 'drafts', 'a');
+  moveToTrash(root, 'a', 'drafts');
+  // ".." and separators are dropped, so these name trash/a.md and trash/contentx.md
+  assert.equal(readTrashEntry(root, '../a').slug, 'a');
+  writePost(root, 'content', 'x');
+  assert.equal(readTrashEntry(root, '../content/x'), null);
+});
@@ -5,40 +5,112 @@
  *
  * Config via environment (defaults = localhost; override for server):
  *   PORT          - port to listen on (default 3765)
- *   BIND          - host to bind: "0.0.0.0" = all interfaces (server), "127.0.0.1" = local only
+ *   BIND          - host to bind: "0.0.0.0" = all interfaces (server), "127.0.0.1" = local only (default
+ *                   0.0.0.0 when USERS_FILE has accounts, else 127.0.0.1)
  *   WRITER_BASE   - base URL of this writer app, e.g. https://writer.example.com
- *   SITE_URL      - public blog URL for "View site" link, e.g. https://thejoseplatero.github.io/futarigurashi
+ *   SITE_URL      - public blog URL for "View site" link; overrides `url` in site.config.json
  *   REPO_ROOT     - path to repo (default: this directory); used for build/git when you add publish
+ *   PAGES_BRANCH  - branch the built site (dist/) is pushed to on publish (default gh-pages)
  *   WRITER_MODE   - "local" | "server" (optional; auto-detected from WRITER_BASE if not set)
+ *   USERS_FILE    - writer accounts (default <REPO_ROOT>/users.json; manage with scripts/writer-users.js)
+ *   CORS_ORIGINS  - extra origins (comma-separated) allowed to call the API from a page served elsewhere
+ *   TRASH_RETENTION_DAYS - days a deleted post stays in the trash before it is removed for good (default 30; 0 keeps it)
+ *   BUILD_IMAGE_LIMIT - resized image variants one writer build may encode (default 40); the rest are made by
+ *                   scripts/build-images.js in the background
+ *
+ * Every /api/* route needs a login (POST /api/login, cookie session, POST /api/logout). Authors can write and
+ * save drafts; editors can also publish, schedule, revert to draft and delete. Without a users file the server
+ * only starts in local mode, and then only connections from this machine (loopback) skip the login; everyone
+ * else gets 401, so they never see the CSRF token. Changes (POST/PUT/PATCH/DELETE) also need the
+ * session's CSRF token in an X-CSRF-Token header and, when the browser sends an Origin, an allowed origin.
+ * Request bodies are capped at MAX_BODY_BYTES. Static files come from this directory, minus STATIC_DENY_*.
+ *
+ * Site name, URL and layout settings come from site.config.json (scripts/lib/site-config.js), checked at startup
+ * and returned by GET /api/config.
+ *
+ * Scheduled posts: saved to scheduled/<slug>.md, which is not in git, so neither the post nor its commit reaches
+ * main before publish_at. Every minute the server moves the ones that have come due into content/, rebuilds and
+ * pushes, and retries the push until it succeeds; see publishDueScheduledPosts.
+ *
+ * Publishing builds the site into dist/, commits and pushes the sources to main, then pushes dist/ to the pages
+ * branch (scripts/lib/deploy.js).
+ *
+ * Trash: DELETE /api/posts/<slug> moves the post and its revisions to trash/ (scripts/lib/trash.js). GET
+ * /api/trash lists it, POST /api/trash/<slug>/restore puts a post back, DELETE /api/trash/<slug> and DELETE
+ * /api/trash (empty trash) remove posts for good; entries older than TRASH_RETENTION_DAYS go automatically.
+ *
+ * Media: POST /api/media (multipart, field "file", up to MAX_UPLOAD_BYTES) stores uploads in uploads/YYYY/MM/;
+ * GET /api/media?q=&page=&per_page=&unused=1 lists them with the posts that use each file; DELETE
+ * /api/media/<path> (editors) removes one, refusing files still in use unless ?force=1. Uploaded images are
+ * turned upright, scaled down and stripped of GPS/EXIF as set in `media` in site.config.json, in a worker
+ * thread so other requests aren't held up; images that can't be brought under maxSize are refused (413) and
+ * nothing from that upload is stored. See scripts/lib/media.js.
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { spawnSync } = require('child_process');
-let marked;
-try {
-  marked = require('marked').marked;
-} catch (e) {
-  marked = null;
-}
+const { spawn, spawnSync } = require('child_process');
+const { SITE, SITE_URL, slugify, formatDateYMD, markdownToHtml, renderPostPage } = require('./scripts/lib/render');
+const { parseScalar, parseFrontmatter, stringifyFrontmatter } = require('./scripts/lib/frontmatter');
+const { validatePost, publishAt, isScheduled } = require('./scripts/lib/post-schema');
+const { buildSiteStats } = require('./scripts/lib/stats');
+const { distDir } = require('./scripts/lib/output');
+const { deployDist } = require('./scripts/lib/deploy');
+const { SESSION_COOKIE, readUsers, authenticate, tokensMatch, randomToken, isLoopback, can, parseCookies, sessionCookie, createSessions } = require('./scripts/lib/auth');
+const { resolveStaticPath, sendFile, readRawBody, readBody } = require('./scripts/lib/http');
+const { trashDir, readTrashEntry, moveToTrash, listTrash, restoreFromTrash, removeFromTrash, purgeTrash, emptyTrash } = require('./scripts/lib/trash');
+const { scheduledDir, releaseDue, readPending, createScheduler } = require('./scripts/lib/scheduler');
+const { parseMultipart, checkUpload, processImageInWorker, storeUpload, mediaInfoPath, readMediaInfo, writeMediaInfo, listMedia, mediaUsage } = require('./scripts/lib/media');
 
 const PORT = parseInt(process.env.PORT || '3765', 10);
-const BIND = process.env.BIND || '0.0.0.0';
 const REPO_ROOT = path.resolve(process.env.REPO_ROOT || __dirname);
 const WRITER_BASE = (process.env.WRITER_BASE || `http://localhost:${PORT}`).replace(/\/$/, '');
-const SITE_URL = (process.env.SITE_URL || 'https://thejoseplatero.github.io/futarigurashi').replace(/\/$/, '');
 const WRITER_MODE = process.env.WRITER_MODE || (WRITER_BASE.includes('localhost') || WRITER_BASE.includes('127.0.0.1') ? 'local' : 'server');
 
 const POSTS_DIR = path.join(REPO_ROOT, 'posts');
 const CONTENT_DIR = path.join(REPO_ROOT, 'content');
 const DRAFTS_DIR = path.join(REPO_ROOT, 'drafts');
+const SCHEDULED_DIR = scheduledDir(REPO_ROOT);
 const REVISIONS_DIR = path.join(REPO_ROOT, 'revisions');
 const DATA_DIR = path.join(REPO_ROOT, 'data');
-const POSTS_JSON = path.join(DATA_DIR, 'posts.json');
+const UPLOADS_DIR = path.join(REPO_ROOT, 'uploads');
+const TRASH_DIR = trashDir(REPO_ROOT);
+const CATEGORIES_JSON = path.join(DATA_DIR, 'categories.json');
+// Built site (scripts/build-from-markdown.js)
+const DIST_DIR = distDir(REPO_ROOT);
+const POSTS_JSON = path.join(DIST_DIR, 'data', 'posts.json');
+// Scheduled posts that are built but not pushed yet (retried by the scheduler)
+const PUBLISH_PENDING_FILE = path.join(REPO_ROOT, '.publish-pending.json');
+
+const USERS_FILE = path.resolve(process.env.USERS_FILE || path.join(REPO_ROOT, 'users.json'));
+const BIND = process.env.BIND || (hasUsersFile() ? '0.0.0.0' : '127.0.0.1');
+const SECURE_COOKIES = WRITER_BASE.startsWith('https://');
+/** Who you are when there are no users (local mode, connections from this machine only). */
+const LOCAL_USER = { username: null, role: 'editor', local: true, csrfToken: randomToken() };
+const LOGIN_MAX_FAILURES = 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
 
 const MAX_REVISIONS_PER_POST = 50;
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+const MEDIA_PER_PAGE = 40;
+const MAX_MEDIA_PER_PAGE = 200;
+
+/** Origins whose pages may call the API with the session cookie (besides the writer itself). */
+const CORS_ORIGINS = new Set([new URL(WRITER_BASE).origin]
+  .concat(WRITER_MODE === 'local' ? ['http://localhost:' + PORT, 'http://127.0.0.1:' + PORT] : [])
+  .concat((process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim().replace(/\/$/, '')).filter(Boolean)));
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+/** Never served as static files: sources, drafts, accounts, dotfiles (.git, .env) and anything .md/.js/.json. */
+const STATIC_DENY_TOP = new Set(['node_modules', 'scripts', 'content', 'drafts', 'scheduled', 'revisions', 'posts', 'data', 'trash', 'media-info', 'dist.tmp', 'dist.old']);
+const STATIC_DENY_EXTENSIONS = new Set(['.md', '.js', '.json', '.jsonl', '.log', '.sh', '.env', '.key', '.pem']);
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const TRASH_RETENTION_DAYS = Math.max(0, parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10) || 0);
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const BUILD_TIMEOUT_MS = 60 * 1000;
+const BUILD_IMAGE_LIMIT = parseInt(process.env.BUILD_IMAGE_LIMIT || '40', 10) || 40;
 
 function saveRevision(slug, markdownContent, label) {
   const dir = path.join(REVISIONS_DIR, slug.replace(/\.\./g, '').replace(/\//g, ''));
@@ -60,186 +132,217 @@ function saveRevision(slug, markdownContent, label) {
   return id;
 }
 
-function slugify(str) {
-  return String(str || '')
-    .trim()
-    .replace(/\s+/g, '-')
-    .replace(/[^\w\u3040-\u309f\u30a0-\u30ff\u4e00-\u9faf-]/g, '')
-    .replace(/-+/g, '-')
-    .slice(0, 80) || 'post';
+/** Frontmatter fields edited in the writer form; everything else in a post's frontmatter is passed through untouched. */
+const FORM_FIELDS = ['title', 'date', 'draft', 'categories', 'tags', 'excerpt', 'publish_at'];
+
+/** Categories/tags from the form: an array, or a comma-separated string. */
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  return value ? String(value).split(',').map((c) => c.trim()).filter(Boolean) : [];
 }
 
-function parseFrontmatter(raw) {
-  const match = String(raw).match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
-  if (!match) return { meta: {}, body: raw };
-  const front = match[1];
-  const body = match[2].trimEnd();
-  const meta = {};
-  let list = null;
-  for (const line of front.split(/\r?\n/)) {
-    if (/^\s+-\s+/.test(line) && list !== null) {
-      list.push(line.replace(/^\s+-\s+/, '').replace(/^["']|["']$/g, ''));
-      continue;
-    }
-    list = null;
-    const kv = line.match(/^([a-z]+):\s*(.*)$/i);
-    if (kv) {
-      const key = kv[1].toLowerCase();
-      const v = kv[2].trim().replace(/^["']|["']$/g, '');
-      if (key === 'categories') {
-        meta.categories = v ? [v] : [];
-        list = meta.categories;
-      } else {
-        meta[key] = v;
-      }
+/** Frontmatter of the current drafts/, scheduled/ or content/ file for slug ({} if none or unreadable). */
+function readExistingMeta(slug) {
+  for (const dir of [DRAFTS_DIR, SCHEDULED_DIR, CONTENT_DIR]) {
+    const filePath = path.join(dir, slug + '.md');
+    if (!fs.existsSync(filePath)) continue;
+    try {
+      return parseFrontmatter(fs.readFileSync(filePath, 'utf8')).meta;
+    } catch (e) {
+      return {};
     }
   }
-  if (meta.categories && Array.isArray(meta.categories)) {
-    meta.categories = meta.categories.filter(Boolean);
-  } else if (meta.categories && typeof meta.categories === 'string') {
-    meta.categories = meta.categories.split(',').map((c) => c.trim()).filter(Boolean);
-  } else if (!Array.isArray(meta.categories)) {
-    meta.categories = [];
+  return {};
+}
+
+/** Frontmatter for a form submission; fields in `existingMeta` the form doesn't know about (publish_at, og_image, …) are kept. */
+function formToMeta(data, existingMeta) {
+  const title = String(data.title || '').trim();
+  const dateStr = String(data.date || '').trim() || new Date().toISOString().slice(0, 10);
+  const date = parseScalar(dateStr);
+  const categories = toList(data.categories);
+  const tags = toList(data.tags);
+  const excerpt = String(data.excerpt || '').trim();
+  const publishAtStr = String(data.publish_at || '').trim();
+  const meta = { title, date: date instanceof Date ? date : dateStr };
+  if (data.draft !== undefined) meta.draft = !!data.draft;
+  if (categories.length) meta.categories = categories;
+  if (tags.length) meta.tags = tags;
+  if (excerpt) meta.excerpt = excerpt.replace(/\n/g, ' ');
+  if (publishAtStr) {
+    const at = parseScalar(publishAtStr);
+    meta.publish_at = at instanceof Date ? at : publishAtStr;
   }
-  return { meta, body };
+  for (const [key, value] of Object.entries(existingMeta || {})) {
+    if (!FORM_FIELDS.includes(key)) meta[key] = value;
+  }
+  return meta;
 }
 
-function buildMarkdownContent(data) {
+/** Names from data/categories.json, or null (no category check) if the file is missing. */
+function readCategoryNames() {
+  if (!fs.existsSync(CATEGORIES_JSON)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(CATEGORIES_JSON, 'utf8')).map((c) => c.name);
+  } catch (e) {
+    return null;
+  }
+}
+
+/** Preview uses the same post layout as the build, with assets served from the writer. */
+function buildPreviewHtml(data) {
+  const slug = (data.slug || 'post').replace(/\.\./g, '').replace(/\//g, '');
   const title = (data.title || '').trim() || 'Untitled';
-  const date = (data.date || '').trim() || new Date().toISOString().slice(0, 10);
-  const categories = Array.isArray(data.categories) ? data.categories : (data.categories ? String(data.categories).split(',').map((c) => c.trim()).filter(Boolean) : []);
+  const dateStr = (data.date || '').trim() || new Date().toISOString().slice(0, 10);
+  const categories = toList(data.categories);
+  const tags = toList(data.tags);
   const excerpt = (data.excerpt || '').trim();
-  const body = (data.body || '').trim();
-  let out = '---\n';
-  out += 'title: "' + title.replace(/"/g, '\\"') + '"\n';
-  out += 'date: ' + date + '\n';
-  if (data.draft !== undefined) out += 'draft: ' + (data.draft ? 'true' : 'false') + '\n';
-  if (categories.length) {
-    out += 'categories:\n';
-    categories.forEach((c) => { out += '  - ' + c + '\n'; });
-  }
-  if (excerpt) out += 'excerpt: "' + excerpt.replace(/"/g, '\\"').replace(/\n/g, ' ') + '"\n';
-  out += '---\n\n' + body + '\n';
-  return out;
+  const contentHtml = markdownToHtml(data.body || '');
+  // toc isn't on the form; a toc: true/false already in the file's frontmatter still applies
+  const toc = readExistingMeta(slug).toc;
+  return renderPostPage({ slug, title, date: dateStr, categories, tags, contentHtml, excerpt, toc }, { siteUrl: SITE_URL, baseUrl: WRITER_BASE + '/' });
 }
 
-function escapeHtmlPreview(s) {
-  return String(s || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+function isDeniedStatic(segments) {
+  const name = segments[segments.length - 1] || '';
+  return STATIC_DENY_TOP.has(segments[0]) || segments.some((s) => s.startsWith('.')) || STATIC_DENY_EXTENSIONS.has(path.extname(name).toLowerCase());
 }
 
-function formatDateYMD(dateStr) {
-  if (!dateStr) return '';
-  const d = new Date(dateStr);
-  if (isNaN(d.getTime())) return dateStr;
-  return d.toISOString().slice(0, 10);
+function serveFile(req, res, pathname) {
+  const notFound = () => {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+  };
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' });
+    res.end();
+    return;
+  }
+  // Uploads made through the writer live in REPO_ROOT, which isn't always this directory
+  const root = pathname.startsWith('/uploads/') ? REPO_ROOT : __dirname;
+  const file = resolveStaticPath(root, pathname, isDeniedStatic);
+  if (!file) {
+    notFound();
+    return;
+  }
+  sendFile(req, res, file, { headers: { 'Cache-Control': 'no-cache' } }, notFound);
 }
 
-function formatDateRel(dateStr) {
-  if (!dateStr) return '';
-  const d = new Date(dateStr);
-  if (isNaN(d.getTime())) return '';
-  const now = new Date();
-  const months = Math.floor((now - d) / (30 * 24 * 60 * 60 * 1000));
-  if (months < 1) return 'recently';
-  if (months < 12) return months + ' months ago';
-  return Math.floor(months / 12) + ' year' + (months >= 24 ? 's' : '') + ' ago';
+/** Whether a request's Origin (if the browser sent one) is this server or in CORS_ORIGINS. */
+function originAllowed(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  return CORS_ORIGINS.has(origin) || origin === (SECURE_COOKIES ? 'https://' : 'http://') + req.headers.host;
 }
 
-function markdownToHtml(text) {
-  if (marked) return marked.parse(String(text || ''), { async: false });
-  return String(text || '').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>\n');
+function jsonResponse(res, status, obj) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(obj));
 }
 
-function buildPreviewHtml(data) {
-  const slug = (data.slug || 'post').replace(/\.\./g, '').replace(/\//g, '');
-  const title = (data.title || '').trim() || 'Untitled';
-  const dateStr = (data.date || '').trim() || new Date().toISOString().slice(0, 10);
-  const categories = Array.isArray(data.categories) ? data.categories : (data.categories ? String(data.categories).split(',').map((c) => c.trim()).filter(Boolean) : []);
-  const excerpt = (data.excerpt || '').trim();
-  const contentHtml = markdownToHtml(data.body || '');
-  const isoDate = formatDateYMD(dateStr);
-  const dateRel = formatDateRel(dateStr);
-  const meta = categories.length ? escapeHtmlPreview(categories.join(', ')) + ' · <time datetime="' + isoDate + '">' + dateRel + '</time>' : '<time datetime="' + isoDate + '">' + dateRel + '</time>';
-  const desc = (excerpt || title).slice(0, 155).replace(/\s+/g, ' ').trim();
-  const base = WRITER_BASE + '/';
-  const SITE_NAME = 'FUTARIGURASHI';
-  return `<!DOCTYPE html>
-<html lang="ja">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-  <meta name="description" content="${escapeHtmlPreview(desc)}">
-  <title>${escapeHtmlPreview(title)} — ${SITE_NAME}</title>
-  <link rel="stylesheet" href="${base}styles.css">
-  <link rel="preconnect" href="https://fonts.googleapis.com">
-  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-  <link href="https://fonts.googleapis.com/css2?family=Noto+Sans+JP:wght@400;500;600;700&family=Libre+Baskerville:ital@0;1&display=swap" rel="stylesheet">
-</head>
-<body>
-  <div class="site-wrap">
-    <header class="site-header">
-      <h1 class="site-title"><a href="${base}index.html">${SITE_NAME}</a></h1>
-      <nav class="header-nav">
-        <a href="${base}archive.html" class="nav-link">記事一覧</a>
-        <a href="${base}profile.html" class="nav-link">プロフィール</a>
-      </nav>
-    </header>
-    <main class="main">
-      <article class="entry">
-        <header class="page-header">
-          <a href="${base}index.html" class="back-link">← 最新記事へ</a>
-          <p class="entry-meta">${meta}</p>
-          <h2 class="entry-title">${escapeHtmlPreview(title)}</h2>
-        </header>
-        <div class="entry-content">
-${contentHtml}
-        </div>
-      </article>
-    </main>
-    <footer class="site-footer">
-      <p class="footer-flag" aria-hidden="true">🇨🇦</p>
-      <p class="copyright">${SITE_NAME}</p>
-    </footer>
-  </div>
-</body>
-</html>`;
+/** Slugs of the posts in the last build (data/posts.json). */
+function readBuiltSlugs() {
+  if (!fs.existsSync(POSTS_JSON)) return new Set();
+  try {
+    return new Set(JSON.parse(fs.readFileSync(POSTS_JSON, 'utf8')).map((p) => p.slug));
+  } catch (e) {
+    return new Set();
+  }
 }
 
-function serveFile(filePath, res) {
-  const full = path.join(__dirname, filePath);
-  const ext = path.extname(full);
-  const types = {
-    '.html': 'text/html',
-    '.css': 'text/css',
-    '.js': 'application/javascript',
-    '.md': 'text/markdown'
-  };
-  fs.readFile(full, (err, data) => {
-    if (err) {
-      res.writeHead(404);
-      res.end('Not found');
+/**
+ * Posts waiting to go live, soonest first: everything in scheduled/, plus content/*.md that have a publish_at but
+ * aren't in the last build yet (moved there by the scheduler, waiting for a build that succeeds). due means the
+ * time has passed.
+ */
+function listScheduledPosts() {
+  const built = readBuiltSlugs();
+  const list = [];
+  const files = [];
+  for (const dir of [SCHEDULED_DIR, CONTENT_DIR]) {
+    if (!fs.existsSync(dir)) continue;
+    fs.readdirSync(dir).filter((f) => f.endsWith('.md')).forEach((file) => {
+      if (dir === CONTENT_DIR && built.has(file.slice(0, -3))) return;
+      files.push(path.join(dir, file));
+    });
+  }
+  files.forEach((file) => {
+    const slug = path.basename(file, '.md');
+    if (list.some((p) => p.slug === slug)) return;
+    let meta;
+    try {
+      meta = parseFrontmatter(fs.readFileSync(file, 'utf8')).meta;
+    } catch (e) {
       return;
     }
-    res.writeHead(200, { 'Content-Type': types[ext] || 'application/octet-stream' });
-    res.end(data);
+    const at = publishAt(meta);
+    if (!(at instanceof Date) || meta.draft === true) return;
+    list.push({
+      slug,
+      title: meta.title ? String(meta.title) : slug,
+      date: formatDateYMD(meta.date),
+      categories: meta.categories,
+      tags: meta.tags,
+      excerpt: meta.excerpt ? String(meta.excerpt) : '',
+      publish_at: at.toISOString(),
+      due: at.getTime() <= Date.now()
+    });
   });
+  return list.sort((a, b) => (a.publish_at < b.publish_at ? -1 : a.publish_at > b.publish_at ? 1 : 0));
 }
 
-function jsonResponse(res, status, obj) {
-  res.writeHead(status, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify(obj));
+/**
+ * Moves due posts into content/, rebuilds and pushes when a scheduled post has come due (scripts/lib/scheduler.js).
+ * Nothing is kept in memory: a post is due when its publish_at has passed and the last build doesn't include it,
+ * and a push that failed after the build is kept in PUBLISH_PENDING_FILE, so both are picked up again after a restart.
+ */
+const scheduler = createScheduler({
+  listDue: () => listScheduledPosts().filter((p) => p.due),
+  build: () => {
+    releaseDue(REPO_ROOT);
+    return runBuild();
+  },
+  push: runGitPush,
+  pendingFile: PUBLISH_PENDING_FILE
+});
+
+function publishDueScheduledPosts() {
+  scheduler.tick();
+}
+
+/** Remove trash entries older than TRASH_RETENTION_DAYS. */
+function purgeExpiredTrash() {
+  const removed = purgeTrash(REPO_ROOT, TRASH_RETENTION_DAYS);
+  if (removed.length) console.log('Removed from trash after ' + TRASH_RETENTION_DAYS + ' days: ' + removed.join(', '));
+}
+
+/** The numbers on stats.html (from the last build's data/posts.json), plus drafts and scheduled posts not yet on the site. */
+function siteStats() {
+  let published = [];
+  try {
+    published = JSON.parse(fs.readFileSync(POSTS_JSON, 'utf8'));
+  } catch (e) {
+    // no build yet
+  }
+  return {
+    ...buildSiteStats(published),
+    drafts: listPosts().filter((p) => p.status === 'draft').length,
+    scheduled: listScheduledPosts().length
+  };
 }
 
 function listPosts() {
   const list = [];
+  const pending = readPending(PUBLISH_PENDING_FILE);
   if (fs.existsSync(POSTS_JSON)) {
     try {
       const published = JSON.parse(fs.readFileSync(POSTS_JSON, 'utf8'));
-      published.forEach((p) => list.push({ ...p, status: 'published' }));
+      published.forEach((p) => {
+        const item = { ...p, status: 'published' };
+        // built by the scheduler, but the push to the live site hasn't succeeded yet
+        if (pending && pending.slugs.includes(p.slug)) item.pushError = pending.error || 'not pushed yet';
+        list.push(item);
+      });
     } catch (e) {
       // ignore
     }
@@ -253,18 +356,22 @@ function listPosts() {
         const { meta } = parseFrontmatter(raw);
         list.push({
           slug,
-          title: meta.title || slug,
-          date: meta.date || '',
+          title: meta.title ? String(meta.title) : slug,
+          date: formatDateYMD(meta.date),
           dateRel: '',
-          categories: meta.categories || [],
-          excerpt: meta.excerpt || '',
+          categories: meta.categories,
+          tags: meta.tags,
+          excerpt: meta.excerpt ? String(meta.excerpt) : '',
           status: 'draft'
         });
       } catch (e) {
-        list.push({ slug, title: slug, date: '', dateRel: '', categories: [], excerpt: '', status: 'draft' });
+        list.push({ slug, title: slug, date: '', dateRel: '', categories: [], tags: [], excerpt: '', status: 'draft' });
       }
     });
   }
+  listScheduledPosts().forEach((p) => {
+    if (!list.some((q) => q.slug === p.slug)) list.push({ ...p, dateRel: '', status: 'scheduled' });
+  });
   list.sort((a, b) => {
     const da = new Date(a.date || 0).getTime();
     const db = new Date(b.date || 0).getTime();
@@ -300,7 +407,7 @@ function extractEntryContent(html) {
   return '';
 }
 
-/** Load published post from posts.json + posts/slug.html when no .md in drafts/content. */
+/** Load published post from dist/data/posts.json + dist/posts/slug.html when no .md in drafts/content. */
 function getPostFromPublished(safeSlug) {
   if (!fs.existsSync(POSTS_JSON)) return null;
   let list;
@@ -311,7 +418,7 @@ function getPostFromPublished(safeSlug) {
   }
   const found = list.find((p) => p.slug === safeSlug);
   if (!found) return null;
-  const htmlPath = path.join(POSTS_DIR, safeSlug + '.html');
+  const htmlPath = path.join(DIST_DIR, 'posts', safeSlug + '.html');
   if (!fs.existsSync(htmlPath)) return null;
   const html = fs.readFileSync(htmlPath, 'utf8');
   const body = extractEntryContent(html);
@@ -320,6 +427,7 @@ function getPostFromPublished(safeSlug) {
     title: found.title || found.slug,
     date: found.date || '',
     categories: found.categories || [],
+    tags: found.tags || [],
     excerpt: found.excerpt || '',
     body,
     status: 'published'
@@ -328,40 +436,240 @@ function getPostFromPublished(safeSlug) {
 
 function getPost(slug) {
   const safeSlug = slugify(slug) || 'post';
-  // After migration, published posts live in content/<slug>.md; drafts in drafts/<slug>.md.
-  for (const dir of [DRAFTS_DIR, CONTENT_DIR]) {
+  // Published posts live in content/<slug>.md, drafts in drafts/<slug>.md, scheduled posts in scheduled/<slug>.md.
+  for (const dir of [DRAFTS_DIR, SCHEDULED_DIR, CONTENT_DIR]) {
     const filePath = path.join(dir, safeSlug + '.md');
     if (fs.existsSync(filePath)) {
       const raw = fs.readFileSync(filePath, 'utf8');
       const { meta, body } = parseFrontmatter(raw);
       const fileSlug = path.basename(filePath, '.md');
+      const at = publishAt(meta);
       return {
         slug: fileSlug,
-        title: meta.title || fileSlug,
-        date: meta.date || '',
-        categories: meta.categories || [],
-        excerpt: meta.excerpt || '',
+        title: meta.title ? String(meta.title) : fileSlug,
+        date: formatDateYMD(meta.date),
+        categories: meta.categories,
+        tags: meta.tags,
+        excerpt: meta.excerpt ? String(meta.excerpt) : '',
+        publish_at: at instanceof Date ? at.toISOString() : '',
         body,
-        status: dir === DRAFTS_DIR ? 'draft' : 'published'
+        status: dir === DRAFTS_DIR ? 'draft' : (dir === SCHEDULED_DIR || isScheduled(meta) ? 'scheduled' : 'published')
       };
     }
   }
   return getPostFromPublished(safeSlug);
 }
 
+const sessions = createSessions();
+let usersCache = { mtimeMs: -1, users: [] };
+
+/** Users from USERS_FILE, re-read when the file changes (so scripts/writer-users.js needs no restart). */
+function loadUsers() {
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(USERS_FILE).mtimeMs;
+  } catch (e) {
+    return [];
+  }
+  if (mtimeMs !== usersCache.mtimeMs) {
+    try {
+      usersCache = { mtimeMs, users: readUsers(USERS_FILE) };
+    } catch (e) {
+      console.error('Could not read ' + USERS_FILE + ':', e.message);
+      usersCache = { mtimeMs, users: [] };
+    }
+  }
+  return usersCache.users;
+}
+
+/** Whether USERS_FILE lists any account; decides the default BIND before the server starts. */
+function hasUsersFile() {
+  try {
+    return readUsers(USERS_FILE).length > 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+/** { username, role } of the request's session, or null. */
+function currentUser(req) {
+  const users = loadUsers();
+  if (!users.length && WRITER_MODE === 'local' && isLoopback(req.socket.remoteAddress)) return LOCAL_USER;
+  const session = sessions.get(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  if (!session) return null;
+  const user = users.find((u) => u.username === session.username);
+  return user ? { username: user.username, role: user.role, csrfToken: session.csrf } : null;
+}
+
+const loginFailures = new Map();
+
+function handleLogin(req, body, res) {
+  const ip = req.socket.remoteAddress;
+  const now = Date.now();
+  const recent = (loginFailures.get(ip) || []).filter((t) => now - t < LOGIN_WINDOW_MS);
+  if (recent.length >= LOGIN_MAX_FAILURES) {
+    jsonResponse(res, 429, { error: 'Too many failed logins, try again later' });
+    return;
+  }
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (e) {
+    jsonResponse(res, 400, { error: 'Invalid JSON' });
+    return;
+  }
+  const user = authenticate(loadUsers(), String(data.username || ''), String(data.password || ''));
+  if (!user) {
+    loginFailures.set(ip, recent.concat(now));
+    jsonResponse(res, 401, { error: 'Wrong username or password' });
+    return;
+  }
+  loginFailures.delete(ip);
+  const session = sessions.create(user.username);
+  res.setHeader('Set-Cookie', sessionCookie(session.token, SECURE_COOKIES));
+  jsonResponse(res, 200, { username: user.username, role: user.role, csrfToken: session.csrf });
+}
+
+/** One page of the media library, newest first, with the posts that use each file. */
+function mediaPage(query) {
+  const usage = mediaUsage({ published: CONTENT_DIR, draft: DRAFTS_DIR, scheduled: SCHEDULED_DIR, trash: TRASH_DIR });
+  const q = String(query.get('q') || '').trim().toLowerCase();
+  const unusedOnly = query.get('unused') === '1';
+  const items = listMedia(REPO_ROOT)
+    .filter((m) => !q || m.path.toLowerCase().includes(q))
+    .map((m) => ({ ...m, url: m.path, usedBy: usage.get(m.path) || [] }))
+    .filter((m) => !unusedOnly || m.usedBy.length === 0);
+  const perPage = Math.min(MAX_MEDIA_PER_PAGE, Math.max(1, parseInt(query.get('per_page'), 10) || MEDIA_PER_PAGE));
+  const pages = Math.max(1, Math.ceil(items.length / perPage));
+  const page = Math.min(pages, Math.max(1, parseInt(query.get('page'), 10) || 1));
+  const shown = items.slice((page - 1) * perPage, page * perPage).map((m) => ({ ...m, captured: readMediaInfo(REPO_ROOT, m.path).captured || null }));
+  return { items: shown, total: items.length, page, perPage, pages };
+}
+
+function handleMediaUpload(req, body, res) {
+  const parts = parseMultipart(body, req.headers['content-type']);
+  if (!parts) {
+    jsonResponse(res, 400, { error: 'Expected multipart/form-data' });
+    return;
+  }
+  const files = parts.filter((p) => p.filename !== null && p.filename !== '');
+  if (!files.length) {
+    jsonResponse(res, 400, { error: 'No file in upload' });
+    return;
+  }
+  const checked = files.map((p) => ({ part: p, ...checkUpload(p.filename, p.data) }));
+  const rejected = checked.filter((c) => c.error);
+  if (rejected.length) {
+    jsonResponse(res, 415, { error: rejected.map((c) => c.error).join('; ') });
+    return;
+  }
+  // images are prepared in a worker (processImageInWorker), one file after the other; nothing is stored unless
+  // every file can be
+  const prepared = [];
+  const next = (i) => {
+    if (i < checked.length) {
+      if (checked[i].kind !== 'image') {
+        prepared.push(null);
+        next(i + 1);
+        return;
+      }
+      processImageInWorker(checked[i].part.data, SITE.media, (err, image) => {
+        if (err) {
+          jsonResponse(res, 500, { error: 'Upload failed', detail: err.message });
+          return;
+        }
+        prepared.push(image);
+        next(i + 1);
+      });
+      return;
+    }
+    const refused = checked.map((c, n) => (prepared[n] && prepared[n].error ? c.part.filename + ': ' + prepared[n].error : '')).filter(Boolean);
+    if (refused.length) {
+      jsonResponse(res, 413, { error: refused.join('; ') });
+      return;
+    }
+    try {
+      const stored = checked.map((c, n) => {
+        const image = prepared[n];
+        const data = image ? image.data : c.part.data;
+        const rel = storeUpload(REPO_ROOT, c.part.filename, c.kind, data);
+        const captured = image && SITE.media.keepCaptureDate ? image.captured : null;
+        if (captured) writeMediaInfo(REPO_ROOT, rel, { captured });
+        console.log('Uploaded ' + rel + ' (' + data.length + ' bytes' + (image && image.changes.length ? '; ' + image.changes.join(', ') : '') + ')');
+        const entry = { path: rel, url: rel, name: path.basename(rel), kind: c.kind, size: data.length, captured };
+        if (image) Object.assign(entry, { width: image.width, height: image.height, changes: image.changes });
+        return entry;
+      });
+      jsonResponse(res, 201, { files: stored });
+    } catch (err) {
+      jsonResponse(res, 500, { error: 'Upload failed', detail: err.message });
+    }
+  };
+  next(0);
+}
+
+function handleMediaDelete(rel, query, res) {
+  const file = resolveStaticPath(UPLOADS_DIR, rel.replace(/^\/?uploads\//, ''), (segments) => segments.some((s) => s.startsWith('.')));
+  if (!file || file === UPLOADS_DIR || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    jsonResponse(res, 404, { error: 'Not found' });
+    return;
+  }
+  const mediaPath = path.relative(REPO_ROOT, file).split(path.sep).join('/');
+  const usedBy = mediaUsage({ published: CONTENT_DIR, draft: DRAFTS_DIR, scheduled: SCHEDULED_DIR, trash: TRASH_DIR }).get(mediaPath) || [];
+  if (usedBy.length && query.get('force') !== '1') {
+    jsonResponse(res, 409, { error: 'File is used by ' + usedBy.length + ' post(s)', usedBy });
+    return;
+  }
+  fs.unlinkSync(file);
+  fs.rmSync(mediaInfoPath(REPO_ROOT, mediaPath), { force: true });
+  console.log('Deleted ' + mediaPath);
+  jsonResponse(res, 200, { deleted: true, path: mediaPath, usedBy });
+}
+
+let imageJob = null;
+
+/**
+ * Make the image variants builds deferred (scripts/build-images.js) in a child process with no time limit, so
+ * a cold resized/ cache never runs inside the synchronous build. runBuild stops it first; it keeps its progress.
+ */
+function startImageJob() {
+  if (imageJob) return;
+  const child = spawn(process.execPath, ['scripts/build-images.js'], { cwd: REPO_ROOT, stdio: ['ignore', 'pipe', 'pipe'] });
+  imageJob = child;
+  let output = '';
+  child.stdout.on('data', (d) => { output += d; });
+  child.stderr.on('data', (d) => { output += d; });
+  child.on('exit', (code, signal) => {
+    if (imageJob === child) imageJob = null;
+    if (signal) return;
+    // the next build picks the new variants up (srcset)
+    if (code === 0) console.log(output.trim());
+    else console.error('Making image variants failed:', output.trim());
+  });
+}
+
 function runBuild() {
-  const r = spawnSync('node', ['scripts/build-from-markdown.js'], { cwd: REPO_ROOT, encoding: 'utf8', timeout: 60000 });
-  return { ok: r.status === 0, stderr: r.stderr, stdout: r.stdout };
+  if (imageJob) {
+    imageJob.kill();
+    imageJob = null;
+  }
+  const r = spawnSync(process.execPath, ['scripts/build-from-markdown.js', '--image-limit=' + BUILD_IMAGE_LIMIT], { cwd: REPO_ROOT, encoding: 'utf8', timeout: BUILD_TIMEOUT_MS });
+  const ok = r.status === 0;
+  if (ok && /\d+ deferred/.test(r.stdout)) startImageJob();
+  return { ok, stderr: r.stderr || (r.error ? r.error.message : ''), stdout: r.stdout };
 }
 
+/** Commit and push the sources to main, then publish the built site (dist/) to the pages branch. */
 function runGitPush(message) {
   spawnSync('git', ['add', '-A'], { cwd: REPO_ROOT });
-  const commit = spawnSync('git', ['commit', '-m', message], { cwd: REPO_ROOT });
+  const commit = spawnSync('git', ['commit', '-m', message], { cwd: REPO_ROOT, encoding: 'utf8' });
   if (commit.status !== 0 && commit.stderr && !commit.stderr.includes('nothing to commit')) {
     return { ok: false, error: commit.stderr.trim() || 'git commit failed' };
   }
-  const push = spawnSync('git', ['push', 'origin', 'main'], { cwd: REPO_ROOT, timeout: 60000 });
-  return { ok: push.status === 0, error: push.stderr ? push.stderr.trim() : (push.status !== 0 ? 'git push failed' : '') };
+  const push = spawnSync('git', ['push', 'origin', 'main'], { cwd: REPO_ROOT, encoding: 'utf8', timeout: 60000 });
+  if (push.status !== 0) return { ok: false, error: push.stderr ? push.stderr.trim() : 'git push failed' };
+  const deploy = deployDist(REPO_ROOT, message);
+  return { ok: deploy.ok, error: deploy.error || '' };
 }
 
 function handleSave(body, res) {
@@ -390,28 +698,66 @@ function handleSave(body, res) {
 }
 
 const server = http.createServer((req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (origin && CORS_ORIGINS.has(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
   if (req.method === 'OPTIONS') {
+    if (!origin || !CORS_ORIGINS.has(origin)) {
+      res.writeHead(403);
+      res.end();
+      return;
+    }
     res.setHeader('Access-Control-Allow-Methods', 'POST, GET, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-CSRF-Token');
+    res.setHeader('Access-Control-Max-Age', '600');
     res.writeHead(204);
     res.end();
     return;
   }
 
   const pathname = (req.url || '').split('?')[0];
+  const isApi = pathname.startsWith('/api/') || pathname === '/writer-save';
+
+  if (isApi && MUTATING_METHODS.has(req.method) && !originAllowed(req)) {
+    jsonResponse(res, 403, { error: 'Origin not allowed' });
+    return;
+  }
+  if (pathname === '/api/login' && req.method === 'POST') {
+    readBody(req, res, MAX_BODY_BYTES, (body) => handleLogin(req, body, res));
+    return;
+  }
+  const user = isApi ? currentUser(req) : null;
+  if (isApi && !user) {
+    jsonResponse(res, 401, { error: 'Login required' });
+    return;
+  }
+  if (isApi && MUTATING_METHODS.has(req.method) && !tokensMatch(req.headers['x-csrf-token'], user.csrfToken)) {
+    jsonResponse(res, 403, { error: 'Missing or invalid CSRF token' });
+    return;
+  }
+  if (pathname === '/api/logout' && req.method === 'POST') {
+    sessions.destroy(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    res.setHeader('Set-Cookie', sessionCookie('', SECURE_COOKIES));
+    jsonResponse(res, 200, { loggedOut: true });
+    return;
+  }
+  if (pathname === '/api/me' && req.method === 'GET') {
+    jsonResponse(res, 200, user);
+    return;
+  }
 
   if (pathname === '/api/config') {
     if (req.method === 'GET') {
-      jsonResponse(res, 200, { baseUrl: WRITER_BASE, siteUrl: SITE_URL, mode: WRITER_MODE });
+      jsonResponse(res, 200, { baseUrl: WRITER_BASE, siteUrl: SITE_URL, mode: WRITER_MODE, site: SITE });
       return;
     }
   }
 
   if (pathname === '/api/preview' && req.method === 'POST') {
-    let body = '';
-    req.on('data', (chunk) => { body += chunk; });
-    req.on('end', () => {
+    readBody(req, res, MAX_BODY_BYTES, (body) => {
       try {
         const data = JSON.parse(body);
         const html = buildPreviewHtml(data);
@@ -423,6 +769,104 @@ const server = http.createServer((req, res) => {
     return;
   }
 
+  if (pathname === '/api/stats' && req.method === 'GET') {
+    jsonResponse(res, 200, siteStats());
+    return;
+  }
+
+  if (pathname === '/api/scheduled' && req.method === 'GET') {
+    jsonResponse(res, 200, listScheduledPosts());
+    return;
+  }
+
+  if (pathname === '/api/media') {
+    if (req.method === 'GET') {
+      jsonResponse(res, 200, mediaPage(new URL(req.url, WRITER_BASE).searchParams));
+      return;
+    }
+    if (req.method === 'POST') {
+      readRawBody(req, res, MAX_UPLOAD_BYTES, (body) => handleMediaUpload(req, body, res));
+      return;
+    }
+  }
+
+  if (pathname.startsWith('/api/media/') && req.method === 'DELETE') {
+    if (!can(user.role, 'publish')) {
+      jsonResponse(res, 403, { error: 'Only editors can delete media' });
+      return;
+    }
+    handleMediaDelete(pathname.slice('/api/media/'.length), new URL(req.url, WRITER_BASE).searchParams, res);
+    return;
+  }
+
+  if (pathname === '/api/trash') {
+    if (req.method === 'GET') {
+      jsonResponse(res, 200, { retentionDays: TRASH_RETENTION_DAYS, items: listTrash(REPO_ROOT, TRASH_RETENTION_DAYS) });
+      return;
+    }
+    if (req.method === 'DELETE') {
+      if (!can(user.role, 'publish')) {
+        jsonResponse(res, 403, { error: 'Only editors can empty the trash' });
+        return;
+      }
+      const removed = emptyTrash(REPO_ROOT);
+      console.log('Emptied trash: ' + (removed.join(', ') || 'nothing'));
+      jsonResponse(res, 200, { emptied: true, removed });
+      return;
+    }
+  }
+
+  if (pathname.startsWith('/api/trash/')) {
+    let suffix = pathname.slice('/api/trash/'.length);
+    try {
+      suffix = decodeURIComponent(suffix);
+    } catch (e) {
+      // leave suffix as-is if decoding fails
+    }
+    const parts = suffix.split('/');
+    const entry = readTrashEntry(REPO_ROOT, parts[0]);
+    const restoring = parts.length === 2 && parts[1] === 'restore' && req.method === 'POST';
+    if (restoring || (parts.length === 1 && req.method === 'DELETE')) {
+      if (!can(user.role, 'publish')) {
+        jsonResponse(res, 403, { error: 'Only editors can restore or delete posts' });
+        return;
+      }
+      if (!entry) {
+        jsonResponse(res, 404, { error: 'Not in trash' });
+        return;
+      }
+      if (!restoring) {
+        removeFromTrash(REPO_ROOT, entry.slug);
+        console.log('Deleted from trash: ' + entry.slug);
+        jsonResponse(res, 200, { deleted: true, slug: entry.slug });
+        return;
+      }
+      try {
+        restoreFromTrash(REPO_ROOT, entry.slug);
+      } catch (e) {
+        if (e.code === 'EEXIST') jsonResponse(res, 409, { error: 'A post with this slug exists; rename or delete it first', slug: entry.slug });
+        else jsonResponse(res, 500, { error: 'Restore failed', detail: e.message });
+        return;
+      }
+      const result = { restored: true, slug: entry.slug, status: { content: 'published', scheduled: 'scheduled' }[entry.from] || 'draft' };
+      if (entry.from === 'content') {
+        const buildResult = runBuild();
+        if (!buildResult.ok) {
+          console.error('Build failed after restore:', buildResult.stderr);
+          result.buildError = buildResult.stderr;
+        } else {
+          const pushResult = runGitPush('Restore post: ' + entry.slug);
+          if (!pushResult.ok) {
+            console.error('Push failed after restore:', pushResult.error);
+            result.pushWarning = pushResult.error;
+          }
+        }
+      }
+      jsonResponse(res, 200, result);
+      return;
+    }
+  }
+
   if (pathname === '/api/posts') {
     if (req.method === 'GET') {
       jsonResponse(res, 200, listPosts());
@@ -438,9 +882,7 @@ const server = http.createServer((req, res) => {
       // leave suffix as-is if decoding fails
     }
     if (suffix === 'draft' && req.method === 'POST') {
-      let body = '';
-      req.on('data', (chunk) => { body += chunk; });
-      req.on('end', () => {
+      readBody(req, res, MAX_BODY_BYTES, (body) => {
         let data;
         try {
           data = JSON.parse(body);
@@ -449,7 +891,13 @@ const server = http.createServer((req, res) => {
           return;
         }
         const slug = slugify(data.slug || data.title) || 'post';
-        const content = buildMarkdownContent({ ...data, draft: true });
+        const meta = formToMeta({ ...data, draft: true }, readExistingMeta(slug));
+        const fieldErrors = validatePost(meta, { categories: readCategoryNames() });
+        if (fieldErrors.length) {
+          jsonResponse(res, 422, { error: 'Invalid post', fields: fieldErrors });
+          return;
+        }
+        const content = stringifyFrontmatter(meta, data.body);
         fs.mkdirSync(DRAFTS_DIR, { recursive: true });
         try {
           fs.writeFileSync(path.join(DRAFTS_DIR, slug + '.md'), content, 'utf8');
@@ -460,10 +908,15 @@ const server = http.createServer((req, res) => {
       });
       return;
     }
-    if (suffix === 'publish' && req.method === 'POST') {
-      let body = '';
-      req.on('data', (chunk) => { body += chunk; });
-      req.on('end', () => {
+    // publish: live now (any publish_at is dropped). schedule: saved to scheduled/ with a future publish_at and
+    // kept out of git until publishDueScheduledPosts moves it into content/.
+    if ((suffix === 'publish' || suffix === 'schedule') && req.method === 'POST') {
+      if (!can(user.role, 'publish')) {
+        jsonResponse(res, 403, { error: 'Only editors can publish' });
+        return;
+      }
+      const scheduling = suffix === 'schedule';
+      readBody(req, res, MAX_BODY_BYTES, (body) => {
         try {
           let data;
           try {
@@ -473,28 +926,49 @@ const server = http.createServer((req, res) => {
             return;
           }
           const slug = slugify(data.slug || data.title) || 'post';
+          const meta = formToMeta({ ...data, draft: false, publish_at: scheduling ? data.publish_at : '' }, readExistingMeta(slug));
+          const fieldErrors = validatePost(meta, { categories: readCategoryNames() });
+          if (scheduling && fieldErrors.length === 0) {
+            if (!meta.publish_at) {
+              fieldErrors.push({ field: 'publish_at', code: 'required', message: 'publish_at: is required to schedule a post' });
+            } else if (!isScheduled(meta)) {
+              fieldErrors.push({ field: 'publish_at', code: 'past', message: 'publish_at: must be in the future' });
+            }
+          }
+          if (fieldErrors.length) {
+            jsonResponse(res, 422, { error: 'Invalid post', fields: fieldErrors });
+            return;
+          }
           const contentPath = path.join(CONTENT_DIR, slug + '.md');
-          if (fs.existsSync(contentPath)) {
-            const existing = fs.readFileSync(contentPath, 'utf8');
-            saveRevision(slug, existing, 'Publish');
+          const scheduledPath = path.join(SCHEDULED_DIR, slug + '.md');
+          const wasPublished = fs.existsSync(contentPath);
+          const existingPath = [contentPath, scheduledPath].find((f) => fs.existsSync(f));
+          if (existingPath) {
+            const existing = fs.readFileSync(existingPath, 'utf8');
+            saveRevision(slug, existing, scheduling ? 'Schedule' : 'Publish');
+          }
+          const content = stringifyFrontmatter(meta, data.body);
+          const targetPath = scheduling ? scheduledPath : contentPath;
+          fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+          [path.join(DRAFTS_DIR, slug + '.md'), scheduling ? contentPath : scheduledPath].forEach((f) => fs.rmSync(f, { force: true }));
+          fs.writeFileSync(targetPath, content, 'utf8');
+          const result = scheduling ? { slug, scheduled: true, publish_at: publishAt(meta).toISOString() } : { slug, published: true };
+          // a new schedule touches nothing in git; rescheduling a published post takes it off the site until then
+          if (scheduling && !wasPublished) {
+            jsonResponse(res, 200, result);
+            return;
           }
-          const content = buildMarkdownContent({ ...data, draft: false });
-          fs.mkdirSync(CONTENT_DIR, { recursive: true });
-          const draftPath = path.join(DRAFTS_DIR, slug + '.md');
-          if (fs.existsSync(draftPath)) fs.unlinkSync(draftPath);
-          fs.writeFileSync(contentPath, content, 'utf8');
           const buildResult = runBuild();
           if (!buildResult.ok) {
             jsonResponse(res, 500, { error: 'Build failed', detail: buildResult.stderr });
             return;
           }
-          const pushResult = runGitPush('Publish: ' + (data.title || slug));
+          const pushResult = runGitPush((scheduling ? 'Schedule: ' : 'Publish: ') + (data.title || slug));
           if (!pushResult.ok) {
-            console.error('Push failed after publish:', pushResult.error);
-            jsonResponse(res, 200, { slug, published: true, pushWarning: pushResult.error });
-          } else {
-            jsonResponse(res, 200, { slug, published: true });
+            console.error('Push failed after ' + suffix + ':', pushResult.error);
+            result.pushWarning = pushResult.error;
           }
+          jsonResponse(res, 200, result);
         } catch (err) {
           console.error('Publish error:', err);
           jsonResponse(res, 500, { error: 'Publish failed', detail: err.message });
@@ -503,30 +977,30 @@ const server = http.createServer((req, res) => {
       return;
     }
     if (suffix.includes('/revert-to-draft') && req.method === 'POST') {
+      if (!can(user.role, 'publish')) {
+        jsonResponse(res, 403, { error: 'Only editors can unpublish' });
+        return;
+      }
       const parts = suffix.split('/');
       const slug = (parts[0] || '').replace(/\.\./g, '').replace(/\//g, '').trim() || 'post';
       if (parts[1] === 'revert-to-draft') {
-        const contentPath = path.join(CONTENT_DIR, slug + '.md');
-        if (!fs.existsSync(contentPath)) {
+        // a scheduled post (scheduled/) was never on the site, so only a published one needs a rebuild
+        const sourcePath = [path.join(CONTENT_DIR, slug + '.md'), path.join(SCHEDULED_DIR, slug + '.md')].find((f) => fs.existsSync(f));
+        if (!sourcePath) {
           jsonResponse(res, 404, { error: 'Not found' });
           return;
         }
-        const raw = fs.readFileSync(contentPath, 'utf8');
+        const raw = fs.readFileSync(sourcePath, 'utf8');
         const { meta, body } = parseFrontmatter(raw);
-        const asDraft = buildMarkdownContent({
-          title: meta.title || slug,
-          date: meta.date || '',
-          categories: meta.categories || [],
-          excerpt: meta.excerpt || '',
-          body,
-          draft: true
-        });
+        const asDraft = stringifyFrontmatter({ ...meta, draft: true }, body);
         fs.mkdirSync(DRAFTS_DIR, { recursive: true });
         fs.writeFileSync(path.join(DRAFTS_DIR, slug + '.md'), asDraft, 'utf8');
-        fs.unlinkSync(contentPath);
-        const buildResult = runBuild();
-        if (!buildResult.ok) {
-          console.error('Build failed after revert-to-draft:', buildResult.stderr);
+        fs.unlinkSync(sourcePath);
+        if (path.dirname(sourcePath) === CONTENT_DIR) {
+          const buildResult = runBuild();
+          if (!buildResult.ok) {
+            console.error('Build failed after revert-to-draft:', buildResult.stderr);
+          }
         }
         jsonResponse(res, 200, { slug, reverted: true });
         return;
@@ -558,7 +1032,7 @@ const server = http.createServer((req, res) => {
           }
           const raw = fs.readFileSync(file, 'utf8');
           const { meta, body } = parseFrontmatter(raw);
-          jsonResponse(res, 200, { slug: revSlug, title: meta.title, date: meta.date, categories: meta.categories || [], excerpt: meta.excerpt || '', body });
+          jsonResponse(res, 200, { slug: revSlug, title: meta.title, date: formatDateYMD(meta.date), categories: meta.categories, tags: meta.tags, excerpt: meta.excerpt || '', body });
           return;
         }
       }
@@ -567,9 +1041,7 @@ const server = http.createServer((req, res) => {
       const parts = suffix.split('/');
       const restSlug = (parts[0] || '').replace(/\.\./g, '').replace(/\//g, '').trim() || 'post';
       if (parts[1] === 'restore') {
-        let body = '';
-        req.on('data', (chunk) => { body += chunk; });
-        req.on('end', () => {
+        readBody(req, res, MAX_BODY_BYTES, (body) => {
           let data;
           try {
             data = JSON.parse(body);
@@ -589,12 +1061,15 @@ const server = http.createServer((req, res) => {
           fs.mkdirSync(DRAFTS_DIR, { recursive: true });
           fs.writeFileSync(draftPath, markdown, 'utf8');
           const { meta, body: postBody } = parseFrontmatter(markdown);
+          const at = publishAt(meta);
           jsonResponse(res, 200, {
             slug: restSlug,
-            title: meta.title || restSlug,
-            date: meta.date || '',
-            categories: meta.categories || [],
-            excerpt: meta.excerpt || '',
+            title: meta.title ? String(meta.title) : restSlug,
+            date: formatDateYMD(meta.date),
+            categories: meta.categories,
+            tags: meta.tags,
+            excerpt: meta.excerpt ? String(meta.excerpt) : '',
+            publish_at: at instanceof Date ? at.toISOString() : '',
             body: postBody,
             status: 'draft'
           });
@@ -612,6 +1087,10 @@ const server = http.createServer((req, res) => {
       return;
     }
     if (req.method === 'DELETE') {
+      if (!can(user.role, 'publish')) {
+        jsonResponse(res, 403, { error: 'Only editors can delete' });
+        return;
+      }
       try {
         const normalizedSuffix = suffix.replace(/^\/+|\/+$/g, '').replace(/\.\./g, '').replace(/\//g, '').trim();
         const slugCandidates = [normalizedSuffix, slugify(suffix)].filter(Boolean);
@@ -623,7 +1102,7 @@ const server = http.createServer((req, res) => {
         });
         let removed = false;
         let usedSlug = null;
-        for (const dir of [DRAFTS_DIR, CONTENT_DIR]) {
+        for (const dir of [DRAFTS_DIR, SCHEDULED_DIR, CONTENT_DIR]) {
           if (!fs.existsSync(dir)) continue;
           const files = fs.readdirSync(dir).filter((f) => f.endsWith('.md'));
           for (const file of files) {
@@ -631,24 +1110,17 @@ const server = http.createServer((req, res) => {
             const match = uniq.some((c) => c === fileSlug);
             if (match) {
               const filePath = path.join(dir, file);
-              fs.unlinkSync(filePath);
+              let title = fileSlug;
+              try {
+                title = String(parseFrontmatter(fs.readFileSync(filePath, 'utf8')).meta.title || fileSlug);
+              } catch (e) {
+                // trash it under its slug
+              }
+              moveToTrash(REPO_ROOT, fileSlug, path.basename(dir), title, user.username);
               removed = true;
               usedSlug = fileSlug;
               if (dir === CONTENT_DIR) {
-                if (fs.existsSync(POSTS_JSON)) {
-                  try {
-                    let list = JSON.parse(fs.readFileSync(POSTS_JSON, 'utf8'));
-                    if (Array.isArray(list)) {
-                      list = list.filter((p) => p && p.slug !== fileSlug);
-                      fs.mkdirSync(DATA_DIR, { recursive: true });
-                      fs.writeFileSync(POSTS_JSON, JSON.stringify(list, null, 2), 'utf8');
-                    }
-                  } catch (e) {
-                    console.error('Update posts.json after delete:', e.message);
-                  }
-                }
-                const htmlPath = path.join(POSTS_DIR, fileSlug + '.html');
-                if (fs.existsSync(htmlPath)) fs.unlinkSync(htmlPath);
+                // The build drops the post's page and its posts.json entry
                 const buildResult = runBuild();
                 if (!buildResult.ok) {
                   console.error('Build failed after delete:', buildResult.stderr);
@@ -664,7 +1136,7 @@ const server = http.createServer((req, res) => {
           if (removed) break;
         }
         if (removed) {
-          jsonResponse(res, 200, { deleted: true, slug: usedSlug });
+          jsonResponse(res, 200, { deleted: true, trashed: true, slug: usedSlug });
         } else {
           jsonResponse(res, 404, { error: 'Not found' });
         }
@@ -683,25 +1155,29 @@ const server = http.createServer((req, res) => {
       return;
     }
     if (req.method === 'POST') {
-      let body = '';
-      req.on('data', (chunk) => { body += chunk; });
-      req.on('end', () => handleSave(body, res));
+      readBody(req, res, MAX_BODY_BYTES, (body) => handleSave(body, res));
       return;
     }
   }
 
-  if (req.url === '/' || req.url === '/writer.html') {
-    serveFile('writer.html', res);
+  if (pathname === '/') {
+    serveFile(req, res, '/writer.html');
     return;
   }
-  if (req.url.startsWith('/')) {
-    serveFile(req.url.slice(1), res);
+  if (pathname.startsWith('/')) {
+    serveFile(req, res, pathname);
     return;
   }
   res.writeHead(404);
   res.end('Not found');
 });
 
+if (!loadUsers().length && WRITER_MODE === 'server') {
+  console.error('No writer accounts in ' + USERS_FILE + '. Add one before running in server mode:');
+  console.error('  node scripts/writer-users.js add <name> editor');
+  process.exit(1);
+}
+
 server.listen(PORT, BIND, () => {
   const host = BIND === '0.0.0.0' ? (os.hostname() || 'localhost') : BIND;
   const local = BIND === '0.0.0.0' ? ` http://localhost:${PORT}` : '';
@@ -710,5 +1186,15 @@ server.listen(PORT, BIND, () => {
   if (local) console.log('  Local:   http://localhost:' + PORT + '/writer.html');
   if (WRITER_MODE === 'server') console.log('  Network: http://' + host + ':' + PORT + '/writer.html');
   console.log('  Site:    ' + SITE_URL);
+  const users = loadUsers();
+  console.log('  Users:   ' + (users.length ? users.length + ' (' + USERS_FILE + ')' : 'none; no login from this machine, other addresses are refused (add one with scripts/writer-users.js)'));
+  const scheduled = listScheduledPosts();
+  if (scheduled.length) console.log('  Scheduled: ' + scheduled.length + ' post(s), next ' + scheduled[0].slug + ' at ' + scheduled[0].publish_at);
   console.log('Stop with Ctrl+C.');
+  publishDueScheduledPosts();
+  setInterval(publishDueScheduledPosts, SCHEDULER_INTERVAL_MS);
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+  // fresh clone or server: resized/ isn't committed
+  if (!fs.existsSync(path.join(REPO_ROOT, 'resized', 'manifest.json'))) startImageJob();
 });